@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { verifyToken, hashApiKey, isApiKey } = require('../utils/auth');
+
+// The only route that accepts `?token=`: EventSource cannot set headers, and
+// tokens in URLs elsewhere would end up in logs and browser history
+const QUERY_TOKEN_ROUTE = /^\/api\/jobs\/[^/]+\/events\/?$/;
+
+/**
+ * Read the credential from the request: `Authorization: Bearer <token or key>`,
+ * an `X-API-Key` header, or (job event streams only) a `token` query parameter
+ */
+function getCredential(req) {
+  const header = req.get('Authorization');
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  if (req.get('X-API-Key')) {
+    return req.get('X-API-Key').trim();
+  }
+  if (req.method === 'GET' && QUERY_TOKEN_ROUTE.test(req.baseUrl + req.path) && typeof req.query.token === 'string') {
+    return req.query.token;
+  }
+  return null;
+}
+
+/**
+ * Require a signed-in user (JWT) or a valid API key; sets req.user
+ */
+async function requireAuth(req, res, next) {
+  try {
+    const credential = getCredential(req);
+    if (!credential) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        suggestion: 'Log in via /api/auth/login and send the token as "Authorization: Bearer <token>", or use an API key',
+      });
+    }
+
+    let user = null;
+    if (isApiKey(credential)) {
+      const keyHash = hashApiKey(credential);
+      user = await User.findOne({ 'apiKeys.keyHash': keyHash });
+      if (user) {
+        // Record usage without blocking the request
+        User.updateOne(
+          { _id: user._id, 'apiKeys.keyHash': keyHash },
+          { $set: { 'apiKeys.$.lastUsedAt': new Date() } }
+        ).catch(err => {
+          console.error('Error updating API key usage:', err);
+        });
+      }
+    } else {
+      const userId = verifyToken(credential);
+      if (userId && mongoose.Types.ObjectId.isValid(userId)) {
+        user = await User.findById(userId);
+      }
+    }
+
+    if (!user) {
+      return res.status(401).json({
+        error: 'Invalid or expired credentials',
+        suggestion: 'Log in again or check your API key',
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = { requireAuth };
@@ -1,6 +1,7 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { findExtractor, supportedExtensions } = require('../utils/extractors');
 
 // Ensure uploads directory exists
 const uploadsDir = path.join(__dirname, '../uploads');
@@ -19,19 +20,14 @@ const storage = multer.diskStorage({
   },
 });
 
-// File filter
+// File filter: any file type with a registered extractor (see utils/extractors)
 const fileFilter = (req, file, cb) => {
-  const allowedMimes = [
-    'application/pdf',
-    'image/png',
-    'image/jpeg',
-    'image/jpg',
-  ];
-
-  if (allowedMimes.includes(file.mimetype)) {
+  if (findExtractor(file.originalname)) {
     cb(null, true);
   } else {
-    cb(new Error('Invalid file type. Only PDF, PNG, and JPEG files are allowed.'), false);
+    const error = new Error(`Invalid file type. Supported files: ${supportedExtensions().join(', ')}`);
+    error.status = 400;
+    cb(error, false);
   }
 };
 
@@ -43,4 +39,54 @@ const upload = multer({
   },
 });
 
+// Batch uploads also accept zip archives of supported files
+const batchFileFilter = (req, file, cb) => {
+  const zipMimes = [
+    'application/zip',
+    'application/x-zip-compressed',
+  ];
+
+  if (zipMimes.includes(file.mimetype) || path.extname(file.originalname).toLowerCase() === '.zip') {
+    cb(null, true);
+  } else {
+    fileFilter(req, file, cb);
+  }
+};
+
+const BATCH_FILE_SIZE_LIMIT = 50 * 1024 * 1024; // 50MB limit (zip archives)
+
+const batchUpload = multer({
+  storage: storage,
+  fileFilter: batchFileFilter,
+  limits: {
+    fileSize: BATCH_FILE_SIZE_LIMIT,
+    files: 100,
+  },
+});
+
+// CSV imports are small and parsed in memory
+const csvFileFilter = (req, file, cb) => {
+  const csvMimes = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'];
+
+  if (csvMimes.includes(file.mimetype) || path.extname(file.originalname).toLowerCase() === '.csv') {
+    cb(null, true);
+  } else {
+    const error = new Error('Invalid file type. Only CSV files are allowed.');
+    error.status = 400;
+    cb(error, false);
+  }
+};
+
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: csvFileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+});
+
 module.exports = upload;
+module.exports.batchUpload = batchUpload;
+module.exports.BATCH_FILE_SIZE_LIMIT = BATCH_FILE_SIZE_LIMIT;
+module.exports.csvUpload = csvUpload;
+module.exports.uploadsDir = uploadsDir;
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const Workspace = require('../models/Workspace');
+
+// Higher rank includes the permissions of lower ranks
+const ROLE_RANK = {
+  viewer: 1,
+  editor: 2,
+  owner: 3,
+};
+
+/**
+ * Find the user's personal workspace, creating it on first use. The upsert
+ * and the unique index on { owner, personal } keep concurrent first requests
+ * from creating two.
+ */
+async function getPersonalWorkspace(user) {
+  const filter = { owner: user._id, personal: true };
+  const existing = await Workspace.findOne(filter);
+  if (existing) {
+    return existing;
+  }
+
+  // Personal workspaces created before `owner` was recorded are claimed by their owner member
+  const legacy = await Workspace.findOneAndUpdate(
+    { personal: true, owner: null, members: { $elemMatch: { user: user._id, role: 'owner' } } },
+    { $set: { owner: user._id } },
+    { new: true }
+  );
+  if (legacy) {
+    return legacy;
+  }
+
+  try {
+    return await Workspace.findOneAndUpdate(
+      filter,
+      {
+        $setOnInsert: {
+          name: user.name ? `${user.name}'s workspace` : 'Personal workspace',
+          members: [{ user: user._id, role: 'owner', joinedAt: new Date() }],
+        },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // Another request inserted it first
+    if (error.code === 11000) {
+      return Workspace.findOne(filter);
+    }
+    throw error;
+  }
+}
+
+/**
+ * True if a role includes the permissions of the required role
+ * @param {string} role - Member role
+ * @param {string} required - Minimum role (viewer, editor, owner)
+ * @returns {boolean}
+ */
+function hasRole(role, required) {
+  return (ROLE_RANK[role] || 0) >= ROLE_RANK[required];
+}
+
+/**
+ * Select the current workspace from the `X-Workspace-Id` header or `workspace`
+ * query parameter, falling back to the user's personal workspace.
+ * Sets req.workspace and req.workspaceRole; must run after requireAuth.
+ */
+async function resolveWorkspace(req, res, next) {
+  try {
+    const workspaceId = req.get('X-Workspace-Id') || req.query.workspace;
+
+    if (!workspaceId) {
+      req.workspace = await getPersonalWorkspace(req.user);
+      req.workspaceRole = 'owner';
+      return next();
+    }
+
+    const workspace = mongoose.Types.ObjectId.isValid(workspaceId)
+      ? await Workspace.findById(workspaceId)
+      : null;
+    const role = workspace ? workspace.getRole(req.user._id) : null;
+
+    if (!role) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    req.workspace = workspace;
+    req.workspaceRole = role;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Require at least the given role in the current workspace
+ * @param {string} required - Minimum role (viewer, editor, owner)
+ * @returns {Function} - Express middleware
+ */
+function requireRole(required) {
+  return (req, res, next) => {
+    if (!hasRole(req.workspaceRole, required)) {
+      return res.status(403).json({
+        error: `This action requires the ${required} role in this workspace`,
+        role: req.workspaceRole,
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  resolveWorkspace,
+  requireRole,
+  hasRole,
+  getPersonalWorkspace,
+};
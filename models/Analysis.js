@@ -1,28 +1,198 @@
 const mongoose = require('mongoose');
 
+// A sentence flagged by the readability metrics, with character offsets into extractedText
+const flaggedSentenceSchema = new mongoose.Schema({
+  text: String,
+  start: Number,
+  end: Number,
+  wordCount: Number,
+  grade: Number,
+}, { _id: false });
+
+// A sentence referenced by sentiment/emotion results
+const sentenceRefSchema = new mongoose.Schema({
+  text: String,
+  start: Number,
+  end: Number,
+  compound: Number,
+}, { _id: false });
+
+// A mention, link, emoji or hashtag found in extractedText, with character offsets
+const entitySchema = new mongoose.Schema({
+  text: String,
+  start: Number,
+  end: Number,
+}, { _id: false });
+
+// Author, timestamp and real engagement counts read from an uploaded post screenshot
+const screenshotSchema = new mongoose.Schema({
+  author: {
+    name: String,
+    handle: String,
+    headline: String,
+  },
+  timestamp: String,
+  metrics: {
+    likes: Number,
+    comments: Number,
+    reposts: Number,
+    views: Number,
+  },
+}, { _id: false });
+
+// Brand guideline violations, with character offsets into extractedText
+const brandLintSchema = new mongoose.Schema({
+  guidelines: [String],
+  violations: [{
+    _id: false,
+    rule: {
+      type: String,
+      enum: ['bannedWord', 'preferredTerm', 'disclaimer', 'exclamations', 'emojis', 'capitalization'],
+    },
+    severity: {
+      type: String,
+      enum: ['error', 'warning'],
+    },
+    guideline: String,
+    message: String,
+    text: String,
+    start: Number,
+    end: Number,
+    replacement: String,
+  }],
+  counts: {
+    errors: Number,
+    warnings: Number,
+  },
+  fixedText: String,
+}, { _id: false });
+
+// Compliance findings: disclosures, absolute claims and personal data (masked)
+const riskSchema = new mongoose.Schema({
+  level: {
+    type: String,
+    enum: ['high', 'medium', 'low', 'none'],
+  },
+  findings: [{
+    _id: false,
+    category: {
+      type: String,
+      enum: ['disclosure', 'claim', 'pii'],
+    },
+    type: { type: String },
+    severity: {
+      type: String,
+      enum: ['high', 'medium', 'low'],
+    },
+    message: String,
+    suggestion: String,
+    text: String,
+    start: Number,
+    end: Number,
+  }],
+  counts: {
+    high: Number,
+    medium: Number,
+    low: Number,
+  },
+}, { _id: false });
+
+// Actual results of the published post, for comparing with the predicted score
+const performanceSchema = new mongoose.Schema({
+  impressions: Number,
+  likes: Number,
+  comments: Number,
+  shares: Number,
+  clicks: Number,
+  source: {
+    type: String,
+    enum: ['manual', 'csv', 'screenshot'],
+    required: true,
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
 const analysisSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+  },
+  // User who saved the analysis
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
   fileName: {
     type: String,
     required: true,
   },
+  // Extractor file type (see utils/extractors); "text" is also used for pasted text
   fileType: {
     type: String,
     required: true,
-    enum: ['pdf', 'image'],
+    enum: ['pdf', 'image', 'document', 'text', 'webpage'],
   },
   extractedText: {
     type: String,
     required: true,
   },
+  platform: {
+    type: String,
+    enum: ['twitter', 'linkedin', 'instagram', 'threads', null],
+    default: null,
+  },
+  language: {
+    type: String,
+    enum: ['en', 'es', 'de', 'fr', 'hi'],
+    default: 'en',
+  },
   analysis: {
     engagementScore: {
       type: Number,
       required: true,
     },
+    scoreBreakdown: [{
+      _id: false,
+      factor: String,
+      label: String,
+      value: mongoose.Schema.Types.Mixed,
+      points: Number,
+      fix: String,
+    }],
+    scoringProfile: {
+      type: String,
+      default: 'default',
+    },
     readability: {
       type: String,
       required: true,
     },
+    readabilityMetrics: {
+      fleschReadingEase: Number,
+      fleschKincaidGrade: Number,
+      gunningFog: Number,
+      smog: Number,
+      colemanLiau: Number,
+      averageGrade: Number,
+      counts: {
+        sentences: Number,
+        words: Number,
+        syllables: Number,
+        complexWords: Number,
+        letters: Number,
+      },
+      longestSentences: [flaggedSentenceSchema],
+      hardestSentences: [flaggedSentenceSchema],
+    },
     lengthFeedback: {
       type: String,
       required: true,
@@ -30,6 +200,52 @@ const analysisSchema = new mongoose.Schema({
     hashtagSuggestions: [{
       type: String,
     }],
+    hashtagDetails: [{
+      _id: false,
+      tag: String,
+      score: Number,
+      source: {
+        type: String,
+        enum: ['keyword', 'phrase', 'library'],
+      },
+      category: String,
+    }],
+    hashtagWarnings: [{
+      type: String,
+    }],
+    hashtagLibrary: {
+      type: String,
+      default: 'default',
+    },
+    entities: {
+      mentions: [entitySchema.clone().add({ handle: String })],
+      links: [entitySchema.clone().add({ url: String, domain: String, shortened: Boolean })],
+      emojis: [entitySchema.clone().add({
+        emoji: String,
+        placement: { type: String, enum: ['start', 'inline', 'end'] },
+      })],
+      hashtags: [entitySchema.clone().add({
+        tag: String,
+        position: { type: String, enum: ['inline', 'trailing'] },
+      })],
+      emojiCounts: [{
+        _id: false,
+        emoji: String,
+        count: Number,
+      }],
+      counts: {
+        mentions: Number,
+        links: Number,
+        shortenedLinks: Number,
+        emojis: Number,
+        hashtags: Number,
+        inlineHashtags: Number,
+        trailingHashtags: Number,
+      },
+    },
+    entityFeedback: [{
+      type: String,
+    }],
     ctaSuggestions: [{
       type: String,
     }],
@@ -37,15 +253,143 @@ const analysisSchema = new mongoose.Schema({
       type: String,
       required: true,
     },
+    sentiment: {
+      compound: Number,
+      label: {
+        type: String,
+        enum: ['positive', 'negative', 'neutral'],
+      },
+      positive: Number,
+      negative: Number,
+      neutral: Number,
+      emotions: [{
+        _id: false,
+        emotion: String,
+        score: Number,
+        sentences: [sentenceRefSchema],
+      }],
+      dominantEmotion: String,
+      drivers: {
+        positive: [sentenceRefSchema],
+        negative: [sentenceRefSchema],
+      },
+    },
     improvedVersion: {
       type: String,
       required: true,
     },
+    alternatives: [{
+      _id: false,
+      strategy: String,
+      label: String,
+      text: String,
+      parts: [{
+        _id: false,
+        text: String,
+        charCount: Number,
+        engagementScore: Number,
+      }],
+      engagementScore: Number,
+      scoreChange: Number,
+    }],
+    platformWarnings: [{
+      type: String,
+    }],
+    brandLint: {
+      type: brandLintSchema,
+      default: null,
+    },
+    risks: {
+      type: riskSchema,
+      default: null,
+    },
+  },
+  // Saved with redactPII: edited and restored text is redacted too
+  redactPII: {
+    type: Boolean,
+    default: false,
+  },
+  // Personal data removed from extractedText before saving (see utils/riskScanner.js)
+  redactions: [{
+    _id: false,
+    type: { type: String },
+    count: Number,
+  }],
+  screenshot: {
+    type: screenshotSchema,
+    default: null,
+  },
+  performance: {
+    type: performanceSchema,
+    default: null,
+  },
+  // Hashtags used in the extracted text (lowercase, with #), for history filters
+  hashtags: [{
+    type: String,
+  }],
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AnalysisGroup',
+    default: null,
+  },
+  // Current revision number; every edit is kept in AnalysisRevision
+  revision: {
+    type: Number,
+    default: 1,
   },
   createdAt: {
     type: Date,
     default: Date.now,
   },
+  updatedAt: Date,
+});
+
+analysisSchema.pre('validate', function (next) {
+  if (this.isModified('extractedText')) {
+    const tags = (this.extractedText || '').match(/#[\p{L}\p{N}_]+/gu) || [];
+    this.hashtags = [...new Set(tags.map(tag => tag.toLowerCase()))];
+  }
+  // Counts read from a screenshot of the published post are its first recorded results
+  if (this.isModified('screenshot') && this.screenshot && !this.performance) {
+    const { metrics } = this.screenshot;
+    if (metrics && ['views', 'likes', 'comments', 'reposts'].some(key => typeof metrics[key] === 'number')) {
+      this.performance = {
+        impressions: metrics.views,
+        likes: metrics.likes,
+        comments: metrics.comments,
+        shares: metrics.reposts,
+        source: 'screenshot',
+        recordedBy: this.owner,
+      };
+    }
+  }
+  next();
 });
 
+// History (always scoped to a workspace): sorting and cursor pagination
+analysisSchema.index({ workspace: 1, createdAt: -1, _id: -1 });
+analysisSchema.index({ workspace: 1, 'analysis.engagementScore': -1, _id: -1 });
+
+// History filters
+analysisSchema.index({ workspace: 1, fileType: 1, createdAt: -1 });
+analysisSchema.index({ workspace: 1, hashtags: 1, createdAt: -1 });
+analysisSchema.index({ workspace: 1, 'analysis.sentiment.label': 1, createdAt: -1 });
+analysisSchema.index({ workspace: 1, 'analysis.sentiment.emotions.emotion': 1, createdAt: -1 });
+analysisSchema.index({ workspace: 1, 'analysis.risks.level': 1, createdAt: -1 });
+
+// Calibration against recorded results
+analysisSchema.index({ workspace: 1, 'performance.recordedAt': -1 });
+
+// History full-text search; no stemming since analyses span several languages,
+// and `language` holds ISO codes MongoDB's text search does not all support
+analysisSchema.index(
+  { fileName: 'text', extractedText: 'text' },
+  {
+    name: 'history_text_search',
+    weights: { fileName: 5, extractedText: 1 },
+    default_language: 'none',
+    language_override: 'textSearchLanguage',
+  }
+);
+
 module.exports = mongoose.model('Analysis', analysisSchema);
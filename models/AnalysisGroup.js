@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const analysisGroupSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+  },
+  // User who saved the group
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['batch', 'comparison'],
+  },
+  name: {
+    type: String,
+    default: '',
+  },
+  analyses: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Analysis',
+  }],
+  summary: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+analysisGroupSchema.index({ workspace: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AnalysisGroup', analysisGroupSchema);
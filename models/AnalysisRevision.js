@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Snapshot of an analysis after each edit; revision 1 is the original
+const analysisRevisionSchema = new mongoose.Schema({
+  analysisId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Analysis',
+    required: true,
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+  },
+  revision: {
+    type: Number,
+    required: true,
+  },
+  source: {
+    type: String,
+    required: true,
+    enum: ['original', 'edit', 'improved', 'restore'],
+  },
+  // Revision this one was restored from (source = restore)
+  restoredFrom: Number,
+  note: {
+    type: String,
+    default: '',
+  },
+  extractedText: {
+    type: String,
+    required: true,
+  },
+  platform: String,
+  language: String,
+  engagementScore: Number,
+  analysis: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// One document per revision number; a duplicate means a concurrent edit
+analysisRevisionSchema.index({ analysisId: 1, revision: 1 }, { unique: true });
+
+module.exports = mongoose.model('AnalysisRevision', analysisRevisionSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// House style rules checked on every analysis in the workspace (see utils/brandGuidelines.js)
+const brandGuidelineSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  // Inactive guidelines are kept but not applied
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  bannedWords: [{
+    _id: false,
+    term: { type: String, required: true },
+    replacement: String,
+    reason: String,
+  }],
+  // Spellings (variants) to replace with the house term, e.g. "ecommerce" -> "e-commerce"
+  preferredTerms: [{
+    _id: false,
+    term: { type: String, required: true },
+    variants: [String],
+    // Also flag the term itself written with other capitals (e.g. brand names)
+    caseSensitive: { type: Boolean, default: false },
+  }],
+  requiredDisclaimers: [{
+    _id: false,
+    text: { type: String, required: true },
+  }],
+  maxExclamations: {
+    type: Number,
+    default: null,
+  },
+  maxEmojis: {
+    type: Number,
+    default: null,
+  },
+  // Capitalization of headlines and bullet lines
+  capitalization: {
+    type: String,
+    enum: ['sentence', 'title', null],
+    default: null,
+  },
+  // Words that are always capitalized (not flagged by sentence case)
+  properNouns: [String],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+brandGuidelineSchema.index({ workspace: 1, active: 1, createdAt: 1 });
+
+module.exports = mongoose.model('BrandGuideline', brandGuidelineSchema);
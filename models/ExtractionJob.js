@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+const extractionJobSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Workspace whose webhooks are told when the job finishes
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+  },
+  // 'extraction' for one uploaded file, 'batch' for POST /api/batch
+  type: {
+    type: String,
+    enum: ['extraction', 'batch'],
+    default: 'extraction',
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued',
+  },
+  fileName: {
+    type: String,
+    required: true,
+  },
+  // Uploaded file kept on disk until the job finishes
+  filePath: {
+    type: String,
+    required: function () {
+      return this.type !== 'batch';
+    },
+  },
+  options: {
+    languages: mongoose.Schema.Types.Mixed,
+  },
+  progress: {
+    stage: {
+      type: String,
+      default: 'queued',
+    },
+    current: Number,
+    total: Number,
+    page: Number,
+    message: {
+      type: String,
+      default: 'Waiting in queue',
+    },
+  },
+  result: {
+    fileType: String,
+    extractedText: String,
+    extractionMethod: String,
+    pages: [{
+      _id: false,
+      pageNumber: Number,
+      extractionMethod: String,
+      charCount: Number,
+    }],
+    // Author, timestamp and engagement counts when the image is a post screenshot
+    screenshot: mongoose.Schema.Types.Mixed,
+    language: String,
+    languageConfidence: Number,
+    // Compliance findings (utils/riskScanner.js)
+    risks: mongoose.Schema.Types.Mixed,
+  },
+  // Batch jobs: the files (kept on disk until the job finishes), how to
+  // analyze and save them, and the per-file results
+  batch: {
+    files: {
+      type: [{
+        _id: false,
+        path: String,
+        originalname: String,
+        // Id given to the file's saved analysis, so a retried job saves it only once
+        analysisId: mongoose.Schema.Types.ObjectId,
+      }],
+      default: undefined,
+    },
+    // Id given to the saved group, for the same reason
+    groupId: mongoose.Schema.Types.ObjectId,
+    // { platform, industry, name, saveToHistory, redactPII }
+    options: mongoose.Schema.Types.Mixed,
+    // { saved, groupId, summary, results }
+    result: mongoose.Schema.Types.Mixed,
+  },
+  error: {
+    message: String,
+    suggestion: String,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  startedAt: Date,
+  completedAt: Date,
+});
+
+extractionJobSchema.index({ status: 1, createdAt: 1 });
+
+// Finished jobs are removed after 7 days
+extractionJobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ExtractionJob', extractionJobSchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// A saved analysis (or one of its rewrites) planned for publishing
+const scheduledPostSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+  },
+  analysis: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Analysis',
+    required: true,
+  },
+  // Revision of the analysis the text was taken from; later edits do not change the post
+  analysisRevision: {
+    type: Number,
+    default: 1,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // "original", "improved" or a rewrite strategy (tighten, hookFirst, thread, bullets)
+  version: {
+    type: String,
+    default: 'original',
+  },
+  text: {
+    type: String,
+    required: true,
+  },
+  // Thread posts are published part by part
+  parts: [String],
+  platforms: [{
+    type: String,
+    required: true,
+  }],
+  publishAt: {
+    type: Date,
+    required: true,
+  },
+  // IANA time zone the post was planned in, e.g. "Europe/Berlin"
+  timezone: {
+    type: String,
+    default: 'UTC',
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'approved', 'scheduled', 'published', 'failed'],
+    default: 'draft',
+  },
+  note: {
+    type: String,
+    default: '',
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  approvedAt: Date,
+  publishedAt: Date,
+  // One entry per platform the post went out on
+  publications: [{
+    _id: false,
+    platform: String,
+    publisher: String,
+    externalId: String,
+    url: String,
+    publishedAt: Date,
+  }],
+  error: {
+    message: String,
+    platform: String,
+    at: Date,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  // Set while the scheduler is publishing the post
+  lockedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+scheduledPostSchema.index({ workspace: 1, publishAt: 1 });
+scheduledPostSchema.index({ status: 1, publishAt: 1 });
+scheduledPostSchema.index({ analysis: 1 });
+
+module.exports = mongoose.model('ScheduledPost', scheduledPostSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// API key for scripted access; only a SHA-256 hash of the key is stored
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    default: '',
+  },
+  // First characters of the key, shown so users can tell keys apart
+  prefix: {
+    type: String,
+    required: true,
+  },
+  keyHash: {
+    type: String,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastUsedAt: Date,
+});
+
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+  },
+  name: {
+    type: String,
+    default: '',
+  },
+  passwordHash: {
+    type: String,
+    required: true,
+  },
+  apiKeys: [apiKeySchema],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+userSchema.index({ 'apiKeys.keyHash': 1 });
+
+// Never send password or key hashes to clients
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.__v;
+    (ret.apiKeys || []).forEach((key) => {
+      delete key.keyHash;
+    });
+    return ret;
+  },
+});
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Endpoint that receives signed event notifications (see utils/webhookQueue.js)
+const webhookSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  // Event names from utils/webhooks.js, or "*" for all of them
+  events: {
+    type: [String],
+    required: true,
+  },
+  // Deliveries are signed with HMAC-SHA256 using this secret
+  secret: {
+    type: String,
+    required: true,
+  },
+  // Inactive webhooks keep their delivery log but receive nothing
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+webhookSchema.index({ workspace: 1, active: 1 });
+
+// The secret is only returned when it is created or rotated
+webhookSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    delete ret.secret;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// One event sent to one webhook, with every attempt to deliver it
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true,
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+  },
+  event: {
+    type: String,
+    required: true,
+  },
+  // Request body, kept so the delivery can be retried or sent again
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending',
+  },
+  attempts: [{
+    _id: false,
+    at: Date,
+    statusCode: Number,
+    // Start of the response body, or the network error
+    response: String,
+    error: String,
+    durationMs: Number,
+  }],
+  // Delivery this one was sent again from (POST /api/webhooks/:id/deliveries/:deliveryId/redeliver)
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Set while a delivery attempt is in flight
+  lockedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  completedAt: Date,
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, _id: -1 });
+
+// Finished deliveries are removed after 30 days
+webhookDeliverySchema.index({ completedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const ROLES = ['owner', 'editor', 'viewer'];
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  role: {
+    type: String,
+    required: true,
+    enum: ROLES,
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+// Pending invitation; only a SHA-256 hash of the token is stored
+const invitationSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+  },
+  role: {
+    type: String,
+    required: true,
+    enum: ['editor', 'viewer'],
+  },
+  // Optional: restrict the invitation to one email address
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Each user gets one personal workspace, used when no workspace is selected
+  personal: {
+    type: Boolean,
+    default: false,
+  },
+  // User a personal workspace belongs to (not set on team workspaces)
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  members: [memberSchema],
+  invitations: [invitationSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+workspaceSchema.index({ 'members.user': 1 });
+workspaceSchema.index({ 'invitations.tokenHash': 1 });
+// One personal workspace per user, even when their first requests arrive together
+workspaceSchema.index(
+  { owner: 1, personal: 1 },
+  { unique: true, partialFilterExpression: { personal: true, owner: { $exists: true } } }
+);
+
+// Never send invitation token hashes to clients
+workspaceSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    (ret.invitations || []).forEach((invitation) => {
+      delete invitation.tokenHash;
+    });
+    return ret;
+  },
+});
+
+/**
+ * Role of a user in this workspace, or null if they are not a member
+ * (works whether or not members.user is populated)
+ */
+workspaceSchema.methods.getRole = function (userId) {
+  const member = this.members.find(m => String((m.user && m.user._id) || m.user) === String(userId));
+  return member ? member.role : null;
+};
+
+module.exports = mongoose.model('Workspace', workspaceSchema);
+module.exports.ROLES = ROLES;
@@ -1,37 +1,125 @@
 const express = require('express');
 const router = express.Router();
-const { analyzeContent } = require('../utils/analyzer');
+const { analyzeContent, generateAlternatives } = require('../utils/analyzer');
+const { REWRITE_STRATEGIES } = require('../utils/rewriter');
+const { PLATFORM_PROFILES, resolvePlatform } = require('../utils/platforms');
+const { LANGUAGES, resolveLanguage } = require('../utils/languages');
+const { loadScoringProfile, listScoringProfiles } = require('../utils/scoringProfile');
+const { loadHashtagLibrary, listHashtagLibraries } = require('../utils/hashtagLibrary');
+const { getCorpusStats } = require('../utils/hashtagCorpus');
+const { getActiveGuidelines } = require('../utils/brandGuidelines');
+const { normalizeScreenshot } = require('../utils/screenshotLayout');
+const { redactPII, parseRedactOption } = require('../utils/riskScanner');
+const { emitEvent } = require('../utils/webhookQueue');
+const { analysisEventData } = require('../utils/webhooks');
 const Analysis = require('../models/Analysis');
+const { hasRole } = require('../middleware/workspace');
 
 /**
  * POST /api/analyze
  * Analyze extracted text and optionally save to database
+ * Accepts an optional `platform` (twitter/x, linkedin, instagram, threads)
+ * to score the post against that platform's rules, and an optional `language`
+ * (detected from the text when omitted). `scoringProfile` selects the weights
+ * used for the engagement score (a profile name or a partial profile object).
+ * `industry` picks the hashtag library (see GET /api/analyze/hashtag-libraries);
+ * hashtag keywords are weighted against the workspace's saved history.
+ * The workspace's active brand guidelines are checked too (see `brandLint`).
+ * `screenshot` (as returned by POST /api/upload) is saved with the analysis so
+ * the real engagement counts sit next to the predicted score.
+ * Compliance findings come back in `analysis.risks`; with `redactPII: true`
+ * emails, phone, card and ID numbers are replaced with placeholders before
+ * the text is analyzed and saved (the redacted text is returned as `extractedText`)
  */
 router.post('/', async (req, res, next) => {
   try {
-    const { text, fileName, fileType, saveToHistory } = req.body;
+    const { text, fileName, fileType, saveToHistory, platform, language, scoringProfile, industry } = req.body;
+
+    if (saveToHistory && !hasRole(req.workspaceRole, 'editor')) {
+      return res.status(403).json({
+        error: 'Saving to history requires the editor role in this workspace',
+        role: req.workspaceRole,
+      });
+    }
 
     if (!text || text.trim().length === 0) {
       return res.status(400).json({ error: 'Text is required for analysis' });
     }
 
+    if (platform && !resolvePlatform(platform)) {
+      return res.status(400).json({
+        error: `Unsupported platform: ${platform}`,
+        supportedPlatforms: Object.keys(PLATFORM_PROFILES),
+      });
+    }
+
+    if (language && !resolveLanguage(language)) {
+      return res.status(400).json({
+        error: `Unsupported language: ${language}`,
+        supportedLanguages: Object.keys(LANGUAGES),
+      });
+    }
+
+    try {
+      loadScoringProfile(scoringProfile);
+    } catch (profileError) {
+      return res.status(400).json({
+        error: profileError.message,
+        scoringProfiles: listScoringProfiles(),
+      });
+    }
+
+    if (industry) {
+      try {
+        loadHashtagLibrary(industry);
+      } catch (libraryError) {
+        return res.status(400).json({
+          error: libraryError.message,
+          hashtagLibraries: listHashtagLibraries().map(library => library.name),
+        });
+      }
+    }
+
+    let screenshot;
+    try {
+      screenshot = normalizeScreenshot(req.body.screenshot);
+    } catch (screenshotError) {
+      return res.status(400).json({ error: screenshotError.message, suggestion: screenshotError.suggestion });
+    }
+
+    const redaction = parseRedactOption(req.body.redactPII) ? redactPII(text) : null;
+    const analyzedText = redaction ? redaction.text : text;
+
     // Analyze the content
-    const analysis = analyzeContent(text);
+    const corpus = await getCorpusStats(req.workspace._id);
+    const guidelines = await getActiveGuidelines(req.workspace._id);
+    const analysis = analyzeContent(analyzedText, { platform, language, scoringProfile, industry, corpus, guidelines });
 
     // Save to database if requested
     let savedAnalysis = null;
     if (saveToHistory && fileName && fileType) {
       savedAnalysis = await Analysis.create({
+        workspace: req.workspace._id,
+        owner: req.user._id,
         fileName: fileName,
         fileType: fileType,
-        extractedText: text,
+        extractedText: analyzedText,
+        platform: analysis.platform,
+        language: analysis.language,
         analysis: analysis,
+        screenshot: screenshot,
+        redactPII: redaction ? true : false,
+        redactions: redaction ? redaction.redactions : [],
       });
+      emitEvent(req.workspace._id, 'analysis.created', analysisEventData(savedAnalysis));
     }
 
     res.json({
       success: true,
       analysis: analysis,
+      screenshot: screenshot,
+      extractedText: analyzedText,
+      redactions: redaction ? redaction.redactions : [],
       saved: savedAnalysis ? true : false,
       analysisId: savedAnalysis ? savedAnalysis._id : null,
     });
@@ -40,4 +128,88 @@ router.post('/', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/analyze/rewrite
+ * Rewrite a post with local rules and score each alternative
+ * Body: { text, strategies (tighten, hookFirst, thread, bullets; default all),
+ * platform, language, scoringProfile }
+ */
+router.post('/rewrite', async (req, res, next) => {
+  try {
+    const { text, strategies, platform, language, scoringProfile } = req.body;
+
+    if (!text || text.trim().length === 0) {
+      return res.status(400).json({ error: 'Text is required for rewriting' });
+    }
+
+    if (strategies !== undefined && (!Array.isArray(strategies) ||
+      strategies.some(strategy => !REWRITE_STRATEGIES.includes(strategy)))) {
+      return res.status(400).json({
+        error: 'Invalid rewrite strategies',
+        supportedStrategies: REWRITE_STRATEGIES,
+      });
+    }
+
+    if (platform && !resolvePlatform(platform)) {
+      return res.status(400).json({
+        error: `Unsupported platform: ${platform}`,
+        supportedPlatforms: Object.keys(PLATFORM_PROFILES),
+      });
+    }
+
+    if (language && !resolveLanguage(language)) {
+      return res.status(400).json({
+        error: `Unsupported language: ${language}`,
+        supportedLanguages: Object.keys(LANGUAGES),
+      });
+    }
+
+    try {
+      loadScoringProfile(scoringProfile);
+    } catch (profileError) {
+      return res.status(400).json({
+        error: profileError.message,
+        scoringProfiles: listScoringProfiles(),
+      });
+    }
+
+    const alternatives = generateAlternatives(text, {
+      platform,
+      language,
+      scoringProfile,
+      rewriteStrategies: strategies,
+      guidelines: await getActiveGuidelines(req.workspace._id),
+    });
+
+    res.json({
+      success: true,
+      alternatives: alternatives,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/analyze/hashtag-libraries
+ * List the available industry hashtag libraries
+ */
+router.get('/hashtag-libraries', (req, res) => {
+  res.json({
+    success: true,
+    hashtagLibraries: listHashtagLibraries(),
+  });
+});
+
+/**
+ * GET /api/analyze/scoring-profiles
+ * List the available scoring profiles
+ */
+router.get('/scoring-profiles', (req, res) => {
+  res.json({
+    success: true,
+    scoringProfiles: listScoringProfiles(),
+  });
+});
+
 module.exports = router;
@@ -0,0 +1,160 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { requireAuth } = require('../middleware/auth');
+const {
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+  signToken,
+  generateApiKey,
+} = require('../utils/auth');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * POST /api/auth/register
+ * Create an account and return an access token
+ */
+router.post('/register', async (req, res, next) => {
+  try {
+    const { email, password, name } = req.body;
+
+    if (!email || !EMAIL_PATTERN.test(String(email).trim())) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const normalizedEmail = String(email).trim().toLowerCase();
+    if (await User.exists({ email: normalizedEmail })) {
+      return res.status(409).json({
+        error: 'An account with this email already exists',
+        suggestion: 'Log in via /api/auth/login instead',
+      });
+    }
+
+    const user = await User.create({
+      email: normalizedEmail,
+      name: name || '',
+      passwordHash: await hashPassword(password),
+    });
+
+    res.status(201).json({
+      success: true,
+      token: signToken(user),
+      user: user,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Exchange email and password for an access token
+ */
+router.post('/login', async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const user = await User.findOne({ email: String(email).trim().toLowerCase() });
+    if (!user || !(await verifyPassword(String(password), user.passwordHash))) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    res.json({
+      success: true,
+      token: signToken(user),
+      user: user,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Get the signed-in user
+ */
+router.get('/me', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    user: req.user,
+  });
+});
+
+/**
+ * GET /api/auth/api-keys
+ * List the user's API keys (prefixes only)
+ */
+router.get('/api-keys', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    apiKeys: req.user.toJSON().apiKeys,
+  });
+});
+
+/**
+ * POST /api/auth/api-keys
+ * Create an API key for scripted access; the key is only returned once
+ */
+router.post('/api-keys', requireAuth, async (req, res, next) => {
+  try {
+    const { key, prefix, keyHash } = generateApiKey();
+
+    req.user.apiKeys.push({
+      name: req.body.name || '',
+      prefix: prefix,
+      keyHash: keyHash,
+    });
+    await req.user.save();
+
+    const created = req.user.apiKeys[req.user.apiKeys.length - 1];
+    res.status(201).json({
+      success: true,
+      apiKey: {
+        _id: created._id,
+        name: created.name,
+        prefix: created.prefix,
+        createdAt: created.createdAt,
+        key: key,
+      },
+      message: 'Store this key now; it cannot be shown again',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/auth/api-keys/:id
+ * Revoke an API key
+ */
+router.delete('/api-keys/:id', requireAuth, async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !req.user.apiKeys.id(req.params.id)) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    req.user.apiKeys.pull(req.params.id);
+    await req.user.save();
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
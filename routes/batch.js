@@ -0,0 +1,145 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const { batchUpload, uploadsDir, BATCH_FILE_SIZE_LIMIT } = require('../middleware/upload');
+const { normalizeOCRLanguages } = require('../utils/ocrExtractor');
+const { PLATFORM_PROFILES, resolvePlatform } = require('../utils/platforms');
+const { LANGUAGES } = require('../utils/languages');
+const { loadHashtagLibrary, listHashtagLibraries } = require('../utils/hashtagLibrary');
+const { MAX_BATCH_FILES, expandZipArchives } = require('../utils/batchProcessor');
+const { enqueueBatch } = require('../utils/jobQueue');
+const { hasRole } = require('../middleware/workspace');
+const { parseRedactOption } = require('../utils/riskScanner');
+const fs = require('fs').promises;
+
+/**
+ * Delete uploaded files that will not be processed
+ */
+async function cleanupFiles(files) {
+  await Promise.all((files || []).map(file => fs.unlink(file.path).catch(err => {
+    console.error('Error deleting file:', err);
+  })));
+}
+
+/**
+ * Receive the `files` upload, answering 400 when it breaks an upload limit
+ * (multer has already deleted the files it wrote)
+ */
+function receiveFiles(req, res, next) {
+  batchUpload.array('files', MAX_BATCH_FILES)(req, res, (error) => {
+    if (!(error instanceof multer.MulterError)) {
+      return next(error);
+    }
+    if (error.code === 'LIMIT_FILE_COUNT') {
+      return res.status(400).json({ error: `Too many files. A batch can contain at most ${MAX_BATCH_FILES} files.` });
+    }
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({ error: `File too large. Each file can be at most ${BATCH_FILE_SIZE_LIMIT / 1024 / 1024}MB.` });
+    }
+    res.status(400).json({ error: error.message });
+  });
+}
+
+/**
+ * POST /api/batch
+ * Upload many files of any type POST /api/upload accepts (or zip archives of them) under the `files` field
+ * and queue them as a batch job, which extracts and analyzes each one and saves the results as a group in
+ * history. Responds with 202 and a job ID; /api/jobs/:id reports progress file by file and, once the job
+ * has completed, returns { saved, groupId, summary, results } as its result.
+ * Optional fields: `platform`, `languages`, `industry`, `name`, `saveToHistory` (default true),
+ * `redactPII` (remove emails, phone, card and ID numbers from the text before analysis)
+ */
+router.post('/', receiveFiles, async (req, res, next) => {
+  let files = req.files || [];
+
+  try {
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    const { platform, industry, name } = req.body;
+    const saveToHistory = req.body.saveToHistory !== 'false' && req.body.saveToHistory !== false;
+    const redact = parseRedactOption(req.body.redactPII);
+
+    if (saveToHistory && !hasRole(req.workspaceRole, 'editor')) {
+      await cleanupFiles(files);
+      return res.status(403).json({
+        error: 'Saving to history requires the editor role in this workspace',
+        role: req.workspaceRole,
+      });
+    }
+
+    if (platform && !resolvePlatform(platform)) {
+      await cleanupFiles(files);
+      return res.status(400).json({
+        error: `Unsupported platform: ${platform}`,
+        supportedPlatforms: Object.keys(PLATFORM_PROFILES),
+      });
+    }
+
+    if (industry) {
+      try {
+        loadHashtagLibrary(industry);
+      } catch (libraryError) {
+        await cleanupFiles(files);
+        return res.status(400).json({
+          error: libraryError.message,
+          hashtagLibraries: listHashtagLibraries().map(library => library.name),
+        });
+      }
+    }
+
+    let languages;
+    try {
+      languages = normalizeOCRLanguages(req.body.languages);
+    } catch (langError) {
+      await cleanupFiles(files);
+      return res.status(400).json({
+        error: langError.message,
+        supportedLanguages: Object.keys(LANGUAGES),
+      });
+    }
+
+    try {
+      files = await expandZipArchives(files, uploadsDir);
+    } catch (zipError) {
+      await cleanupFiles(files);
+      return res.status(400).json({ error: zipError.message });
+    }
+
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No supported files found in the upload' });
+    }
+
+    if (files.length > MAX_BATCH_FILES) {
+      await cleanupFiles(files);
+      return res.status(400).json({
+        error: `Too many files: ${files.length}. A batch can contain at most ${MAX_BATCH_FILES} files.`,
+      });
+    }
+
+    const job = await enqueueBatch({
+      owner: req.user._id,
+      workspace: req.workspace._id,
+      files: files,
+      languages: languages,
+      options: { platform, industry, name, saveToHistory, redactPII: redact },
+    });
+    // The job deletes the files when it finishes
+    files = [];
+
+    res.status(202).json({
+      success: true,
+      jobId: job._id,
+      status: job.status,
+      fileCount: job.batch.files.length,
+      statusUrl: `/api/jobs/${job._id}`,
+      eventsUrl: `/api/jobs/${job._id}/events`,
+    });
+  } catch (error) {
+    await cleanupFiles(files);
+    next(error);
+  }
+});
+
+module.exports = router;
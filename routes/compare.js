@@ -0,0 +1,126 @@
+const express = require('express');
+const router = express.Router();
+const { compareVariants } = require('../utils/comparator');
+const { PLATFORM_PROFILES, resolvePlatform } = require('../utils/platforms');
+const { LANGUAGES, resolveLanguage } = require('../utils/languages');
+const { loadScoringProfile, listScoringProfiles } = require('../utils/scoringProfile');
+const { loadHashtagLibrary, listHashtagLibraries } = require('../utils/hashtagLibrary');
+const { getCorpusStats } = require('../utils/hashtagCorpus');
+const { getActiveGuidelines } = require('../utils/brandGuidelines');
+const { emitEvent } = require('../utils/webhookQueue');
+const { analysisEventData } = require('../utils/webhooks');
+const Analysis = require('../models/Analysis');
+const AnalysisGroup = require('../models/AnalysisGroup');
+const { hasRole } = require('../middleware/workspace');
+
+/**
+ * POST /api/compare
+ * Analyze two or more drafts of a post and rank them
+ * Body: { variants: [text | { label, text }], platform, language, scoringProfile, industry, saveToHistory, name }
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { variants, platform, language, scoringProfile, industry, saveToHistory, name } = req.body;
+
+    if (saveToHistory && !hasRole(req.workspaceRole, 'editor')) {
+      return res.status(403).json({
+        error: 'Saving to history requires the editor role in this workspace',
+        role: req.workspaceRole,
+      });
+    }
+
+    if (platform && !resolvePlatform(platform)) {
+      return res.status(400).json({
+        error: `Unsupported platform: ${platform}`,
+        supportedPlatforms: Object.keys(PLATFORM_PROFILES),
+      });
+    }
+
+    if (language && !resolveLanguage(language)) {
+      return res.status(400).json({
+        error: `Unsupported language: ${language}`,
+        supportedLanguages: Object.keys(LANGUAGES),
+      });
+    }
+
+    try {
+      loadScoringProfile(scoringProfile);
+    } catch (profileError) {
+      return res.status(400).json({
+        error: profileError.message,
+        scoringProfiles: listScoringProfiles(),
+      });
+    }
+
+    if (industry) {
+      try {
+        loadHashtagLibrary(industry);
+      } catch (libraryError) {
+        return res.status(400).json({
+          error: libraryError.message,
+          hashtagLibraries: listHashtagLibraries().map(library => library.name),
+        });
+      }
+    }
+
+    const corpus = await getCorpusStats(req.workspace._id);
+    const guidelines = await getActiveGuidelines(req.workspace._id);
+    let comparison;
+    try {
+      comparison = compareVariants(variants, { platform, language, scoringProfile, industry, corpus, guidelines });
+    } catch (compareError) {
+      return res.status(400).json({ error: compareError.message });
+    }
+
+    // Save every variant as one comparison group in history
+    let group = null;
+    if (saveToHistory) {
+      group = await AnalysisGroup.create({
+        workspace: req.workspace._id,
+        owner: req.user._id,
+        type: 'comparison',
+        name: name || `Comparison of ${comparison.ranking.length} variants`,
+        summary: {
+          winner: comparison.winner,
+          explanation: comparison.explanation,
+          ranking: comparison.ranking.map(variant => ({
+            rank: variant.rank,
+            label: variant.label,
+            engagementScore: variant.engagementScore,
+            factors: variant.factors,
+          })),
+        },
+      });
+
+      for (const variant of comparison.ranking) {
+        const saved = await Analysis.create({
+          workspace: req.workspace._id,
+          owner: req.user._id,
+          fileName: variant.label,
+          fileType: 'text',
+          extractedText: variant.text,
+          platform: variant.analysis.platform,
+          language: variant.analysis.language,
+          analysis: variant.analysis,
+          group: group._id,
+        });
+        variant.analysisId = saved._id;
+        group.analyses.push(saved._id);
+        emitEvent(req.workspace._id, 'analysis.created', analysisEventData(saved));
+      }
+
+      await group.save();
+    }
+
+    res.json({
+      success: true,
+      ...comparison,
+      saved: group ? true : false,
+      groupId: group ? group._id : null,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
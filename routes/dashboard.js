@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const { getDashboard } = require('../utils/dashboard');
+
+/**
+ * GET /api/dashboard
+ * Aggregate the current workspace's saved analyses: engagement-score trend
+ * (interval=day|week|month), readability and tone distributions, most
+ * suggested hashtags, average word count, and best and worst posts.
+ * Period: from/to (default: the last 90 days); timezone sets bucket boundaries.
+ * Accepts the same filters as GET /api/history (q, fileType, minScore, tone, hashtags, ...)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    let dashboard;
+    try {
+      dashboard = await getDashboard(req.workspace._id, req.query);
+    } catch (dashboardError) {
+      if (dashboardError.status !== 400) throw dashboardError;
+      return res.status(400).json({
+        error: dashboardError.message,
+        suggestion: dashboardError.suggestion,
+      });
+    }
+
+    res.json({
+      success: true,
+      dashboard: dashboard,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
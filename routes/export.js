@@ -0,0 +1,125 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Analysis = require('../models/Analysis');
+const AnalysisGroup = require('../models/AnalysisGroup');
+const { buildHistoryQuery } = require('../utils/historyQuery');
+const { EXPORT_FORMATS, streamAnalyses } = require('../utils/exporters');
+const { createReport } = require('../utils/pdfReport');
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+};
+
+/**
+ * Make a string safe to use in a download file name
+ */
+function toFileName(name) {
+  return String(name || 'report').replace(/[^\w.-]+/g, '_').slice(0, 80) || 'report';
+}
+
+/**
+ * GET /api/export/analyses
+ * Stream the current workspace's analyses as CSV (format=csv, default) or
+ * newline-delimited JSON (format=ndjson). Accepts the same filters and sort
+ * as GET /api/history; pagination parameters are ignored.
+ */
+router.get('/analyses', async (req, res, next) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `Unsupported export format: ${format}`,
+        supportedFormats: EXPORT_FORMATS,
+      });
+    }
+
+    let query;
+    try {
+      const { cursor, limit, ...filters } = req.query;
+      query = buildHistoryQuery(filters);
+    } catch (queryError) {
+      if (queryError.status !== 400) throw queryError;
+      return res.status(400).json({
+        error: queryError.message,
+        suggestion: queryError.suggestion,
+      });
+    }
+
+    const cursor = Analysis.find({ ...query.filter, workspace: req.workspace._id })
+      .sort(query.sort)
+      .lean()
+      .cursor();
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', CONTENT_TYPES[format]);
+    res.attachment(`analyses-${date}.${format}`);
+
+    await streamAnalyses(cursor, res, format);
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('Error streaming export:', error);
+      return res.destroy(error);
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /api/export/analyses/:id/report.pdf
+ * PDF report for one analysis: original text, score breakdown, suggestions
+ * and improved version
+ */
+router.get('/analyses/:id/report.pdf', async (req, res, next) => {
+  try {
+    const analysis = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Analysis.findOne({ _id: req.params.id, workspace: req.workspace._id }).lean()
+      : null;
+
+    if (!analysis) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+
+    res.set('Content-Type', 'application/pdf');
+    res.attachment(`${toFileName(analysis.fileName)}-report.pdf`);
+    createReport([analysis]).pipe(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/export/groups/:id/report.pdf
+ * PDF report for a batch or comparison: a cover page listing every post,
+ * then one section per analysis
+ */
+router.get('/groups/:id/report.pdf', async (req, res, next) => {
+  try {
+    const group = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await AnalysisGroup.findOne({ _id: req.params.id, workspace: req.workspace._id }).lean()
+      : null;
+
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    const analyses = await Analysis.find({ _id: { $in: group.analyses }, workspace: req.workspace._id }).lean();
+    if (analyses.length === 0) {
+      return res.status(404).json({ error: 'This group has no saved analyses' });
+    }
+
+    // Keep the group's order (comparisons are stored by rank)
+    const order = group.analyses.map(String);
+    analyses.sort((a, b) => order.indexOf(String(a._id)) - order.indexOf(String(b._id)));
+
+    const title = group.name || (group.type === 'batch' ? 'Batch report' : 'Comparison report');
+    res.set('Content-Type', 'application/pdf');
+    res.attachment(`${toFileName(title)}.pdf`);
+    createReport(analyses, { title: title, summary: group.summary }).pipe(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
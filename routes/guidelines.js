@@ -0,0 +1,190 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const BrandGuideline = require('../models/BrandGuideline');
+const { requireRole } = require('../middleware/workspace');
+const { normalizeGuideline, lintBrandGuidelines, getActiveGuidelines } = require('../utils/brandGuidelines');
+
+/**
+ * Load a guideline in the current workspace, responding with 404 if it does not exist
+ */
+async function findGuideline(req, res) {
+  const guideline = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await BrandGuideline.findOne({ _id: req.params.id, workspace: req.workspace._id })
+    : null;
+
+  if (!guideline) {
+    res.status(404).json({ error: 'Guideline not found' });
+    return null;
+  }
+  return guideline;
+}
+
+/**
+ * Validate a guideline body, responding with 400 if it is invalid
+ */
+function readGuideline(req, res, existing) {
+  try {
+    return normalizeGuideline(req.body, existing);
+  } catch (guidelineError) {
+    if (guidelineError.status !== 400) throw guidelineError;
+    res.status(400).json({
+      error: guidelineError.message,
+      suggestion: guidelineError.suggestion,
+    });
+    return null;
+  }
+}
+
+/**
+ * GET /api/guidelines
+ * List the workspace's brand guidelines; active ones are applied to every analysis
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const guidelines = await BrandGuideline.find({ workspace: req.workspace._id })
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      guidelines: guidelines,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/guidelines
+ * Create a brand guideline
+ * Body: { name, description, active, bannedWords: [{ term, replacement, reason }],
+ * preferredTerms: [{ term, variants, caseSensitive }], requiredDisclaimers: [{ text }],
+ * maxExclamations, maxEmojis, capitalization (sentence/title), properNouns }
+ */
+router.post('/', requireRole('editor'), async (req, res, next) => {
+  try {
+    const fields = readGuideline(req, res);
+    if (!fields) return;
+
+    const guideline = await BrandGuideline.create({
+      ...fields,
+      workspace: req.workspace._id,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      guideline: guideline,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/guidelines/check
+ * Check text against the active guidelines without running a full analysis
+ * Body: { text, guidelineId (optional: check one guideline, active or not) }
+ */
+router.post('/check', async (req, res, next) => {
+  try {
+    const { text, guidelineId } = req.body;
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      return res.status(400).json({ error: 'Text is required' });
+    }
+
+    let guidelines;
+    if (guidelineId) {
+      const guideline = mongoose.Types.ObjectId.isValid(guidelineId)
+        ? await BrandGuideline.findOne({ _id: guidelineId, workspace: req.workspace._id }).lean()
+        : null;
+      if (!guideline) {
+        return res.status(404).json({ error: 'Guideline not found' });
+      }
+      guidelines = [guideline];
+    } else {
+      guidelines = await getActiveGuidelines(req.workspace._id);
+    }
+
+    if (guidelines.length === 0) {
+      return res.status(400).json({
+        error: 'This workspace has no active brand guidelines',
+        suggestion: 'Create one with POST /api/guidelines',
+      });
+    }
+
+    res.json({
+      success: true,
+      brandLint: lintBrandGuidelines(text, guidelines),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/guidelines/:id
+ * Get a brand guideline
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const guideline = await findGuideline(req, res);
+    if (!guideline) return;
+
+    res.json({
+      success: true,
+      guideline: guideline,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/guidelines/:id
+ * Update a brand guideline; fields that are not sent keep their values
+ */
+router.put('/:id', requireRole('editor'), async (req, res, next) => {
+  try {
+    const guideline = await findGuideline(req, res);
+    if (!guideline) return;
+
+    const fields = readGuideline(req, res, guideline.toObject());
+    if (!fields) return;
+
+    guideline.set({ ...fields, updatedAt: new Date() });
+    await guideline.save();
+
+    res.json({
+      success: true,
+      guideline: guideline,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/guidelines/:id
+ * Delete a brand guideline (saved analyses keep the violations found earlier)
+ */
+router.delete('/:id', requireRole('editor'), async (req, res, next) => {
+  try {
+    const guideline = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await BrandGuideline.findOneAndDelete({ _id: req.params.id, workspace: req.workspace._id })
+      : null;
+
+    if (!guideline) {
+      return res.status(404).json({ error: 'Guideline not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Guideline deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,21 +1,99 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Analysis = require('../models/Analysis');
+const AnalysisGroup = require('../models/AnalysisGroup');
+const { buildHistoryQuery, encodeCursor } = require('../utils/historyQuery');
+const AnalysisRevision = require('../models/AnalysisRevision');
+const { requireRole } = require('../middleware/workspace');
+const { reviseAnalysis, listRevisions, getRevision, restoreRevision } = require('../utils/analysisRevisions');
+const { PLATFORM_PROFILES, resolvePlatform } = require('../utils/platforms');
+const { LANGUAGES, resolveLanguage } = require('../utils/languages');
+const { loadScoringProfile, listScoringProfiles } = require('../utils/scoringProfile');
+const { normalizePerformance, engagementRate } = require('../utils/performance');
+const { emitEvent } = require('../utils/webhookQueue');
+const { analysisEventData } = require('../utils/webhooks');
 
 /**
  * GET /api/history
- * Get analysis history
+ * Get the current workspace's analysis history, newest first, one page at a time
+ * Filters: q (full-text search over extracted text and file name), fileType,
+ * minScore/maxScore, from/to (dates), tone, hashtags, sentiment, emotion,
+ * minSentiment/maxSentiment and risk (compliance risk levels, e.g. high).
+ * Sort with sort=date|score and order=desc|asc.
+ * Pass pagination.nextCursor back as `cursor` to get the next page.
  */
 router.get('/', async (req, res, next) => {
   try {
-    const analyses = await Analysis.find()
-      .sort({ createdAt: -1 })
-      .limit(50)
+    let query;
+    try {
+      query = buildHistoryQuery(req.query);
+    } catch (queryError) {
+      if (queryError.status !== 400) throw queryError;
+      return res.status(400).json({
+        error: queryError.message,
+        suggestion: queryError.suggestion,
+      });
+    }
+
+    // Fetch one extra document to know whether another page exists
+    const analyses = await Analysis.find({ ...query.filter, workspace: req.workspace._id })
+      .sort(query.sort)
+      .limit(query.limit + 1)
       .select('-extractedText'); // Exclude full text for list view
 
+    const hasMore = analyses.length > query.limit;
+    const page = hasMore ? analyses.slice(0, query.limit) : analyses;
+
+    res.json({
+      success: true,
+      analyses: page,
+      pagination: {
+        limit: query.limit,
+        hasMore: hasMore,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1], query.sort) : null,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/history/groups
+ * Get saved groups of analyses (batches and comparisons)
+ */
+router.get('/groups', async (req, res, next) => {
+  try {
+    const groups = await AnalysisGroup.find({ workspace: req.workspace._id })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
     res.json({
       success: true,
-      analyses: analyses,
+      groups: groups,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/history/groups/:id
+ * Get a saved group with its analyses
+ */
+router.get('/groups/:id', async (req, res, next) => {
+  try {
+    const group = await AnalysisGroup.findOne({ _id: req.params.id, workspace: req.workspace._id })
+      .populate({ path: 'analyses', select: '-extractedText' });
+
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    res.json({
+      success: true,
+      group: group,
     });
   } catch (error) {
     next(error);
@@ -28,7 +106,7 @@ router.get('/', async (req, res, next) => {
  */
 router.get('/:id', async (req, res, next) => {
   try {
-    const analysis = await Analysis.findById(req.params.id);
+    const analysis = await Analysis.findOne({ _id: req.params.id, workspace: req.workspace._id });
 
     if (!analysis) {
       return res.status(404).json({ error: 'Analysis not found' });
@@ -43,18 +121,263 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
+/**
+ * Load an analysis in the current workspace, responding with 404 if it does not exist
+ */
+async function findAnalysis(req, res) {
+  const analysis = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Analysis.findOne({ _id: req.params.id, workspace: req.workspace._id })
+    : null;
+
+  if (!analysis) {
+    res.status(404).json({ error: 'Analysis not found' });
+    return null;
+  }
+  return analysis;
+}
+
+/**
+ * Respond to a revision error (404/409) or pass it on
+ */
+function handleRevisionError(error, res, next) {
+  if (error.status === 404 || error.status === 409) {
+    return res.status(error.status).json({
+      error: error.message,
+      suggestion: error.suggestion,
+    });
+  }
+  next(error);
+}
+
+/**
+ * PUT /api/history/:id
+ * Edit the extracted text of a saved analysis and re-run the analysis.
+ * Body: { extractedText } to fix the text (e.g. OCR mistakes), or
+ * { useImprovedVersion: true } to apply the suggested improved version.
+ * Optional: platform, language, scoringProfile (default: as before), note.
+ * Every edit is kept as a revision (see /:id/revisions). Analyses saved with
+ * redactPII have personal data removed from the new text as well.
+ */
+router.put('/:id', requireRole('editor'), async (req, res, next) => {
+  try {
+    const { extractedText, useImprovedVersion, platform, language, scoringProfile, note } = req.body;
+
+    if (useImprovedVersion && extractedText !== undefined) {
+      return res.status(400).json({ error: 'Send either extractedText or useImprovedVersion, not both' });
+    }
+    if (!useImprovedVersion && (typeof extractedText !== 'string' || extractedText.trim().length === 0)) {
+      return res.status(400).json({
+        error: 'extractedText is required',
+        suggestion: 'Send the corrected text, or useImprovedVersion: true to apply the improved version',
+      });
+    }
+
+    if (platform && !resolvePlatform(platform)) {
+      return res.status(400).json({
+        error: `Unsupported platform: ${platform}`,
+        supportedPlatforms: Object.keys(PLATFORM_PROFILES),
+      });
+    }
+
+    if (language && !resolveLanguage(language)) {
+      return res.status(400).json({
+        error: `Unsupported language: ${language}`,
+        supportedLanguages: Object.keys(LANGUAGES),
+      });
+    }
+
+    if (scoringProfile) {
+      try {
+        loadScoringProfile(scoringProfile);
+      } catch (profileError) {
+        return res.status(400).json({
+          error: profileError.message,
+          scoringProfiles: listScoringProfiles(),
+        });
+      }
+    }
+
+    const analysis = await findAnalysis(req, res);
+    if (!analysis) return;
+
+    const previousScore = analysis.analysis.engagementScore;
+    const result = await reviseAnalysis(analysis, {
+      text: useImprovedVersion ? analysis.analysis.improvedVersion : extractedText,
+      source: useImprovedVersion ? 'improved' : 'edit',
+      platform: platform,
+      language: language,
+      scoringProfile: scoringProfile,
+      note: note,
+      editedBy: req.user._id,
+    });
+    emitEvent(req.workspace._id, 'analysis.updated', analysisEventData(result.analysis));
+
+    res.json({
+      success: true,
+      analysis: result.analysis,
+      revision: result.revision.revision,
+      previousScore: previousScore,
+      scoreChange: result.analysis.analysis.engagementScore - previousScore,
+    });
+  } catch (error) {
+    handleRevisionError(error, res, next);
+  }
+});
+
+/**
+ * GET /api/history/:id/revisions
+ * List every revision of an analysis with its score and the change from the
+ * previous revision (overall and per factor)
+ */
+router.get('/:id/revisions', async (req, res, next) => {
+  try {
+    const analysis = await findAnalysis(req, res);
+    if (!analysis) return;
+
+    res.json({
+      success: true,
+      currentRevision: analysis.revision || 1,
+      revisions: await listRevisions(analysis),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/history/:id/revisions/:revision
+ * Get the full text and analysis of one revision
+ */
+router.get('/:id/revisions/:revision', async (req, res, next) => {
+  try {
+    const analysis = await findAnalysis(req, res);
+    if (!analysis) return;
+
+    const revision = await getRevision(analysis, Number(req.params.revision));
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({
+      success: true,
+      revision: revision,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/history/:id/revisions/:revision/restore
+ * Restore an older revision; it is saved as a new revision so nothing is lost
+ */
+router.post('/:id/revisions/:revision/restore', requireRole('editor'), async (req, res, next) => {
+  try {
+    const analysis = await findAnalysis(req, res);
+    if (!analysis) return;
+
+    const previousScore = analysis.analysis.engagementScore;
+    const result = await restoreRevision(analysis, Number(req.params.revision), req.user._id);
+    emitEvent(req.workspace._id, 'analysis.updated', analysisEventData(result.analysis));
+
+    res.json({
+      success: true,
+      analysis: result.analysis,
+      revision: result.revision.revision,
+      restoredFrom: result.revision.restoredFrom,
+      previousScore: previousScore,
+      scoreChange: result.analysis.analysis.engagementScore - previousScore,
+    });
+  } catch (error) {
+    handleRevisionError(error, res, next);
+  }
+});
+
+/**
+ * PUT /api/history/:id/performance
+ * Record the actual results of the published post
+ * Body: any of impressions, likes, comments, shares, clicks (replaces earlier values)
+ */
+router.put('/:id/performance', requireRole('editor'), async (req, res, next) => {
+  try {
+    let metrics;
+    try {
+      metrics = normalizePerformance(req.body);
+    } catch (performanceError) {
+      return res.status(400).json({
+        error: performanceError.message,
+        suggestion: performanceError.suggestion,
+      });
+    }
+
+    const analysis = await findAnalysis(req, res);
+    if (!analysis) return;
+
+    analysis.performance = {
+      ...metrics,
+      source: 'manual',
+      recordedBy: req.user._id,
+      recordedAt: new Date(),
+    };
+    await analysis.save();
+
+    res.json({
+      success: true,
+      performance: analysis.performance,
+      engagementScore: analysis.analysis.engagementScore,
+      engagementRate: engagementRate(analysis.performance),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/history/:id/performance
+ * Remove the recorded results of a post
+ */
+router.delete('/:id/performance', requireRole('editor'), async (req, res, next) => {
+  try {
+    const analysis = await findAnalysis(req, res);
+    if (!analysis) return;
+
+    analysis.performance = null;
+    await analysis.save();
+
+    res.json({
+      success: true,
+      message: 'Performance removed',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * DELETE /api/history/:id
  * Delete a specific analysis
+ * Workspace owners can delete any analysis; editors only the ones they saved
  */
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', requireRole('editor'), async (req, res, next) => {
   try {
-    const analysis = await Analysis.findByIdAndDelete(req.params.id);
+    const filter = { _id: req.params.id, workspace: req.workspace._id };
+    if (req.workspaceRole !== 'owner') {
+      filter.owner = req.user._id;
+    }
+
+    const analysis = await Analysis.findOneAndDelete(filter);
 
     if (!analysis) {
       return res.status(404).json({ error: 'Analysis not found' });
     }
 
+    await AnalysisRevision.deleteMany({ analysisId: analysis._id });
+    // Keep batch and comparison groups from listing a deleted analysis
+    if (analysis.group) {
+      await AnalysisGroup.updateOne({ _id: analysis.group }, { $pull: { analyses: analysis._id } });
+    }
+    emitEvent(req.workspace._id, 'analysis.deleted', { ...analysisEventData(analysis), deletedBy: req.user._id });
+
     res.json({
       success: true,
       message: 'Analysis deleted successfully',
@@ -0,0 +1,95 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const ExtractionJob = require('../models/ExtractionJob');
+const { jobEvents, serializeJob } = require('../utils/jobQueue');
+
+// Comment lines sent to keep idle SSE connections open through proxies
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Load a job by ID, responding with 404 if it does not exist
+ */
+async function findJob(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
+  }
+
+  const job = await ExtractionJob.findOne({ _id: req.params.id, owner: req.user._id });
+  if (!job) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
+  }
+  return job;
+}
+
+/**
+ * GET /api/jobs/:id
+ * Get the status, progress and (when finished) the result of an extraction or batch job
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const job = await findJob(req, res);
+    if (!job) return;
+
+    res.json({
+      success: true,
+      job: serializeJob(job),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/jobs/:id/events
+ * Stream job progress as Server-Sent Events until the job completes or fails
+ */
+router.get('/:id/events', async (req, res, next) => {
+  try {
+    const job = await findJob(req, res);
+    if (!job) return;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.flushHeaders();
+
+    const send = (payload) => {
+      res.write(`event: ${payload.status}\n`);
+      res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    };
+
+    const initial = serializeJob(job);
+    send(initial);
+    if (initial.status === 'completed' || initial.status === 'failed') {
+      return res.end();
+    }
+
+    const eventName = String(job._id);
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      jobEvents.removeListener(eventName, onUpdate);
+    };
+
+    function onUpdate(payload) {
+      send(payload);
+      if (payload.status === 'completed' || payload.status === 'failed') {
+        cleanup();
+        res.end();
+      }
+    }
+
+    jobEvents.on(eventName, onUpdate);
+    req.on('close', cleanup);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
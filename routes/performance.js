@@ -0,0 +1,120 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Analysis = require('../models/Analysis');
+const { csvUpload } = require('../middleware/upload');
+const { requireRole } = require('../middleware/workspace');
+const { parsePerformanceCSV } = require('../utils/performance');
+const { calibrateScores } = require('../utils/calibration');
+
+/**
+ * POST /api/performance/import
+ * Import actual post results from a CSV: an `id` column with the analysis ID
+ * and any of impressions, likes, comments, shares, clicks. Send the file as
+ * `file` (multipart) or the CSV text as `csv` (JSON). A CSV exported from
+ * GET /api/export/analyses already has these columns.
+ * Imported values replace the ones recorded before; blank cells keep them.
+ */
+router.post('/import', requireRole('editor'), csvUpload.single('file'), async (req, res, next) => {
+  try {
+    const csv = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+    if (typeof csv !== 'string' || csv.trim().length === 0) {
+      return res.status(400).json({
+        error: 'No CSV given',
+        suggestion: 'Upload a CSV file as "file" or send the CSV text as "csv"',
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = parsePerformanceCSV(csv);
+    } catch (parseError) {
+      if (parseError.status !== 400) throw parseError;
+      return res.status(400).json({
+        error: parseError.message,
+        suggestion: parseError.suggestion,
+      });
+    }
+
+    const skipped = [...parsed.errors];
+    const valid = parsed.rows.filter((row) => {
+      if (mongoose.Types.ObjectId.isValid(row.id)) return true;
+      skipped.push({ row: row.row, id: row.id, error: 'Invalid analysis ID' });
+      return false;
+    });
+
+    const analyses = await Analysis.find({ _id: { $in: valid.map(row => row.id) }, workspace: req.workspace._id })
+      .select('performance');
+    const byId = new Map(analyses.map(analysis => [String(analysis._id), analysis]));
+
+    const now = new Date();
+    const updates = [];
+    valid.forEach((row) => {
+      const analysis = byId.get(row.id);
+      if (!analysis) {
+        skipped.push({ row: row.row, id: row.id, error: 'Analysis not found' });
+        return;
+      }
+
+      const previous = analysis.performance ? analysis.performance.toObject() : {};
+      const performance = { ...previous, source: 'csv', recordedBy: req.user._id, recordedAt: now };
+      Object.entries(row.metrics).forEach(([metric, value]) => {
+        if (value !== null) performance[metric] = value;
+      });
+      // A later row for the same analysis wins
+      analysis.performance = performance;
+      updates.push(analysis);
+    });
+
+    const unique = [...new Set(updates)];
+    if (unique.length > 0) {
+      await Analysis.bulkWrite(unique.map(analysis => ({
+        updateOne: {
+          filter: { _id: analysis._id, workspace: req.workspace._id },
+          update: { $set: { performance: analysis.performance.toObject() } },
+        },
+      })));
+    }
+
+    res.json({
+      success: true,
+      imported: unique.length,
+      skipped: skipped.sort((a, b) => a.row - b.row),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/performance/calibration
+ * How well predicted engagement scores match recorded results (Pearson and
+ * Spearman correlation), which score factors go with better results, and
+ * factor weights fitted to this workspace's posts with ridge regression.
+ * metric: engagementRate (default when impressions are recorded), engagements,
+ * impressions, likes, comments, shares or clicks. Also accepts platform,
+ * scoringProfile (default "default") and the GET /api/history filters.
+ */
+router.get('/calibration', async (req, res, next) => {
+  try {
+    let calibration;
+    try {
+      calibration = await calibrateScores(req.workspace._id, req.query);
+    } catch (calibrationError) {
+      if (calibrationError.status !== 400) throw calibrationError;
+      return res.status(400).json({
+        error: calibrationError.message,
+        suggestion: calibrationError.suggestion,
+      });
+    }
+
+    res.json({
+      success: true,
+      calibration: calibration,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,455 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Analysis = require('../models/Analysis');
+const ScheduledPost = require('../models/ScheduledPost');
+const { requireRole, hasRole } = require('../middleware/workspace');
+const {
+  POST_STATUSES,
+  CLASH_WINDOW_MINUTES,
+  isValidTimeZone,
+  formatLocalTime,
+  parsePublishTime,
+  normalizePlatforms,
+  pickVersion,
+  checkTransition,
+  findClashes,
+  calendarPeriod,
+} = require('../utils/schedule');
+const { publishPost, lockPost } = require('../utils/postScheduler');
+
+/**
+ * Shape a scheduled post for responses, with its publish time in its own time zone
+ */
+function serializePost(post) {
+  return {
+    ...post.toJSON(),
+    localPublishAt: formatLocalTime(post.publishAt, post.timezone),
+  };
+}
+
+/**
+ * Respond to a schedule error (400) or pass it on
+ */
+function handleScheduleError(error, res, next) {
+  if (error.status === 400) {
+    return res.status(400).json({
+      error: error.message,
+      suggestion: error.suggestion,
+    });
+  }
+  next(error);
+}
+
+/**
+ * Load a scheduled post in the current workspace, responding with 404 if it does not exist
+ */
+async function findPost(req, res) {
+  const post = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await ScheduledPost.findOne({ _id: req.params.id, workspace: req.workspace._id })
+    : null;
+
+  if (!post) {
+    res.status(404).json({ error: 'Scheduled post not found' });
+    return null;
+  }
+  return post;
+}
+
+/**
+ * Read the timezone from a request, responding with 400 if it is not valid
+ */
+function readTimeZone(value, res) {
+  const timeZone = value || 'UTC';
+  if (!isValidTimeZone(timeZone)) {
+    res.status(400).json({
+      error: `Invalid timezone: ${timeZone}`,
+      suggestion: 'Use an IANA time zone such as "Europe/Berlin" or "America/New_York"',
+    });
+    return null;
+  }
+  return timeZone;
+}
+
+/**
+ * Clashes between a post and the workspace's other posts to the same platforms
+ */
+async function clashesFor(post) {
+  const window = CLASH_WINDOW_MINUTES * 60 * 1000;
+  const neighbours = await ScheduledPost.find({
+    workspace: post.workspace,
+    _id: { $ne: post._id },
+    platforms: { $in: post.platforms },
+    status: { $ne: 'failed' },
+    publishAt: { $gt: new Date(post.publishAt - window), $lt: new Date(post.publishAt.getTime() + window) },
+  }).select('platforms publishAt');
+
+  return findClashes([post, ...neighbours])
+    .filter(clash => clash.posts.some(id => String(id) === String(post._id)));
+}
+
+/**
+ * GET /api/schedule
+ * List scheduled posts by publish time
+ * Filters: status (comma-separated), platform, from/to (dates), analysisId
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const filter = { workspace: req.workspace._id };
+
+    if (req.query.status) {
+      const statuses = String(req.query.status).split(',').map(status => status.trim());
+      const invalid = statuses.filter(status => !POST_STATUSES.includes(status));
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: `Invalid status: ${invalid.join(', ')}`, statuses: POST_STATUSES });
+      }
+      filter.status = { $in: statuses };
+    }
+    if (req.query.platform) {
+      filter.platforms = { $in: normalizePlatforms(req.query.platform) };
+    }
+    if (req.query.analysisId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.analysisId)) {
+        return res.status(400).json({ error: 'Invalid analysisId' });
+      }
+      filter.analysis = req.query.analysisId;
+    }
+    if (req.query.from || req.query.to) {
+      filter.publishAt = {};
+      if (req.query.from) filter.publishAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.publishAt.$lte = new Date(req.query.to);
+      if (Object.values(filter.publishAt).some(date => Number.isNaN(date.getTime()))) {
+        return res.status(400).json({ error: 'Invalid from/to date' });
+      }
+    }
+
+    const posts = await ScheduledPost.find(filter)
+      .sort({ publishAt: 1 })
+      .limit(500);
+
+    res.json({
+      success: true,
+      posts: posts.map(serializePost),
+    });
+  } catch (error) {
+    handleScheduleError(error, res, next);
+  }
+});
+
+/**
+ * GET /api/schedule/calendar
+ * Posts by day for a week (Monday-Sunday) or month, shown in a time zone,
+ * with clashes: posts to the same platform less than an hour apart
+ * Query: view (week/month, default week), date (any day in the period,
+ * default today), timezone (default UTC), platform, status
+ */
+router.get('/calendar', async (req, res, next) => {
+  try {
+    const timeZone = readTimeZone(req.query.timezone, res);
+    if (!timeZone) return;
+
+    const view = req.query.view || 'week';
+    const period = calendarPeriod(view, req.query.date, timeZone);
+
+    // Posts just outside the period can still clash with the ones inside it
+    const window = CLASH_WINDOW_MINUTES * 60 * 1000;
+    const filter = {
+      workspace: req.workspace._id,
+      status: { $ne: 'failed' },
+      publishAt: { $gte: new Date(period.start - window), $lt: new Date(period.end.getTime() + window) },
+    };
+    if (req.query.platform) {
+      filter.platforms = { $in: normalizePlatforms(req.query.platform) };
+    }
+    if (req.query.status) {
+      filter.status = { $in: String(req.query.status).split(',').map(status => status.trim()) };
+    }
+
+    const posts = await ScheduledPost.find(filter)
+      .sort({ publishAt: 1 })
+      .select('-parts');
+    const inPeriod = posts.filter(post => post.publishAt >= period.start && post.publishAt < period.end);
+    const clashes = findClashes(posts)
+      .filter(clash => clash.posts.some(id => inPeriod.some(post => post._id.equals(id))));
+    const clashing = new Set(clashes.flatMap(clash => clash.posts.map(String)));
+
+    const byDay = new Map(period.days.map(day => [day, []]));
+    inPeriod.forEach((post) => {
+      const local = formatLocalTime(post.publishAt, timeZone);
+      byDay.get(local.slice(0, 10)).push({
+        ...serializePost(post),
+        calendarTime: local.slice(11),
+        clash: clashing.has(String(post._id)),
+      });
+    });
+
+    res.json({
+      success: true,
+      view: view,
+      timezone: timeZone,
+      start: period.start,
+      end: period.end,
+      days: [...byDay].map(([date, dayPosts]) => ({ date, posts: dayPosts })),
+      clashes: clashes,
+      counts: POST_STATUSES.reduce((counts, status) => {
+        counts[status] = inPeriod.filter(post => post.status === status).length;
+        return counts;
+      }, {}),
+    });
+  } catch (error) {
+    handleScheduleError(error, res, next);
+  }
+});
+
+/**
+ * POST /api/schedule
+ * Plan a saved analysis for publishing; the post starts as a draft
+ * Body: { analysisId, version (original, improved or a rewrite strategy such
+ * as thread; default original), platforms (default: the analysis platform),
+ * publishAt ("YYYY-MM-DDTHH:mm" in `timezone`, or an ISO timestamp),
+ * timezone (IANA, default UTC), note }
+ */
+router.post('/', requireRole('editor'), async (req, res, next) => {
+  try {
+    const { analysisId, version, publishAt, note } = req.body;
+
+    const timeZone = readTimeZone(req.body.timezone, res);
+    if (!timeZone) return;
+
+    const analysis = mongoose.Types.ObjectId.isValid(analysisId)
+      ? await Analysis.findOne({ _id: analysisId, workspace: req.workspace._id })
+      : null;
+    if (!analysis) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+
+    const chosen = pickVersion(analysis, version);
+    const platforms = normalizePlatforms(req.body.platforms || analysis.platform);
+    const publishTime = parsePublishTime(publishAt, timeZone);
+
+    const post = await ScheduledPost.create({
+      workspace: req.workspace._id,
+      analysis: analysis._id,
+      analysisRevision: analysis.revision || 1,
+      createdBy: req.user._id,
+      version: chosen.version,
+      text: chosen.text,
+      parts: chosen.parts,
+      platforms: platforms,
+      publishAt: publishTime,
+      timezone: timeZone,
+      note: typeof note === 'string' ? note.trim() : '',
+    });
+
+    res.status(201).json({
+      success: true,
+      post: serializePost(post),
+      clashes: await clashesFor(post),
+    });
+  } catch (error) {
+    handleScheduleError(error, res, next);
+  }
+});
+
+/**
+ * GET /api/schedule/:id
+ * Get a scheduled post
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const post = await findPost(req, res);
+    if (!post) return;
+
+    res.json({
+      success: true,
+      post: serializePost(post),
+      clashes: await clashesFor(post),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/schedule/:id
+ * Change the version, platforms, publish time, timezone or note of a post.
+ * Changing the text or platforms of an approved or scheduled post sends it
+ * back to draft for approval; moving it in time does not.
+ */
+router.put('/:id', requireRole('editor'), async (req, res, next) => {
+  try {
+    const post = await findPost(req, res);
+    if (!post) return;
+
+    if (post.status === 'published' || post.lockedAt) {
+      return res.status(409).json({ error: `A ${post.lockedAt ? 'publishing' : 'published'} post cannot be changed` });
+    }
+
+    const { version, platforms, publishAt, note } = req.body;
+    const timeZone = req.body.timezone !== undefined ? readTimeZone(req.body.timezone, res) : post.timezone;
+    if (!timeZone) return;
+
+    let contentChanged = false;
+    if (version !== undefined && version !== post.version) {
+      const analysis = await Analysis.findOne({ _id: post.analysis, workspace: req.workspace._id });
+      if (!analysis) {
+        return res.status(404).json({ error: 'The analysis of this post was deleted' });
+      }
+      const chosen = pickVersion(analysis, version);
+      post.set({ version: chosen.version, text: chosen.text, parts: chosen.parts, analysisRevision: analysis.revision || 1 });
+      contentChanged = true;
+    }
+    if (platforms !== undefined) {
+      const normalized = normalizePlatforms(platforms);
+      contentChanged = contentChanged || normalized.join() !== post.platforms.join();
+      post.platforms = normalized;
+    }
+    if (publishAt !== undefined) {
+      post.publishAt = parsePublishTime(publishAt, timeZone);
+    }
+    if (note !== undefined) {
+      post.note = typeof note === 'string' ? note.trim() : '';
+    }
+    post.timezone = timeZone;
+
+    if (contentChanged && (post.status === 'approved' || post.status === 'scheduled')) {
+      post.status = 'draft';
+      post.approvedBy = undefined;
+      post.approvedAt = undefined;
+    }
+    post.updatedAt = new Date();
+    await post.save();
+
+    res.json({
+      success: true,
+      post: serializePost(post),
+      clashes: await clashesFor(post),
+    });
+  } catch (error) {
+    handleScheduleError(error, res, next);
+  }
+});
+
+/**
+ * POST /api/schedule/:id/status
+ * Move a post through its workflow: draft -> approved (owners only) ->
+ * scheduled (published automatically at publishAt). Approved or scheduled
+ * posts can go back to draft, and can be marked published if they were
+ * posted another way. Body: { status }
+ */
+router.post('/:id/status', requireRole('editor'), async (req, res, next) => {
+  try {
+    const post = await findPost(req, res);
+    if (!post) return;
+
+    const { status } = req.body;
+    const required = checkTransition(post.status, status);
+    if (!hasRole(req.workspaceRole, required)) {
+      return res.status(403).json({
+        error: `Setting a post to ${status} requires the ${required} role in this workspace`,
+        role: req.workspaceRole,
+      });
+    }
+    if (post.lockedAt) {
+      return res.status(409).json({ error: 'The post is being published' });
+    }
+    if (status === 'scheduled' && post.publishAt <= new Date()) {
+      return res.status(400).json({
+        error: 'The publish time has passed',
+        suggestion: 'Move the post to a later time, or publish it now with POST /api/schedule/:id/publish',
+      });
+    }
+
+    if (status === 'approved' && post.status === 'draft') {
+      post.approvedBy = req.user._id;
+      post.approvedAt = new Date();
+    }
+    if (status === 'draft') {
+      post.approvedBy = undefined;
+      post.approvedAt = undefined;
+    }
+    if (status === 'published') {
+      post.publishedAt = new Date();
+    }
+    if (status === 'scheduled') {
+      post.attempts = 0;
+      post.error = undefined;
+    }
+    post.status = status;
+    post.updatedAt = new Date();
+    await post.save();
+
+    res.json({
+      success: true,
+      post: serializePost(post),
+      clashes: status === 'published' ? [] : await clashesFor(post),
+    });
+  } catch (error) {
+    handleScheduleError(error, res, next);
+  }
+});
+
+/**
+ * POST /api/schedule/:id/publish
+ * Publish an approved or scheduled post now, without waiting for publishAt
+ */
+router.post('/:id/publish', requireRole('editor'), async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Scheduled post not found' });
+    }
+
+    const post = await lockPost({
+      _id: req.params.id,
+      workspace: req.workspace._id,
+      status: { $in: ['approved', 'scheduled'] },
+    });
+    if (!post) {
+      const existing = await findPost(req, res);
+      if (!existing) return;
+      return res.status(409).json({
+        error: existing.lockedAt ? 'The post is already being published' : `A ${existing.status} post cannot be published`,
+        suggestion: existing.status === 'draft' ? 'Get the post approved first' : undefined,
+      });
+    }
+
+    await publishPost(post);
+
+    res.status(post.status === 'published' ? 200 : 502).json({
+      success: post.status === 'published',
+      post: serializePost(post),
+      error: post.status === 'published' ? undefined : post.error.message,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/schedule/:id
+ * Remove a post from the schedule (the analysis is kept)
+ */
+router.delete('/:id', requireRole('editor'), async (req, res, next) => {
+  try {
+    const post = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await ScheduledPost.findOneAndDelete({
+        _id: req.params.id,
+        workspace: req.workspace._id,
+        lockedAt: null,
+      })
+      : null;
+
+    if (!post) {
+      return res.status(404).json({ error: 'Scheduled post not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Scheduled post deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
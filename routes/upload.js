@@ -1,14 +1,128 @@
 const express = require('express');
 const router = express.Router();
 const upload = require('../middleware/upload');
-const { extractTextFromPDF } = require('../utils/pdfExtractor');
-const { extractTextFromImage } = require('../utils/ocrExtractor');
-const path = require('path');
+const { uploadsDir } = require('../middleware/upload');
+const { normalizeOCRLanguages } = require('../utils/ocrExtractor');
+const { extractTextFromFile } = require('../utils/textExtractor');
+const { downloadUrl } = require('../utils/urlFetcher');
+const { LANGUAGES } = require('../utils/languages');
+const { enqueueExtraction } = require('../utils/jobQueue');
+const { emitEvent } = require('../utils/webhookQueue');
+const { extractionEventData } = require('../utils/webhooks');
 const fs = require('fs').promises;
 
+/**
+ * Delete a file that has been extracted or will not be
+ */
+async function removeFile(filePath) {
+  await fs.unlink(filePath).catch(err => {
+    console.error('Error deleting file:', err);
+  });
+}
+
+/**
+ * Extract text from a file on disk and send the response: a job ID when
+ * `async=true`, otherwise the extraction result. The file is deleted once
+ * it has been extracted (or has failed).
+ * @param {Object} file - { path, originalname } (multer format)
+ * @param {Object} [extra] - Fields added to the response (e.g. sourceUrl)
+ */
+async function respondWithExtraction(req, res, file, languages, extra = {}) {
+  const runAsync = String(req.body.async || req.query.async) === 'true';
+  if (runAsync) {
+    const job = await enqueueExtraction({
+      owner: req.user._id,
+      workspace: req.workspace._id,
+      filePath: file.path,
+      fileName: file.originalname,
+      languages: languages,
+    });
+
+    return res.status(202).json({
+      success: true,
+      jobId: job._id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job._id}`,
+      eventsUrl: `/api/jobs/${job._id}/events`,
+      ...extra,
+    });
+  }
+
+  let result;
+  try {
+    result = await extractTextFromFile(file.path, file.originalname, { languages });
+  } catch (extractError) {
+    emitEvent(req.workspace._id, 'extraction.failed', extractionEventData({
+      fileName: file.originalname,
+      error: extractError,
+    }));
+    if (extractError.status !== 400) {
+      throw extractError;
+    }
+    await removeFile(file.path);
+    return res.status(400).json({
+      error: extractError.message,
+      suggestion: extractError.suggestion,
+    });
+  }
+
+  emitEvent(req.workspace._id, 'extraction.completed', extractionEventData({
+    fileName: file.originalname,
+    result: result,
+  }));
+
+  // Clean up the file after extraction
+  await removeFile(file.path);
+
+  res.json({
+    success: true,
+    fileName: file.originalname,
+    ...extra,
+    fileType: result.fileType,
+    extractedText: result.text,
+    extractionMethod: result.extractionMethod,
+    pages: result.pages,
+    screenshot: result.screenshot,
+    language: result.language,
+    languageConfidence: result.languageConfidence,
+    risks: result.risks,
+  });
+}
+
+/**
+ * Read the `languages` field, responding with 400 if it is invalid
+ */
+function readLanguages(req, res) {
+  try {
+    return { languages: normalizeOCRLanguages(req.body.languages) };
+  } catch (langError) {
+    res.status(400).json({
+      error: langError.message,
+      supportedLanguages: Object.keys(LANGUAGES),
+    });
+    return null;
+  }
+}
+
 /**
  * POST /api/upload
- * Upload and extract text from PDF or image file
+ * Upload and extract text from a file: PDF, image (PNG, JPEG, WebP, GIF),
+ * Word (.docx), plain text (.txt), Markdown (.md) or HTML. Each type is read
+ * by the extractor registered for it (see utils/extractors); `fileType` is
+ * pdf, image, document, text or webpage
+ * PDF pages without a usable text layer fall back to OCR; `pages` reports
+ * `pdf`, `ocr` or `pdf+ocr` for each page
+ * Screenshots of social media posts return only the post body as
+ * `extractedText`; the author, timestamp and engagement counts come back in
+ * `screenshot` (null for other files) and can be sent to POST /api/analyze
+ * `risks` lists compliance findings, e.g. emails or phone numbers caught in a
+ * screenshot; send redactPII: true to POST /api/analyze to remove them
+ * Accepts an optional `languages` field: a comma-separated list of language
+ * codes (en, es, de, fr, hi) or "auto" to detect the language before OCR
+ * With `async=true` (field or query), the file is queued for background
+ * extraction and a job ID is returned immediately (see /api/jobs/:id)
+ * Webhooks of the current workspace receive extraction.completed or
+ * extraction.failed when the extraction finishes
  */
 router.post('/', upload.single('file'), async (req, res, next) => {
   try {
@@ -16,60 +130,55 @@ router.post('/', upload.single('file'), async (req, res, next) => {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    const filePath = req.file.path;
-    const fileExtension = path.extname(req.file.originalname).toLowerCase();
-    let extractedText;
-    let extractionMethod = fileExtension === '.pdf' ? 'pdf' : 'ocr';
+    const parsed = readLanguages(req, res);
+    if (!parsed) {
+      await removeFile(req.file.path);
+      return;
+    }
 
-    // Extract text based on file type
-    if (fileExtension === '.pdf') {
-      try {
-        extractedText = await extractTextFromPDF(filePath);
-      } catch (pdfError) {
-        // If PDF parsing fails with XRef error, suggest OCR fallback
-        if (pdfError.message.includes('XRef') || pdfError.message.includes('corrupted')) {
-          // For now, return a helpful error message
-          // In the future, we could add PDF-to-image conversion and OCR fallback
-          return res.status(400).json({
-            error: pdfError.message,
-            suggestion: 'This PDF appears to have structural issues. Try converting it to an image (PNG/JPEG) and uploading that instead, or re-save the PDF using a different PDF creator.'
-          });
-        }
-        throw pdfError;
-      }
-    } else if (['.png', '.jpg', '.jpeg'].includes(fileExtension)) {
-      extractedText = await extractTextFromImage(filePath);
-    } else {
-      // Clean up uploaded file
-      await fs.unlink(filePath);
-      return res.status(400).json({ error: 'Unsupported file type' });
+    await respondWithExtraction(req, res, req.file, parsed.languages);
+  } catch (error) {
+    // Clean up file on error
+    if (req.file && req.file.path) {
+      await fs.unlink(req.file.path).catch(err => {
+        console.error('Error deleting file on error:', err);
+      });
     }
+    next(error);
+  }
+});
 
-    // Clean up uploaded file after extraction
-    await fs.unlink(filePath).catch(err => {
-      console.error('Error deleting file:', err);
-    });
+/**
+ * POST /api/upload/url
+ * Fetch a public web page, image or document and extract its text like an
+ * uploaded file. Web pages give their main article text, or their Open Graph
+ * description when there is little article text; images go through OCR.
+ * `fileName` in the response is the final URL (after redirects).
+ * Body: { url, languages, async } (as for POST /api/upload)
+ */
+router.post('/url', async (req, res, next) => {
+  let file = null;
+  try {
+    const parsed = readLanguages(req, res);
+    if (!parsed) return;
 
-    if (!extractedText || extractedText.trim().length === 0) {
-      return res.status(400).json({ 
-        error: 'No text could be extracted from the file',
-        suggestion: fileExtension === '.pdf' 
-          ? 'The PDF may contain only images. Try converting it to an image file and uploading that instead.'
-          : 'The image may not contain readable text, or the text may be too small or unclear.'
+    try {
+      file = await downloadUrl(req.body.url, uploadsDir);
+    } catch (downloadError) {
+      if (downloadError.status !== 400) throw downloadError;
+      return res.status(400).json({
+        error: downloadError.message,
+        suggestion: downloadError.suggestion,
       });
     }
 
-    res.json({
-      success: true,
-      fileName: req.file.originalname,
-      fileType: fileExtension === '.pdf' ? 'pdf' : 'image',
-      extractedText: extractedText,
-      extractionMethod: extractionMethod,
+    await respondWithExtraction(req, res, file, parsed.languages, {
+      sourceUrl: file.originalname,
+      contentType: file.contentType,
     });
   } catch (error) {
-    // Clean up file on error
-    if (req.file && req.file.path) {
-      await fs.unlink(req.file.path).catch(err => {
+    if (file) {
+      await fs.unlink(file.path).catch(err => {
         console.error('Error deleting file on error:', err);
       });
     }
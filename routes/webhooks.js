@@ -0,0 +1,351 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { requireRole } = require('../middleware/workspace');
+const { WEBHOOK_EVENTS, PING_EVENT, generateSecret, normalizeWebhook, checkWebhookHost } = require('../utils/webhooks');
+const { createDelivery, attemptDelivery, redeliver } = require('../utils/webhookQueue');
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+const DEFAULT_DELIVERY_LIMIT = 20;
+const MAX_DELIVERY_LIMIT = 100;
+
+/**
+ * Load a webhook in the current workspace, responding with 404 if it does not exist
+ */
+async function findWebhook(req, res) {
+  const webhook = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Webhook.findOne({ _id: req.params.id, workspace: req.workspace._id })
+    : null;
+
+  if (!webhook) {
+    res.status(404).json({ error: 'Webhook not found' });
+    return null;
+  }
+  return webhook;
+}
+
+/**
+ * Load a delivery of a webhook, responding with 404 if it does not exist
+ */
+async function findDelivery(req, res, webhook) {
+  const delivery = mongoose.Types.ObjectId.isValid(req.params.deliveryId)
+    ? await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id })
+    : null;
+
+  if (!delivery) {
+    res.status(404).json({ error: 'Delivery not found' });
+    return null;
+  }
+  return delivery;
+}
+
+/**
+ * Validate a webhook body, responding with 400 if it is invalid or its URL
+ * points at a private network
+ */
+async function readWebhook(req, res, existing) {
+  try {
+    const fields = normalizeWebhook(req.body, existing);
+    await checkWebhookHost(fields.url);
+    return fields;
+  } catch (webhookError) {
+    if (webhookError.status !== 400) throw webhookError;
+    res.status(400).json({
+      error: webhookError.message,
+      suggestion: webhookError.suggestion,
+    });
+    return null;
+  }
+}
+
+/**
+ * GET /api/webhooks
+ * List the workspace's webhooks and the events they can subscribe to.
+ * Webhooks send workspace content to other systems, so only owners manage them.
+ */
+router.get('/', requireRole('owner'), async (req, res, next) => {
+  try {
+    const webhooks = await Webhook.find({ workspace: req.workspace._id })
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      webhooks: webhooks,
+      events: WEBHOOK_EVENTS,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Register an endpoint. Each event is POSTed to it as JSON
+ * ({ id, event, createdAt, workspace, data }) with the headers
+ * X-Webhook-Event, X-Webhook-Id, X-Webhook-Timestamp and X-Webhook-Signature
+ * ("sha256=" + HMAC-SHA256 of "<timestamp>.<raw body>" keyed with the secret).
+ * Any response other than 2xx is retried with exponential backoff.
+ * The secret is only returned here and by POST /:id/secret.
+ * Body: { url, events (names or "*"), description, active }
+ */
+router.post('/', requireRole('owner'), async (req, res, next) => {
+  try {
+    const fields = await readWebhook(req, res);
+    if (!fields) return;
+
+    const webhook = await Webhook.create({
+      ...fields,
+      workspace: req.workspace._id,
+      secret: generateSecret(),
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      webhook: webhook,
+      secret: webhook.secret,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/webhooks/:id
+ * Get a webhook with counts of its deliveries by status
+ */
+router.get('/:id', requireRole('owner'), async (req, res, next) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const counts = await WebhookDelivery.aggregate([
+      { $match: { webhook: webhook._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+    ]);
+
+    res.json({
+      success: true,
+      webhook: webhook,
+      deliveries: counts.reduce((result, group) => {
+        result[group._id] = group.count;
+        return result;
+      }, { pending: 0, succeeded: 0, failed: 0 }),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/webhooks/:id
+ * Update a webhook; fields that are not sent keep their values
+ */
+router.put('/:id', requireRole('owner'), async (req, res, next) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const fields = await readWebhook(req, res, webhook.toObject());
+    if (!fields) return;
+
+    webhook.set({ ...fields, updatedAt: new Date() });
+    await webhook.save();
+
+    res.json({
+      success: true,
+      webhook: webhook,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Delete a webhook and its delivery log
+ */
+router.delete('/:id', requireRole('owner'), async (req, res, next) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    await Webhook.deleteOne({ _id: webhook._id });
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/secret
+ * Replace the signing secret; deliveries sent from now on use the new one
+ */
+router.post('/:id/secret', requireRole('owner'), async (req, res, next) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    webhook.secret = generateSecret();
+    webhook.updatedAt = new Date();
+    await webhook.save();
+
+    res.json({
+      success: true,
+      secret: webhook.secret,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/test
+ * Send a "ping" event straight away and return the result of the attempt.
+ * Useful for checking that a receiver is reachable and verifies signatures.
+ * A failed ping is retried like any other delivery.
+ */
+router.post('/:id/test', requireRole('owner'), async (req, res, next) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    if (!webhook.active) {
+      return res.status(400).json({
+        error: 'The webhook is inactive',
+        suggestion: 'Set active: true with PUT /api/webhooks/:id first',
+      });
+    }
+
+    const delivery = await createDelivery(webhook, PING_EVENT, {
+      webhookId: webhook._id,
+      events: webhook.events,
+      message: 'Webhook test from the Social Media Content Analyzer',
+    }, { lockedAt: new Date() });
+    await attemptDelivery(delivery, webhook);
+
+    const attempt = delivery.attempts[delivery.attempts.length - 1];
+    res.json({
+      success: !attempt.error,
+      delivery: delivery,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Delivery log, newest first, one page at a time
+ * Filters: status (pending, succeeded, failed), event; limit (1-100, default 20).
+ * Pass pagination.nextCursor back as `cursor` to get the next page.
+ */
+router.get('/:id/deliveries', requireRole('owner'), async (req, res, next) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const filter = { webhook: webhook._id };
+    if (req.query.status) {
+      if (!DELIVERY_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ error: `Invalid status: ${req.query.status}`, statuses: DELIVERY_STATUSES });
+      }
+      filter.status = req.query.status;
+    }
+    if (req.query.event) {
+      filter.event = String(req.query.event);
+    }
+    if (req.query.cursor) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.cursor)) {
+        return res.status(400).json({
+          error: 'Invalid cursor',
+          suggestion: 'Use the nextCursor value from the previous page',
+        });
+      }
+      filter._id = { $lt: req.query.cursor };
+    }
+
+    let limit = DEFAULT_DELIVERY_LIMIT;
+    if (req.query.limit !== undefined) {
+      limit = Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DELIVERY_LIMIT) {
+        return res.status(400).json({ error: `Invalid limit: ${req.query.limit}`, suggestion: `limit must be a whole number from 1 to ${MAX_DELIVERY_LIMIT}` });
+      }
+    }
+
+    // Fetch one extra document to know whether another page exists
+    const deliveries = await WebhookDelivery.find(filter)
+      .sort({ _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = deliveries.length > limit;
+    const page = hasMore ? deliveries.slice(0, limit) : deliveries;
+
+    res.json({
+      success: true,
+      deliveries: page,
+      pagination: {
+        limit: limit,
+        hasMore: hasMore,
+        nextCursor: hasMore ? page[page.length - 1]._id : null,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries/:deliveryId
+ * Get a delivery with its payload and every attempt
+ */
+router.get('/:id/deliveries/:deliveryId', requireRole('owner'), async (req, res, next) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const delivery = await findDelivery(req, res, webhook);
+    if (!delivery) return;
+
+    res.json({
+      success: true,
+      delivery: delivery,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ * Send a finished delivery again with the same payload and event ID
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', requireRole('owner'), async (req, res, next) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const delivery = await findDelivery(req, res, webhook);
+    if (!delivery) return;
+
+    if (delivery.status === 'pending') {
+      return res.status(409).json({ error: 'The delivery is still being attempted' });
+    }
+
+    res.status(202).json({
+      success: true,
+      delivery: await redeliver(delivery),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
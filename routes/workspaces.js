@@ -0,0 +1,377 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Workspace = require('../models/Workspace');
+const { hasRole, getPersonalWorkspace } = require('../middleware/workspace');
+const { generateInviteToken, hashToken } = require('../utils/auth');
+
+// Invitations expire after 7 days unless another duration is requested
+const DEFAULT_INVITE_DAYS = 7;
+const MAX_INVITE_DAYS = 30;
+
+/**
+ * Load a workspace the user belongs to, responding with 404 otherwise.
+ * With `required`, responds with 403 unless the user has at least that role.
+ */
+async function findWorkspace(req, res, required = 'viewer') {
+  const workspace = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Workspace.findById(req.params.id)
+    : null;
+  const role = workspace ? workspace.getRole(req.user._id) : null;
+
+  if (!role) {
+    res.status(404).json({ error: 'Workspace not found' });
+    return null;
+  }
+  if (!hasRole(role, required)) {
+    res.status(403).json({
+      error: `This action requires the ${required} role in this workspace`,
+      role: role,
+    });
+    return null;
+  }
+  return workspace;
+}
+
+/**
+ * Find a workspace by an unexpired invitation token
+ */
+async function findInvitation(token) {
+  const tokenHash = hashToken(String(token));
+  const workspace = await Workspace.findOne({ 'invitations.tokenHash': tokenHash });
+  if (!workspace) return null;
+
+  const invitation = workspace.invitations.find(i => i.tokenHash === tokenHash);
+  if (!invitation || invitation.expiresAt < new Date()) return null;
+
+  return { workspace, invitation };
+}
+
+/**
+ * GET /api/workspaces
+ * List the workspaces the user belongs to, with their role in each
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    // Make sure the personal workspace exists before listing
+    await getPersonalWorkspace(req.user);
+
+    const workspaces = await Workspace.find({ 'members.user': req.user._id })
+      .sort({ personal: -1, createdAt: 1 })
+      .select('-invitations');
+
+    res.json({
+      success: true,
+      workspaces: workspaces.map(workspace => ({
+        _id: workspace._id,
+        name: workspace.name,
+        personal: workspace.personal,
+        role: workspace.getRole(req.user._id),
+        memberCount: workspace.members.length,
+        createdAt: workspace.createdAt,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/workspaces
+ * Create a team workspace; the creator becomes its owner
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) {
+      return res.status(400).json({ error: 'Workspace name is required' });
+    }
+
+    const workspace = await Workspace.create({
+      name: name,
+      members: [{ user: req.user._id, role: 'owner' }],
+    });
+
+    res.status(201).json({
+      success: true,
+      workspace: workspace,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/workspaces/invitations/:token
+ * Preview an invitation before accepting it
+ */
+router.get('/invitations/:token', async (req, res, next) => {
+  try {
+    const found = await findInvitation(req.params.token);
+    if (!found) {
+      return res.status(404).json({ error: 'Invitation not found or expired' });
+    }
+
+    res.json({
+      success: true,
+      invitation: {
+        workspaceId: found.workspace._id,
+        workspaceName: found.workspace.name,
+        role: found.invitation.role,
+        expiresAt: found.invitation.expiresAt,
+        alreadyMember: Boolean(found.workspace.getRole(req.user._id)),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/workspaces/invitations/:token/accept
+ * Join a workspace with an invitation token (the invitation is used up)
+ */
+router.post('/invitations/:token/accept', async (req, res, next) => {
+  try {
+    const found = await findInvitation(req.params.token);
+    if (!found) {
+      return res.status(404).json({ error: 'Invitation not found or expired' });
+    }
+
+    const { workspace, invitation } = found;
+    if (invitation.email && invitation.email !== req.user.email) {
+      return res.status(403).json({ error: 'This invitation was sent to a different email address' });
+    }
+
+    if (!workspace.getRole(req.user._id)) {
+      workspace.members.push({ user: req.user._id, role: invitation.role });
+    }
+    workspace.invitations.pull(invitation._id);
+    await workspace.save();
+
+    res.json({
+      success: true,
+      workspace: {
+        _id: workspace._id,
+        name: workspace.name,
+        role: workspace.getRole(req.user._id),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/workspaces/:id
+ * Get a workspace with its members; owners also see pending invitations
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const workspace = await findWorkspace(req, res);
+    if (!workspace) return;
+
+    const role = workspace.getRole(req.user._id);
+    await workspace.populate({ path: 'members.user', select: 'email name' });
+    const json = workspace.toJSON();
+    if (role !== 'owner') {
+      delete json.invitations;
+    }
+
+    res.json({
+      success: true,
+      role: role,
+      workspace: json,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/workspaces/:id
+ * Rename a workspace (owner only)
+ */
+router.patch('/:id', async (req, res, next) => {
+  try {
+    const workspace = await findWorkspace(req, res, 'owner');
+    if (!workspace) return;
+
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) {
+      return res.status(400).json({ error: 'Workspace name is required' });
+    }
+
+    workspace.name = name;
+    await workspace.save();
+
+    res.json({
+      success: true,
+      workspace: workspace,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/workspaces/:id/invitations
+ * Create an invitation link (owner only). Accepts `role` (editor or viewer,
+ * default viewer), an optional `email` and `expiresInDays` (1-30, default 7).
+ * The token is only returned once.
+ */
+router.post('/:id/invitations', async (req, res, next) => {
+  try {
+    const workspace = await findWorkspace(req, res, 'owner');
+    if (!workspace) return;
+
+    if (workspace.personal) {
+      return res.status(400).json({
+        error: 'Personal workspaces cannot be shared',
+        suggestion: 'Create a team workspace via POST /api/workspaces',
+      });
+    }
+
+    const role = req.body.role || 'viewer';
+    if (!['editor', 'viewer'].includes(role)) {
+      return res.status(400).json({ error: 'Invitation role must be editor or viewer' });
+    }
+
+    const days = req.body.expiresInDays !== undefined ? Number(req.body.expiresInDays) : DEFAULT_INVITE_DAYS;
+    if (!Number.isFinite(days) || days < 1 || days > MAX_INVITE_DAYS) {
+      return res.status(400).json({ error: `expiresInDays must be between 1 and ${MAX_INVITE_DAYS}` });
+    }
+
+    const { token, tokenHash } = generateInviteToken();
+    const expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+    // Drop expired invitations while we are here
+    workspace.invitations = workspace.invitations.filter(i => i.expiresAt >= new Date());
+    workspace.invitations.push({
+      tokenHash: tokenHash,
+      role: role,
+      email: req.body.email || undefined,
+      createdBy: req.user._id,
+      expiresAt: expiresAt,
+    });
+    await workspace.save();
+
+    const created = workspace.invitations[workspace.invitations.length - 1];
+    const acceptPath = `/api/workspaces/invitations/${token}/accept`;
+    res.status(201).json({
+      success: true,
+      invitation: {
+        _id: created._id,
+        role: role,
+        email: created.email || null,
+        expiresAt: expiresAt,
+        token: token,
+        acceptUrl: process.env.CLIENT_URL ? `${process.env.CLIENT_URL}/invite/${token}` : acceptPath,
+        acceptPath: acceptPath,
+      },
+      message: 'Share this link or token now; it cannot be shown again',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/workspaces/:id/invitations/:invitationId
+ * Revoke a pending invitation (owner only)
+ */
+router.delete('/:id/invitations/:invitationId', async (req, res, next) => {
+  try {
+    const workspace = await findWorkspace(req, res, 'owner');
+    if (!workspace) return;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.invitationId) ||
+      !workspace.invitations.id(req.params.invitationId)) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    workspace.invitations.pull(req.params.invitationId);
+    await workspace.save();
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/workspaces/:id/members/:userId
+ * Change a member's role (owner only); a workspace always keeps one owner
+ */
+router.patch('/:id/members/:userId', async (req, res, next) => {
+  try {
+    const workspace = await findWorkspace(req, res, 'owner');
+    if (!workspace) return;
+
+    const { role } = req.body;
+    if (!Workspace.ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${Workspace.ROLES.join(', ')}` });
+    }
+
+    const member = workspace.members.find(m => String(m.user) === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const owners = workspace.members.filter(m => m.role === 'owner');
+    if (member.role === 'owner' && role !== 'owner' && owners.length === 1) {
+      return res.status(400).json({ error: 'A workspace must keep at least one owner' });
+    }
+
+    member.role = role;
+    await workspace.save();
+
+    res.json({
+      success: true,
+      member: member,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/workspaces/:id/members/:userId
+ * Remove a member (owner only), or leave the workspace (any member, own user ID)
+ */
+router.delete('/:id/members/:userId', async (req, res, next) => {
+  try {
+    const leaving = req.params.userId === String(req.user._id);
+    const workspace = await findWorkspace(req, res, leaving ? 'viewer' : 'owner');
+    if (!workspace) return;
+
+    if (workspace.personal) {
+      return res.status(400).json({ error: 'Members cannot be removed from a personal workspace' });
+    }
+
+    const member = workspace.members.find(m => String(m.user) === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const owners = workspace.members.filter(m => m.role === 'owner');
+    if (member.role === 'owner' && owners.length === 1) {
+      return res.status(400).json({ error: 'A workspace must keep at least one owner' });
+    }
+
+    workspace.members = workspace.members.filter(m => m !== member);
+    await workspace.save();
+
+    res.json({
+      success: true,
+      message: leaving ? 'You left the workspace' : 'Member removed',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+/**
+ * Assign analyses and batch/comparison groups saved before user accounts and
+ * workspaces existed to a user's personal workspace, so they satisfy the
+ * required `owner` and `workspace` fields and show up in history again.
+ *
+ * Records that already have an owner go to that owner's personal workspace;
+ * records without one are given to the user named by --owner.
+ *
+ * Usage: node scripts/backfillWorkspaces.js --owner <email> [--dry-run]
+ */
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const User = require('../models/User');
+const Analysis = require('../models/Analysis');
+const AnalysisGroup = require('../models/AnalysisGroup');
+const { getPersonalWorkspace } = require('../middleware/workspace');
+
+const MODELS = [Analysis, AnalysisGroup];
+
+/**
+ * Read `--owner <email>` and `--dry-run` from the command line
+ */
+function parseArgs(argv) {
+  const ownerIndex = argv.indexOf('--owner');
+  return {
+    ownerEmail: ownerIndex !== -1 ? argv[ownerIndex + 1] : null,
+    dryRun: argv.includes('--dry-run'),
+  };
+}
+
+/**
+ * Move every record without a workspace into its owner's personal workspace
+ */
+async function backfill({ ownerEmail, dryRun }) {
+  const fallbackOwner = ownerEmail
+    ? await User.findOne({ email: ownerEmail.toLowerCase().trim() })
+    : null;
+  if (ownerEmail && !fallbackOwner) {
+    throw new Error(`No user with email ${ownerEmail}`);
+  }
+
+  for (const Model of MODELS) {
+    // Bypass the schema so documents without the now-required fields are found
+    const collection = Model.collection;
+    const missingWorkspace = { $or: [{ workspace: { $exists: false } }, { workspace: null }] };
+    const withoutOwner = { $and: [missingWorkspace, { $or: [{ owner: { $exists: false } }, { owner: null }] }] };
+
+    const orphans = await collection.countDocuments(withoutOwner);
+    if (orphans > 0 && !fallbackOwner) {
+      throw new Error(`${orphans} ${Model.modelName} record(s) have no owner; run again with --owner <email>`);
+    }
+    if (orphans > 0) {
+      console.log(`${Model.modelName}: ${dryRun ? 'would give' : 'gave'} ${orphans} record(s) without an owner to ${fallbackOwner.email}`);
+      if (!dryRun) {
+        await collection.updateMany(withoutOwner, { $set: { owner: fallbackOwner._id } });
+      }
+    }
+
+    // In a dry run, records without an owner were only counted above
+    const ownerIds = await collection.distinct('owner', { ...missingWorkspace, owner: { $ne: null } });
+
+    for (const ownerId of ownerIds) {
+      const user = await User.findById(ownerId);
+      if (!user) {
+        console.warn(`${Model.modelName}: owner ${ownerId} no longer exists, skipping their records`);
+        continue;
+      }
+
+      const filter = { ...missingWorkspace, owner: user._id };
+      const count = await collection.countDocuments(filter);
+      if (count === 0) continue;
+
+      if (dryRun) {
+        console.log(`${Model.modelName}: would move ${count} record(s) to the personal workspace of ${user.email}`);
+        continue;
+      }
+
+      const workspace = await getPersonalWorkspace(user);
+      const { modifiedCount } = await collection.updateMany(filter, { $set: { workspace: workspace._id } });
+      console.log(`${Model.modelName}: moved ${modifiedCount} record(s) to the personal workspace of ${user.email}`);
+    }
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/social-media-analyzer';
+
+  await mongoose.connect(mongoURI);
+  try {
+    await backfill(args);
+    console.log(args.dryRun ? 'Dry run complete, nothing was changed' : 'Backfill complete');
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('Backfill failed:', error.message);
+  process.exit(1);
+});
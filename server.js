@@ -2,11 +2,39 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const dotenv = require('dotenv');
+
+// Load .env before the local modules below: several read settings such as
+// JWT_EXPIRES_IN, TESSDATA_PATH and OCR_POOL_SIZE when they are required
+dotenv.config();
+
 const uploadRoutes = require('./routes/upload');
 const analyzeRoutes = require('./routes/analyze');
 const historyRoutes = require('./routes/history');
+const batchRoutes = require('./routes/batch');
+const jobRoutes = require('./routes/jobs');
+const compareRoutes = require('./routes/compare');
+const authRoutes = require('./routes/auth');
+const workspaceRoutes = require('./routes/workspaces');
+const dashboardRoutes = require('./routes/dashboard');
+const exportRoutes = require('./routes/export');
+const performanceRoutes = require('./routes/performance');
+const guidelineRoutes = require('./routes/guidelines');
+const scheduleRoutes = require('./routes/schedule');
+const webhookRoutes = require('./routes/webhooks');
+const { requireAuth } = require('./middleware/auth');
+const { resolveWorkspace } = require('./middleware/workspace');
+const { checkTokenSecret } = require('./utils/auth');
+const { startJobQueue } = require('./utils/jobQueue');
+const { startPostScheduler } = require('./utils/postScheduler');
+const { startWebhookQueue } = require('./utils/webhookQueue');
 
-dotenv.config();
+// A temporary token secret changes on every restart and differs between
+// instances, so only development may run without JWT_SECRET
+const secretError = checkTokenSecret();
+if (secretError) {
+  console.error(secretError);
+  process.exit(1);
+}
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -14,7 +42,7 @@ const PORT = process.env.PORT || 5000;
 // Middleware
 app.use(cors({
   origin: "https://social-media-content-analyzer-git-adc5b8-avis-projects-b39c9678.vercel.app",
-  methods: ["GET", "POST", "PUT", "DELETE"],
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
   credentials: true
 }
 ));
@@ -41,12 +69,37 @@ const connectDB = async () => {
   }
 };
 
-connectDB();
+connectDB().then(() => {
+  // Resume background extraction jobs left over from a previous run
+  startJobQueue().catch(err => {
+    console.error('Failed to start extraction job queue:', err.message);
+  });
+  // Publish scheduled posts when they are due
+  startPostScheduler();
+  // Send queued webhook deliveries, including retries left over from a previous run
+  startWebhookQueue();
+});
 
 // Routes
-app.use('/api/upload', uploadRoutes);
-app.use('/api/analyze', analyzeRoutes);
-app.use('/api/history', historyRoutes);
+app.use('/api/auth', authRoutes);
+
+// Routes below require a signed-in user or an API key
+app.use('/api/workspaces', requireAuth, workspaceRoutes);
+app.use('/api/jobs', requireAuth, jobRoutes);
+
+// Routes below also act on the current workspace (X-Workspace-Id header,
+// defaulting to the user's personal workspace)
+app.use('/api/upload', requireAuth, resolveWorkspace, uploadRoutes);
+app.use('/api/analyze', requireAuth, resolveWorkspace, analyzeRoutes);
+app.use('/api/history', requireAuth, resolveWorkspace, historyRoutes);
+app.use('/api/batch', requireAuth, resolveWorkspace, batchRoutes);
+app.use('/api/compare', requireAuth, resolveWorkspace, compareRoutes);
+app.use('/api/dashboard', requireAuth, resolveWorkspace, dashboardRoutes);
+app.use('/api/export', requireAuth, resolveWorkspace, exportRoutes);
+app.use('/api/performance', requireAuth, resolveWorkspace, performanceRoutes);
+app.use('/api/guidelines', requireAuth, resolveWorkspace, guidelineRoutes);
+app.use('/api/schedule', requireAuth, resolveWorkspace, scheduleRoutes);
+app.use('/api/webhooks', requireAuth, resolveWorkspace, webhookRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
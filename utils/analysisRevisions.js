@@ -0,0 +1,244 @@
+const AnalysisRevision = require('../models/AnalysisRevision');
+const { analyzeContent } = require('./analyzer');
+const { listScoringProfiles } = require('./scoringProfile');
+const { listHashtagLibraries } = require('./hashtagLibrary');
+const { getCorpusStats } = require('./hashtagCorpus');
+const { getActiveGuidelines } = require('./brandGuidelines');
+const { redactPII } = require('./riskScanner');
+
+/**
+ * Create a revision error that routes can return with its status
+ */
+function revisionError(message, status, suggestion) {
+  const error = new Error(message);
+  error.status = status;
+  error.suggestion = suggestion;
+  return error;
+}
+
+/**
+ * Store the current state of an analysis as a revision
+ */
+function snapshot(doc, revision, fields) {
+  return AnalysisRevision.create({
+    analysisId: doc._id,
+    workspace: doc.workspace,
+    revision: revision,
+    extractedText: doc.extractedText,
+    platform: doc.platform,
+    language: doc.language,
+    engagementScore: doc.analysis.engagementScore,
+    analysis: doc.analysis.toObject ? doc.analysis.toObject() : doc.analysis,
+    ...fields,
+  });
+}
+
+/**
+ * Make sure the original version of an analysis is kept as revision 1
+ * (analyses saved before editing existed have no revisions yet)
+ */
+async function ensureOriginalRevision(doc) {
+  const exists = await AnalysisRevision.exists({ analysisId: doc._id });
+  if (exists) return;
+
+  try {
+    await snapshot(doc, doc.revision || 1, {
+      source: 'original',
+      editedBy: doc.owner,
+      createdAt: doc.createdAt,
+    });
+  } catch (error) {
+    // Another request stored it first
+    if (error.code !== 11000) throw error;
+  }
+}
+
+/**
+ * Pick the scoring profile for re-analysis: the requested one, else the one
+ * used last time if it still exists (inline "custom" profiles are not stored)
+ */
+function pickScoringProfile(requested, previous) {
+  if (requested) return requested;
+  return listScoringProfiles().includes(previous) ? previous : undefined;
+}
+
+/**
+ * Add the counts of a new redaction to the ones already recorded
+ */
+function mergeRedactions(previous, added) {
+  const counts = new Map((previous || []).map(({ type, count }) => [type, count]));
+  added.forEach(({ type, count }) => counts.set(type, (counts.get(type) || 0) + count));
+  return [...counts].map(([type, count]) => ({ type, count }));
+}
+
+/**
+ * Replace the text of a saved analysis, re-run the analysis and store the
+ * result as a new revision. Analyses saved with redactPII have personal data
+ * removed from the new text as well.
+ * @param {Object} doc - Analysis document
+ * @param {Object} changes - Edit
+ * @param {string} changes.text - New extracted text
+ * @param {string} changes.source - "edit", "improved" or "restore"
+ * @param {Object} changes.editedBy - User ID
+ * @param {string} [changes.note] - Optional note describing the change
+ * @param {number} [changes.restoredFrom] - Revision number being restored
+ * @param {string} [changes.platform] - Platform override (null clears it)
+ * @param {string} [changes.language] - Language override
+ * @param {string|Object} [changes.scoringProfile] - Scoring profile override
+ * @returns {Promise<Object>} - { analysis: updated document, revision: new revision document }
+ */
+async function reviseAnalysis(doc, changes) {
+  await ensureOriginalRevision(doc);
+
+  // Analyses saved before the redactPII flag existed are recognized by their redactions
+  const redact = doc.redactPII || (doc.redactions || []).length > 0;
+  const redaction = redact ? redactPII(changes.text) : null;
+  const text = redaction ? redaction.text : changes.text;
+
+  const previousLibrary = doc.analysis.hashtagLibrary;
+  const analysis = analyzeContent(text, {
+    platform: changes.platform !== undefined ? changes.platform : doc.platform,
+    language: changes.language || doc.language,
+    scoringProfile: pickScoringProfile(changes.scoringProfile, doc.analysis.scoringProfile),
+    industry: listHashtagLibraries().some(library => library.name === previousLibrary) ? previousLibrary : undefined,
+    corpus: await getCorpusStats(doc.workspace),
+    guidelines: await getActiveGuidelines(doc.workspace),
+  });
+
+  const nextRevision = (doc.revision || 1) + 1;
+
+  doc.extractedText = text;
+  if (redaction) {
+    doc.redactPII = true;
+    doc.redactions = mergeRedactions(doc.redactions, redaction.redactions);
+  }
+  doc.platform = analysis.platform;
+  doc.language = analysis.language;
+  doc.analysis = analysis;
+  doc.revision = nextRevision;
+  doc.updatedAt = new Date();
+
+  // The revision insert goes first: its unique index rejects concurrent edits
+  let revision;
+  try {
+    revision = await snapshot(doc, nextRevision, {
+      source: changes.source,
+      note: changes.note || '',
+      restoredFrom: changes.restoredFrom,
+      editedBy: changes.editedBy,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw revisionError('The analysis was changed by someone else', 409, 'Reload the analysis and try again');
+    }
+    throw error;
+  }
+
+  try {
+    await doc.save();
+  } catch (error) {
+    // Keep the revision list in step with the analysis
+    await AnalysisRevision.deleteOne({ _id: revision._id }).catch(err => {
+      console.error('Error deleting revision:', err.message);
+    });
+    throw error;
+  }
+  return { analysis: doc, revision };
+}
+
+/**
+ * Points per factor from a score breakdown
+ */
+function factorPoints(analysis) {
+  return ((analysis && analysis.scoreBreakdown) || []).reduce((points, factor) => {
+    points[factor.factor] = factor.points;
+    return points;
+  }, {});
+}
+
+/**
+ * List an analysis' revisions, oldest first, with the score change from the
+ * previous revision and the factors that changed
+ * @param {Object} doc - Analysis document
+ * @returns {Promise<Array<Object>>} - Revision summaries
+ */
+async function listRevisions(doc) {
+  await ensureOriginalRevision(doc);
+
+  const revisions = await AnalysisRevision.find({ analysisId: doc._id })
+    .sort({ revision: 1 })
+    .populate({ path: 'editedBy', select: 'email name' })
+    .lean();
+
+  return revisions.map((revision, index) => {
+    const previous = index > 0 ? revisions[index - 1] : null;
+    const summary = {
+      revision: revision.revision,
+      source: revision.source,
+      restoredFrom: revision.restoredFrom,
+      note: revision.note,
+      engagementScore: revision.engagementScore,
+      scoreChange: previous ? revision.engagementScore - previous.engagementScore : null,
+      factorChanges: [],
+      textLength: revision.extractedText.length,
+      editedBy: revision.editedBy,
+      createdAt: revision.createdAt,
+      current: revision.revision === (doc.revision || 1),
+    };
+
+    if (previous) {
+      const before = factorPoints(previous.analysis);
+      const after = factorPoints(revision.analysis);
+      summary.factorChanges = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(factor => (before[factor] || 0) !== (after[factor] || 0))
+        .map(factor => ({ factor, from: before[factor] || 0, to: after[factor] || 0 }));
+    }
+
+    return summary;
+  });
+}
+
+/**
+ * Get one revision of an analysis
+ * @param {Object} doc - Analysis document
+ * @param {number} revisionNumber - Revision number
+ * @returns {Promise<Object|null>} - Revision document, or null
+ */
+async function getRevision(doc, revisionNumber) {
+  await ensureOriginalRevision(doc);
+  return AnalysisRevision.findOne({ analysisId: doc._id, revision: revisionNumber })
+    .populate({ path: 'editedBy', select: 'email name' });
+}
+
+/**
+ * Restore an older revision by saving its text as a new revision
+ * (history is never rewritten)
+ * @param {Object} doc - Analysis document
+ * @param {number} revisionNumber - Revision to restore
+ * @param {Object} editedBy - User ID
+ * @returns {Promise<Object>} - { analysis, revision }
+ */
+async function restoreRevision(doc, revisionNumber, editedBy) {
+  const old = await getRevision(doc, revisionNumber);
+  if (!old) {
+    throw revisionError(`Revision ${revisionNumber} not found`, 404);
+  }
+
+  return reviseAnalysis(doc, {
+    text: old.extractedText,
+    platform: old.platform || null,
+    language: old.language,
+    scoringProfile: pickScoringProfile(undefined, old.analysis && old.analysis.scoringProfile),
+    source: 'restore',
+    restoredFrom: old.revision,
+    note: `Restored revision ${old.revision}`,
+    editedBy: editedBy,
+  });
+}
+
+module.exports = {
+  reviseAnalysis,
+  listRevisions,
+  getRevision,
+  restoreRevision,
+};
@@ -1,102 +1,392 @@
+const { PLATFORM_PROFILES, resolvePlatform, checkPlatformRules } = require('./platforms');
+const { resolveLanguage, detectLanguage, getLanguage } = require('./languages');
+const { loadScoringProfile } = require('./scoringProfile');
+const { analyzeReadability } = require('./readability');
+const { analyzeSentiment } = require('./sentiment');
+const { generateRewrites } = require('./rewriter');
+const { suggestHashtags } = require('./hashtags');
+const { extractEntities, getEntityFeedback } = require('./entities');
+const { lintBrandGuidelines } = require('./brandGuidelines');
+const { scanRisks } = require('./riskScanner');
+
+// How the dominant emotion is described in the tone feedback
+const EMOTION_TONES = {
+  joy: 'Joyful',
+  trust: 'Reassuring and trustworthy',
+  anticipation: 'Forward-looking',
+  surprise: 'Surprising',
+  anger: 'Frustrated',
+  fear: 'Cautionary',
+  sadness: 'Somber',
+  disgust: 'Disapproving',
+};
+
 /**
  * Analyze extracted text and generate engagement insights
  * @param {string} text - The text to analyze
+ * @param {Object} [options] - Analysis options
+ * @param {string} [options.platform] - Target platform (twitter/x, linkedin, instagram, threads)
+ * @param {string} [options.language] - ISO 639-1 language code (detected from the text if omitted)
+ * @param {string|Object} [options.scoringProfile] - Scoring profile name or partial profile object
+ * @param {string[]} [options.rewriteStrategies] - Rewrite strategies for `alternatives` (default: all)
+ * @param {string} [options.industry] - Hashtag library (config/hashtags/<industry>.json)
+ * @param {Object} [options.corpus] - History term frequencies for TF-IDF hashtag scoring (utils/hashtagCorpus.js)
+ * @param {Object[]} [options.guidelines] - Workspace brand guidelines to lint against (utils/brandGuidelines.js)
  * @returns {Object} - Analysis results
  */
-function analyzeContent(text) {
-  if (!text || text.trim().length === 0) {
-    throw new Error('Text is empty or invalid');
-  }
+function analyzeContent(text, options = {}) {
+  const context = prepareAnalysis(text, options);
+  const { platform, language, lexicon, wordCount, sentenceCount, platformCheck, scoringProfile, entities, brandLint } = context;
 
-  const wordCount = text.split(/\s+/).filter(word => word.length > 0).length;
-  const charCount = text.length;
-  const sentenceCount = text.split(/[.!?]+/).filter(s => s.trim().length > 0).length;
-  const paragraphCount = text.split(/\n\s*\n/).filter(p => p.trim().length > 0).length;
-
-  // Calculate engagement score (0-100)
-  const engagementScore = calculateEngagementScore(text, wordCount, sentenceCount);
+  // Calculate engagement score (0-100) with a per-factor breakdown
+  const { score: engagementScore, breakdown: scoreBreakdown } = calculateEngagementScore(context);
 
   // Determine readability
   const readability = assessReadability(wordCount, sentenceCount);
+  const readabilityMetrics = analyzeReadability(text);
 
   // Length feedback
-  const lengthFeedback = getLengthFeedback(wordCount);
+  const lengthFeedback = getLengthFeedback(wordCount, platform);
+
+  // Hashtags: TF-IDF keywords, compound phrases and library tags, plus warnings about tags in use
+  const hashtags = suggestHashtags(text, { lexicon, industry: options.industry, corpus: options.corpus });
 
-  // Extract keywords for hashtags
-  const hashtagSuggestions = generateHashtagSuggestions(text);
+  // Mentions, links, emojis and hashtag placement
+  const entityFeedback = getEntityFeedback(entities, {
+    wordCount,
+    profile: platform ? PLATFORM_PROFILES[platform] : null,
+  });
+
+  // Compliance risks: missing disclosures, absolute claims, personal data
+  const risks = scanRisks(text, entities);
 
   // Generate CTA suggestions
-  const ctaSuggestions = generateCTASuggestions(text);
+  const ctaSuggestions = generateCTASuggestions(text, platform, lexicon);
 
-  // Tone analysis
-  const toneFeedback = analyzeTone(text);
+  // Sentiment, emotion and tone analysis
+  const sentiment = analyzeSentiment(text, language);
+  const toneFeedback = analyzeTone(text, lexicon, sentiment);
 
   // Generate improved version
-  const improvedVersion = generateImprovedVersion(text, wordCount);
+  const improvedVersion = generateImprovedVersion(text, wordCount, lexicon);
+
+  // Labelled rewrites (tightened, hook first, thread, bullets), each re-scored
+  const alternatives = generateAlternatives(text, { ...options, platform, language }, engagementScore);
 
   return {
     engagementScore,
+    scoreBreakdown,
+    scoringProfile: scoringProfile.name,
     readability,
+    readabilityMetrics,
     lengthFeedback,
-    hashtagSuggestions,
+    hashtagSuggestions: hashtags.suggestions,
+    hashtagDetails: hashtags.details,
+    hashtagWarnings: hashtags.warnings,
+    hashtagLibrary: hashtags.library,
+    entities,
+    entityFeedback,
     ctaSuggestions,
     toneFeedback,
+    sentiment,
     improvedVersion,
+    alternatives,
+    platform,
+    language,
+    platformWarnings: platformCheck ? platformCheck.warnings : [],
+    brandLint,
+    risks,
+  };
+}
+
+/**
+ * Validate input and compute the values shared by every analysis step
+ */
+function prepareAnalysis(text, options) {
+  if (!text || text.trim().length === 0) {
+    throw new Error('Text is empty or invalid');
+  }
+
+  const platform = resolvePlatform(options.platform);
+  if (options.platform && !platform) {
+    throw new Error(`Unsupported platform: ${options.platform}`);
+  }
+
+  const language = options.language ? resolveLanguage(options.language) : detectLanguage(text).language;
+  if (!language) {
+    throw new Error(`Unsupported language: ${options.language}`);
+  }
+
+  const wordCount = text.split(/\s+/).filter(word => word.length > 0).length;
+  const sentenceCount = text.split(/[.!?]+/).filter(s => s.trim().length > 0).length;
+  const entities = extractEntities(text);
+
+  return {
+    text,
+    platform,
+    language,
+    lexicon: getLanguage(language),
+    wordCount,
+    sentenceCount,
+    entities,
+    // Check platform-specific rules (character limits, hashtags, emojis, links)
+    platformCheck: platform ? checkPlatformRules(text, platform, entities) : null,
+    // House style rules (banned words, preferred terms, disclaimers, limits, capitalization)
+    brandLint: lintBrandGuidelines(text, options.guidelines, entities),
+    scoringProfile: loadScoringProfile(options.scoringProfile),
+  };
+}
+
+/**
+ * Get the word ranges used to score length, scaled to the platform if one is set
+ */
+function getLengthRanges(config, platform) {
+  if (!platform) {
+    return {
+      optimal: config.optimal,
+      acceptable: config.acceptable,
+      tooShortBelow: config.tooShort.below,
+      tooLongAbove: config.tooLong.above,
+    };
+  }
+
+  const { min, max } = PLATFORM_PROFILES[platform].optimalWords;
+  const ratios = config.platformRatios;
+  return {
+    optimal: { min, max },
+    acceptable: { min: min * ratios.acceptableMin, max: max * ratios.acceptableMax },
+    tooShortBelow: min * ratios.tooShortBelow,
+    tooLongAbove: max * ratios.tooLongAbove,
   };
 }
 
 /**
  * Calculate engagement score based on various factors
+ * Weights come from the scoring profile (config/scoring/*.json)
+ * @returns {Object} - { score, breakdown: [{ factor, label, value, points, fix }] }
  */
-function calculateEngagementScore(text, wordCount, sentenceCount) {
-  let score = 50; // Base score
-
-  // Length factor (optimal: 50-150 words for social media)
-  if (wordCount >= 50 && wordCount <= 150) {
-    score += 20;
-  } else if (wordCount >= 30 && wordCount <= 200) {
-    score += 10;
-  } else if (wordCount < 20) {
-    score -= 15;
-  } else if (wordCount > 300) {
-    score -= 10;
+function calculateEngagementScore({ text, wordCount, sentenceCount, platform, platformCheck, lexicon, scoringProfile, entities, brandLint }) {
+  const weights = scoringProfile.factors;
+  const breakdown = [];
+
+  // Length factor (optimal: 50-150 words for social media, or the platform's own range)
+  const ranges = getLengthRanges(weights.length, platform);
+  let lengthPoints = 0;
+  if (wordCount >= ranges.optimal.min && wordCount <= ranges.optimal.max) {
+    lengthPoints = weights.length.optimal.points;
+  } else if (wordCount >= ranges.acceptable.min && wordCount <= ranges.acceptable.max) {
+    lengthPoints = weights.length.acceptable.points;
+  } else if (wordCount < ranges.tooShortBelow) {
+    lengthPoints = weights.length.tooShort.points;
+  } else if (wordCount > ranges.tooLongAbove) {
+    lengthPoints = weights.length.tooLong.points;
+  }
+  let lengthFix = null;
+  if (wordCount < ranges.optimal.min) {
+    lengthFix = `Add about ${ranges.optimal.min - wordCount} words to reach the ${ranges.optimal.min}-${ranges.optimal.max} word range`;
+  } else if (wordCount > ranges.optimal.max) {
+    lengthFix = `Cut about ${wordCount - ranges.optimal.max} words to get within the ${ranges.optimal.min}-${ranges.optimal.max} word range`;
   }
+  breakdown.push({ factor: 'length', label: 'Word count', value: wordCount, points: lengthPoints, fix: lengthFix });
 
   // Question factor
   const questionCount = (text.match(/\?/g) || []).length;
-  if (questionCount > 0) {
-    score += Math.min(questionCount * 5, 15);
-  }
+  const questionPoints = Math.min(questionCount * weights.questions.pointsEach, weights.questions.maxPoints);
+  breakdown.push({
+    factor: 'questions',
+    label: 'Questions',
+    value: questionCount,
+    points: questionPoints,
+    fix: questionCount === 0 ? 'Ask your audience a question to invite comments' : null,
+  });
 
   // Exclamation factor (moderate use is good)
   const exclamationCount = (text.match(/!/g) || []).length;
-  if (exclamationCount >= 1 && exclamationCount <= 2) {
-    score += 5;
-  } else if (exclamationCount > 3) {
-    score -= 5;
+  const { ideal: idealExclamations, excessive } = weights.exclamations;
+  let exclamationPoints = 0;
+  if (exclamationCount >= idealExclamations.min && exclamationCount <= idealExclamations.max) {
+    exclamationPoints = idealExclamations.points;
+  } else if (exclamationCount > excessive.above) {
+    exclamationPoints = excessive.points;
   }
+  let exclamationFix = null;
+  if (exclamationCount < idealExclamations.min) {
+    exclamationFix = 'Add an exclamation mark to a key line to show energy';
+  } else if (exclamationCount > idealExclamations.max) {
+    exclamationFix = `Reduce exclamation marks from ${exclamationCount} to ${idealExclamations.max} or fewer`;
+  }
+  breakdown.push({
+    factor: 'exclamations',
+    label: 'Exclamation marks',
+    value: exclamationCount,
+    points: exclamationPoints,
+    fix: exclamationFix,
+  });
 
   // Hashtag presence (if already present)
-  const hashtagCount = (text.match(/#\w+/g) || []).length;
-  if (hashtagCount >= 1 && hashtagCount <= 5) {
-    score += 5;
+  const hashtagCount = entities.counts.hashtags;
+  const idealHashtags = weights.hashtags.ideal;
+  let hashtagFix = null;
+  if (hashtagCount < idealHashtags.min) {
+    hashtagFix = `Add ${idealHashtags.min}-${idealHashtags.max} relevant hashtags`;
+  } else if (hashtagCount > idealHashtags.max) {
+    hashtagFix = `Remove ${hashtagCount - idealHashtags.max} hashtag${hashtagCount - idealHashtags.max > 1 ? 's' : ''} to stay within ${idealHashtags.max}`;
   }
+  breakdown.push({
+    factor: 'hashtags',
+    label: 'Hashtags',
+    value: hashtagCount,
+    points: hashtagCount >= idealHashtags.min && hashtagCount <= idealHashtags.max ? idealHashtags.points : 0,
+    fix: hashtagFix,
+  });
 
-  // Call-to-action presence
-  const ctaKeywords = ['click', 'learn', 'discover', 'try', 'get', 'start', 'join', 'sign up', 'download'];
-  const hasCTA = ctaKeywords.some(keyword => text.toLowerCase().includes(keyword));
-  if (hasCTA) {
-    score += 10;
+  // Hashtag placement: a trailing block with none in the text, or too many mid-sentence
+  const { clumped, inlineClutter } = weights.hashtagPlacement;
+  const { inlineHashtags, trailingHashtags } = entities.counts;
+  const blockIsNorm = Boolean(platform && PLATFORM_PROFILES[platform].hashtags.trailingBlock);
+  let placementPoints = 0;
+  let placementFix = null;
+  if (trailingHashtags >= clumped.atLeast && inlineHashtags === 0 && !blockIsNorm) {
+    placementPoints = clumped.points;
+    placementFix = 'Hashtags are clumped at the end - work one or two into the text';
+  } else if (inlineHashtags >= inlineClutter.atLeast) {
+    placementPoints = inlineClutter.points;
+    placementFix = `Move some of the ${inlineHashtags} mid-sentence hashtags to the end`;
+  }
+  breakdown.push({
+    factor: 'hashtagPlacement',
+    label: 'Hashtag placement',
+    value: `${inlineHashtags} inline, ${trailingHashtags} trailing`,
+    points: placementPoints,
+    fix: placementFix,
+  });
+
+  // Mentions
+  const mentionCount = entities.counts.mentions;
+  const excessiveMentions = mentionCount > weights.mentions.excessive.above;
+  breakdown.push({
+    factor: 'mentions',
+    label: 'Mentions',
+    value: mentionCount,
+    points: excessiveMentions ? weights.mentions.excessive.points : 0,
+    fix: excessiveMentions
+      ? `Mention at most ${weights.mentions.excessive.above} people - more can read as tag spam`
+      : null,
+  });
+
+  // Links: platforms that demote external links, links competing for the click, shorteners
+  const { links: linkCount, shortenedLinks } = entities.counts;
+  const reducesReach = Boolean(platform && linkCount > 0 && PLATFORM_PROFILES[platform].links.reducesReach);
+  const linkFixes = [];
+  if (reducesReach) {
+    linkFixes.push(`Move the link${linkCount > 1 ? 's' : ''} to the first comment to avoid reduced reach on ${PLATFORM_PROFILES[platform].name}`);
+  }
+  if (linkCount > 1) {
+    linkFixes.push(`Keep one link instead of ${linkCount}`);
+  }
+  if (shortenedLinks > 0) {
+    linkFixes.push('Replace shortened links with the full URL');
   }
+  breakdown.push({
+    factor: 'links',
+    label: 'Links',
+    value: linkCount,
+    points: (reducesReach ? weights.links.reducedReachPoints : 0) +
+      Math.max(linkCount - 1, 0) * weights.links.extraLinkPoints +
+      shortenedLinks * weights.links.shortenedPoints,
+    fix: linkFixes.length > 0 ? linkFixes.join('; ') : null,
+  });
+
+  // Emojis (a few help, a high density reads as spam)
+  const emojiCount = entities.counts.emojis;
+  const { ideal: idealEmojis, highDensity } = weights.emojis;
+  const emojiDensity = emojiCount / Math.max(wordCount, 1);
+  let emojiPoints = 0;
+  let emojiFix = null;
+  if (emojiDensity > highDensity.above && emojiCount > idealEmojis.max) {
+    emojiPoints = highDensity.points;
+    emojiFix = `Emoji density is high - cut down to ${idealEmojis.max} or fewer`;
+  } else if (emojiCount >= idealEmojis.min && emojiCount <= idealEmojis.max) {
+    emojiPoints = idealEmojis.points;
+  } else if (emojiCount < idealEmojis.min) {
+    emojiFix = 'Add an emoji to a key line to catch the eye';
+  }
+  breakdown.push({
+    factor: 'emojis',
+    label: 'Emojis',
+    value: emojiCount,
+    points: emojiPoints,
+    fix: emojiFix,
+  });
+
+  // Call-to-action presence
+  const hasCTA = lexicon.ctaKeywords.some(keyword => text.toLowerCase().includes(keyword));
+  breakdown.push({
+    factor: 'cta',
+    label: 'Call-to-action',
+    value: hasCTA,
+    points: hasCTA ? weights.cta.points : 0,
+    fix: hasCTA ? null : `Add a call-to-action using words like "${lexicon.ctaKeywords.slice(0, 3).join('", "')}"`,
+  });
 
   // Sentence variety (not all same length)
   const avgSentenceLength = wordCount / Math.max(sentenceCount, 1);
-  if (avgSentenceLength >= 10 && avgSentenceLength <= 20) {
-    score += 5;
+  const idealSentences = weights.sentenceLength.ideal;
+  let sentenceFix = null;
+  if (avgSentenceLength < idealSentences.min) {
+    sentenceFix = `Combine some short sentences - aim for ${idealSentences.min}-${idealSentences.max} words per sentence`;
+  } else if (avgSentenceLength > idealSentences.max) {
+    sentenceFix = `Split long sentences - aim for ${idealSentences.min}-${idealSentences.max} words per sentence`;
   }
+  breakdown.push({
+    factor: 'sentenceLength',
+    label: 'Average sentence length',
+    value: Math.round(avgSentenceLength * 10) / 10,
+    points: avgSentenceLength >= idealSentences.min && avgSentenceLength <= idealSentences.max ? idealSentences.points : 0,
+    fix: sentenceFix,
+  });
+
+  // Platform rule violations
+  if (platformCheck) {
+    breakdown.push({
+      factor: 'platform',
+      label: `${PLATFORM_PROFILES[platform].name} rules`,
+      value: platformCheck.warnings.length,
+      points: Math.round(platformCheck.scoreAdjustment * weights.platform.multiplier),
+      fix: platformCheck.warnings.length > 0 ? platformCheck.warnings.join('; ') : null,
+    });
+  }
+
+  // Brand guideline violations (errors such as banned words cost more than style warnings)
+  if (brandLint) {
+    const { errorPoints, warningPoints, minPoints } = weights.brandGuidelines;
+    const { errors, warnings } = brandLint.counts;
+    breakdown.push({
+      factor: 'brandGuidelines',
+      label: 'Brand guidelines',
+      value: errors + warnings,
+      points: Math.max(errors * errorPoints + warnings * warningPoints, minPoints),
+      fix: brandLint.violations.length > 0
+        ? [...new Set(brandLint.violations.map(violation => violation.message))].slice(0, 3).join('; ')
+        : null,
+    });
+  }
+
+  // Calibrated profiles scale each factor's points (see utils/calibration.js)
+  breakdown.forEach((factor) => {
+    const weight = weights[factor.factor] && weights[factor.factor].weight;
+    if (typeof weight === 'number') {
+      factor.points = Math.round(factor.points * weight);
+    }
+  });
+
+  const score = breakdown.reduce((sum, factor) => sum + factor.points, scoringProfile.baseScore);
 
   // Ensure score is between 0 and 100
-  return Math.max(0, Math.min(100, Math.round(score)));
+  return {
+    score: Math.max(0, Math.min(100, Math.round(score))),
+    breakdown,
+  };
 }
 
 /**
@@ -121,7 +411,18 @@ function assessReadability(wordCount, sentenceCount) {
 /**
  * Provide feedback on content length
  */
-function getLengthFeedback(wordCount) {
+function getLengthFeedback(wordCount, platform) {
+  if (platform) {
+    const profile = PLATFORM_PROFILES[platform];
+    const { min, max } = profile.optimalWords;
+    if (wordCount < min) {
+      return `Short for ${profile.name} - ${min}-${max} words tends to perform best`;
+    } else if (wordCount <= max) {
+      return `Optimal length for ${profile.name}`;
+    }
+    return `Long for ${profile.name} - consider trimming to ${max} words or fewer`;
+  }
+
   if (wordCount < 20) {
     return 'Too short - Add more context or value to engage readers';
   } else if (wordCount >= 20 && wordCount < 50) {
@@ -135,60 +436,15 @@ function getLengthFeedback(wordCount) {
   }
 }
 
-/**
- * Generate hashtag suggestions based on keywords
- */
-function generateHashtagSuggestions(text) {
-  const suggestions = [];
-  const words = text.toLowerCase().match(/\b[a-z]{4,}\b/g) || [];
-  
-  // Common words to exclude
-  const stopWords = new Set([
-    'this', 'that', 'with', 'from', 'have', 'been', 'will', 'your', 'what',
-    'when', 'where', 'which', 'their', 'there', 'these', 'those', 'about',
-    'would', 'could', 'should', 'might', 'must', 'shall', 'them', 'they'
-  ]);
-
-  // Count word frequency
-  const wordFreq = {};
-  words.forEach(word => {
-    if (!stopWords.has(word) && word.length >= 4) {
-      wordFreq[word] = (wordFreq[word] || 0) + 1;
-    }
-  });
-
-  // Get top words
-  const sortedWords = Object.entries(wordFreq)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 8)
-    .map(([word]) => word);
-
-  // Generate hashtags
-  sortedWords.forEach(word => {
-    suggestions.push(`#${word.charAt(0).toUpperCase() + word.slice(1)}`);
-  });
-
-  // Add some generic engagement hashtags if we have space
-  const genericHashtags = ['#SocialMedia', '#Content', '#Engagement', '#Marketing'];
-  genericHashtags.forEach(tag => {
-    if (suggestions.length < 8 && !suggestions.includes(tag)) {
-      suggestions.push(tag);
-    }
-  });
-
-  return suggestions.slice(0, 8);
-}
-
 /**
  * Generate call-to-action suggestions
  */
-function generateCTASuggestions(text) {
+function generateCTASuggestions(text, platform, lexicon) {
   const suggestions = [];
   const textLower = text.toLowerCase();
 
   // Check if CTA already exists
-  const hasCTA = ['click', 'learn', 'discover', 'try', 'get', 'start', 'join', 'sign up', 'download']
-    .some(keyword => textLower.includes(keyword));
+  const hasCTA = lexicon.ctaKeywords.some(keyword => textLower.includes(keyword));
 
   if (!hasCTA) {
     suggestions.push('Add a clear call-to-action to guide your audience');
@@ -200,45 +456,51 @@ function generateCTASuggestions(text) {
   }
 
   // Platform-specific suggestions
-  suggestions.push('For Instagram: Use "Swipe up" or "Link in bio"');
-  suggestions.push('For Twitter: Use "Read more" or "Thread 🧵"');
-  suggestions.push('For LinkedIn: Use "Learn more" or "Let\'s connect"');
+  if (platform) {
+    suggestions.push(...PLATFORM_PROFILES[platform].ctaSuggestions);
+  } else {
+    suggestions.push('For Instagram: Use "Swipe up" or "Link in bio"');
+    suggestions.push('For Twitter: Use "Read more" or "Thread 🧵"');
+    suggestions.push('For LinkedIn: Use "Learn more" or "Let\'s connect"');
+  }
 
   return suggestions.slice(0, 5);
 }
 
 /**
- * Analyze the tone of the content
+ * Count how many of the given words or phrases appear as whole words
  */
-function analyzeTone(text) {
-  const textLower = text.toLowerCase();
-  
-  let tone = [];
-  
-  // Check for positive words
-  const positiveWords = ['great', 'amazing', 'wonderful', 'excellent', 'love', 'best', 'awesome', 'fantastic'];
-  const positiveCount = positiveWords.filter(word => textLower.includes(word)).length;
-  
-  // Check for question words
-  const questionWords = ['what', 'why', 'how', 'when', 'where', 'who'];
-  const questionCount = questionWords.filter(word => textLower.includes(word)).length;
-  
-  // Check for professional words
-  const professionalWords = ['strategy', 'solution', 'approach', 'method', 'process', 'system'];
-  const professionalCount = professionalWords.filter(word => textLower.includes(word)).length;
-  
-  if (positiveCount >= 2) {
-    tone.push('Positive and enthusiastic');
+function countWholeWords(text, words) {
+  const textLower = ` ${text.toLowerCase().replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ')} `;
+  return words.filter(word => textLower.includes(` ${word.toLowerCase()} `)).length;
+}
+
+/**
+ * Describe the tone of the content from its sentiment and emotions
+ */
+function analyzeTone(text, lexicon, sentiment) {
+  const tone = [];
+
+  if (sentiment.label === 'positive') {
+    tone.push(sentiment.compound >= 0.5 ? 'Positive and enthusiastic' : 'Mildly positive');
+  } else if (sentiment.label === 'negative') {
+    tone.push(sentiment.compound <= -0.5 ? 'Negative and critical' : 'Mildly negative');
   }
-  
-  if (questionCount >= 2) {
+
+  if (sentiment.dominantEmotion && EMOTION_TONES[sentiment.dominantEmotion]) {
+    tone.push(EMOTION_TONES[sentiment.dominantEmotion]);
+  }
+
+  // Check for question words
+  if (countWholeWords(text, lexicon.questionWords) >= 2) {
     tone.push('Engaging and thought-provoking');
   }
-  
-  if (professionalCount >= 2) {
+
+  // Check for professional words
+  if (countWholeWords(text, lexicon.professionalWords) >= 2) {
     tone.push('Professional and informative');
   }
-  
+
   // Default tone assessment
   if (tone.length === 0) {
     const exclamationCount = (text.match(/!/g) || []).length;
@@ -248,14 +510,14 @@ function analyzeTone(text) {
       tone.push('Neutral and informative');
     }
   }
-  
-  return tone.join(' - ') || 'Neutral';
+
+  return tone.join(' - ');
 }
 
 /**
  * Generate an improved version of the content
  */
-function generateImprovedVersion(text, wordCount) {
+function generateImprovedVersion(text, wordCount, lexicon) {
   let improved = text.trim();
   
   // Ensure it starts with a capital letter
@@ -265,7 +527,7 @@ function generateImprovedVersion(text, wordCount) {
   
   // Add a question at the end if it's short and doesn't have one
   if (wordCount < 100 && !improved.includes('?') && !improved.includes('!')) {
-    improved += ' What do you think?';
+    improved += ` ${lexicon.closingQuestion}`;
   }
   
   // Ensure it ends with proper punctuation
@@ -293,4 +555,49 @@ function generateImprovedVersion(text, wordCount) {
   return improved.trim();
 }
 
-module.exports = { analyzeContent };
+/**
+ * Rewrite a post with each rewrite strategy and score every alternative.
+ * Thread parts are scored against X's rules; the thread's score is the
+ * average of its parts.
+ * @param {string} text - Original text
+ * @param {Object} options - Analysis options (platform, language, scoringProfile, rewriteStrategies)
+ * @param {number} [originalScore] - Score of the original, used for scoreChange
+ * @returns {Array<Object>} - [{ strategy, label, text, parts?, engagementScore, scoreChange }]
+ */
+function generateAlternatives(text, options, originalScore) {
+  const language = options.language ? resolveLanguage(options.language) : detectLanguage(text).language;
+  const scoreText = (rewritten, platform) => calculateEngagementScore(prepareAnalysis(rewritten, {
+    platform,
+    language,
+    scoringProfile: options.scoringProfile,
+    guidelines: options.guidelines,
+  })).score;
+
+  const baseScore = originalScore !== undefined ? originalScore : scoreText(text, options.platform);
+
+  return generateRewrites(text, {
+    language,
+    lexicon: getLanguage(language),
+    strategies: options.rewriteStrategies,
+  }).map((rewrite) => {
+    let engagementScore;
+    let parts;
+    if (rewrite.parts) {
+      parts = rewrite.parts.map(part => ({ text: part, charCount: part.length, engagementScore: scoreText(part, 'twitter') }));
+      engagementScore = Math.round(parts.reduce((sum, part) => sum + part.engagementScore, 0) / parts.length);
+    } else {
+      engagementScore = scoreText(rewrite.text, options.platform);
+    }
+
+    return {
+      strategy: rewrite.strategy,
+      label: rewrite.label,
+      text: rewrite.text,
+      ...(parts ? { parts } : {}),
+      engagementScore,
+      scoreChange: engagementScore - baseScore,
+    };
+  });
+}
+
+module.exports = { analyzeContent, generateAlternatives };
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+const BCRYPT_ROUNDS = 12;
+const TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const API_KEY_PREFIX = 'sca_';
+const MIN_PASSWORD_LENGTH = 8;
+
+let devSecret = null;
+
+/**
+ * Check that tokens can be signed. JWT_SECRET is required unless
+ * NODE_ENV=development, where a temporary secret is used instead.
+ * @returns {string|null} - Error message, or null if the server can start
+ */
+function checkTokenSecret() {
+  if (process.env.JWT_SECRET || process.env.NODE_ENV === 'development') {
+    return null;
+  }
+  return 'JWT_SECRET is not set. Set it to a long random string (or NODE_ENV=development to use a temporary secret).';
+}
+
+/**
+ * Secret used to sign tokens; in development without JWT_SECRET a random
+ * per-process secret is used, so tokens stop working after a restart
+ */
+function getTokenSecret() {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+  const secretError = checkTokenSecret();
+  if (secretError) {
+    throw new Error(secretError);
+  }
+  if (!devSecret) {
+    console.warn('JWT_SECRET is not set; using a temporary secret. Tokens will be invalid after restart.');
+    devSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return devSecret;
+}
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} - bcrypt hash
+ */
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain-text password
+ * @param {string} passwordHash - bcrypt hash
+ * @returns {Promise<boolean>} - True if the password matches
+ */
+function verifyPassword(password, passwordHash) {
+  return bcrypt.compare(password, passwordHash);
+}
+
+/**
+ * Validate a password before registration
+ * @param {string} password - Plain-text password
+ * @returns {string|null} - Error message, or null if the password is acceptable
+ */
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Sign an access token for a user
+ * @param {Object} user - User document
+ * @returns {string} - JWT
+ */
+function signToken(user) {
+  return jwt.sign({ sub: String(user._id) }, getTokenSecret(), { expiresIn: TOKEN_EXPIRES_IN });
+}
+
+/**
+ * Verify an access token
+ * @param {string} token - JWT
+ * @returns {string|null} - User ID, or null if the token is invalid or expired
+ */
+function verifyToken(token) {
+  try {
+    return jwt.verify(token, getTokenSecret()).sub || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Hash a random token (API key, invitation) for storage and lookup
+ * @param {string} token - Token
+ * @returns {string} - Hex SHA-256 digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - API key
+ * @returns {string} - Hex SHA-256 digest
+ */
+function hashApiKey(key) {
+  return hashToken(key);
+}
+
+/**
+ * Generate a new API key
+ * @returns {{key: string, prefix: string, keyHash: string}} - The key (shown once), its prefix and hash
+ */
+function generateApiKey() {
+  const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  return {
+    key,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+    keyHash: hashApiKey(key),
+  };
+}
+
+/**
+ * Generate a workspace invitation token
+ * @returns {{token: string, tokenHash: string}} - The token (shown once) and its hash
+ */
+function generateInviteToken() {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { token, tokenHash: hashToken(token) };
+}
+
+/**
+ * True if a credential looks like an API key rather than a JWT
+ */
+function isApiKey(credential) {
+  return typeof credential === 'string' && credential.startsWith(API_KEY_PREFIX);
+}
+
+module.exports = {
+  checkTokenSecret,
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+  signToken,
+  verifyToken,
+  hashToken,
+  hashApiKey,
+  generateApiKey,
+  generateInviteToken,
+  isApiKey,
+};
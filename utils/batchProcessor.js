@@ -0,0 +1,307 @@
+const AdmZip = require('adm-zip');
+const mongoose = require('mongoose');
+const path = require('path');
+const fs = require('fs').promises;
+const { extractTextFromFile } = require('./textExtractor');
+const { supportedExtensions } = require('./extractors');
+const { readZipEntry } = require('./zipReader');
+const { analyzeContent } = require('./analyzer');
+const { redactPII } = require('./riskScanner');
+const { getCorpusStats } = require('./hashtagCorpus');
+const { getActiveGuidelines } = require('./brandGuidelines');
+const { emitEvent } = require('./webhookQueue');
+const { analysisEventData } = require('./webhooks');
+const Analysis = require('../models/Analysis');
+const AnalysisGroup = require('../models/AnalysisGroup');
+
+const MAX_BATCH_FILES = 100;
+const MAX_UNCOMPRESSED_BYTES = 200 * 1024 * 1024; // 200MB across a zip archive
+
+/**
+ * Expand uploaded zip archives into individual files on disk. Nothing is
+ * written if the archives hold more than MAX_BATCH_FILES files in total. The
+ * archives are deleted once every one has been expanded; if one cannot be,
+ * the files already written are deleted and the uploads are left to the caller.
+ * @param {Array<{path: string, originalname: string}>} files - Uploaded files (multer format)
+ * @param {string} outputDir - Directory to write extracted entries to
+ * @returns {Promise<Array<{path: string, originalname: string}>>} - Files to process
+ */
+async function expandZipArchives(files, outputDir) {
+  const expanded = [];
+  const written = [];
+  const archives = [];
+  const extensions = supportedExtensions();
+
+  // Read every archive's entry list first so the file count is known before writing
+  for (const file of files) {
+    if (path.extname(file.originalname).toLowerCase() !== '.zip') {
+      continue;
+    }
+
+    let zip;
+    try {
+      zip = new AdmZip(file.path);
+    } catch (err) {
+      throw new Error(`Could not read zip archive ${file.originalname}: ${err.message}`);
+    }
+
+    const entries = zip.getEntries().filter((entry) => {
+      const baseName = path.basename(entry.entryName);
+      return !entry.isDirectory &&
+        !entry.entryName.startsWith('__MACOSX/') &&
+        !baseName.startsWith('.') &&
+        extensions.includes(path.extname(baseName).toLowerCase());
+    });
+    archives.push({ file, entries });
+  }
+
+  const fileCount = archives.reduce((count, archive) => count + archive.entries.length, files.length - archives.length);
+  if (fileCount > MAX_BATCH_FILES) {
+    throw new Error(`Too many files: ${fileCount}. A batch can contain at most ${MAX_BATCH_FILES} files.`);
+  }
+
+  try {
+    for (const file of files) {
+      const archive = archives.find(candidate => candidate.file === file);
+      if (!archive) {
+        expanded.push({ path: file.path, originalname: file.originalname });
+        continue;
+      }
+
+      let remaining = MAX_UNCOMPRESSED_BYTES;
+      for (const entry of archive.entries) {
+        const data = readZipEntry(entry, remaining, file.originalname);
+        remaining -= data.length;
+
+        // Never use the entry path on disk, only a generated name
+        const baseName = path.basename(entry.entryName);
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        const entryPath = path.join(outputDir, `zip-${uniqueSuffix}${path.extname(baseName).toLowerCase()}`);
+        await fs.writeFile(entryPath, data);
+        written.push(entryPath);
+        expanded.push({ path: entryPath, originalname: baseName });
+      }
+    }
+  } catch (error) {
+    await Promise.all(written.map(entryPath => fs.unlink(entryPath).catch(err => {
+      console.error('Error deleting file:', err);
+    })));
+    throw error;
+  }
+
+  await Promise.all(archives.map(({ file }) => fs.unlink(file.path).catch(err => {
+    console.error('Error deleting file:', err);
+  })));
+
+  return expanded;
+}
+
+/**
+ * Extract and analyze each file in a batch, one at a time. The files are left
+ * on disk so an interrupted batch can be run again.
+ * @param {Array<{path: string, originalname: string}>} files - Files to process
+ * @param {Object} [options] - { platform, languages, industry, corpus, guidelines, redactPII, workerPool, onProgress }
+ * @returns {Promise<Object[]>} - Per-file results; failures are reported, not thrown
+ */
+async function processBatch(files, options = {}) {
+  const results = [];
+
+  for (const [index, file] of files.entries()) {
+    if (options.onProgress) {
+      options.onProgress({
+        stage: 'batch',
+        current: index + 1,
+        total: files.length,
+        message: `File ${index + 1} of ${files.length}: ${file.originalname}`,
+      });
+    }
+
+    try {
+      const extraction = await extractTextFromFile(file.path, file.originalname, {
+        languages: options.languages,
+        workerPool: options.workerPool,
+      });
+      // Personal data is removed before analysis so nothing derived from the text keeps it
+      const redaction = options.redactPII ? redactPII(extraction.text) : null;
+      const text = redaction ? redaction.text : extraction.text;
+      const analysis = analyzeContent(text, {
+        platform: options.platform,
+        language: extraction.language,
+        industry: options.industry,
+        corpus: options.corpus,
+        guidelines: options.guidelines,
+      });
+
+      results.push({
+        fileName: file.originalname,
+        success: true,
+        fileType: extraction.fileType,
+        extractionMethod: extraction.extractionMethod,
+        extractedText: text,
+        redactions: redaction ? redaction.redactions : [],
+        screenshot: extraction.screenshot,
+        analysis: analysis,
+      });
+    } catch (error) {
+      results.push({
+        fileName: file.originalname,
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Summarize a batch: average score, weakest posts and hashtags shared across files
+ * @param {Object[]} results - Results from processBatch
+ * @returns {Object} - Batch summary
+ */
+function summarizeBatch(results) {
+  const succeeded = results.filter(result => result.success);
+  const scores = succeeded.map(result => result.analysis.engagementScore);
+
+  const averageEngagementScore = scores.length > 0
+    ? Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 10) / 10
+    : null;
+
+  const weakestPosts = [...succeeded]
+    .sort((a, b) => a.analysis.engagementScore - b.analysis.engagementScore)
+    .slice(0, 5)
+    .map(result => ({
+      fileName: result.fileName,
+      engagementScore: result.analysis.engagementScore,
+      lengthFeedback: result.analysis.lengthFeedback,
+    }));
+
+  // Count each hashtag once per file (tags used in the text plus suggested tags)
+  const hashtagCounts = {};
+  succeeded.forEach((result) => {
+    const usedTags = (result.extractedText.match(/#\w+/g) || []).map(tag => tag.toLowerCase());
+    const suggestedTags = result.analysis.hashtagSuggestions.map(tag => tag.toLowerCase());
+    new Set([...usedTags, ...suggestedTags]).forEach((tag) => {
+      hashtagCounts[tag] = (hashtagCounts[tag] || 0) + 1;
+    });
+  });
+
+  const commonHashtags = Object.entries(hashtagCounts)
+    .filter(([, count]) => count >= 2)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 10)
+    .map(([tag, count]) => ({ hashtag: tag, fileCount: count }));
+
+  return {
+    fileCount: results.length,
+    succeeded: succeeded.length,
+    failed: results.length - succeeded.length,
+    averageEngagementScore,
+    weakestPosts,
+    commonHashtags,
+  };
+}
+
+/**
+ * Run a queued batch job: extract and analyze its files and, unless
+ * saveToHistory is false, save the successful analyses as one group in history
+ * @param {Object} job - ExtractionJob of type 'batch'
+ * @param {Object} [options] - { workerPool, onProgress }
+ * @returns {Promise<Object>} - { saved, groupId, summary, results }
+ */
+async function runBatchJob(job, options = {}) {
+  const { platform, industry, name, saveToHistory, redactPII: redact } = job.batch.options;
+  const corpus = await getCorpusStats(job.workspace);
+  const guidelines = await getActiveGuidelines(job.workspace);
+  const results = await processBatch(job.batch.files, {
+    platform,
+    languages: job.options.languages,
+    industry,
+    corpus,
+    guidelines,
+    redactPII: redact,
+    workerPool: options.workerPool,
+    onProgress: options.onProgress,
+  });
+  const summary = summarizeBatch(results);
+
+  // Save successful analyses as one group in history. The ids are stored on
+  // the job before anything is saved, so a retry reuses what an earlier
+  // attempt already saved instead of saving it again.
+  let group = null;
+  if (saveToHistory && summary.succeeded > 0) {
+    if (!job.batch.groupId) {
+      job.batch.groupId = new mongoose.Types.ObjectId();
+      job.batch.files.forEach((file) => {
+        file.analysisId = new mongoose.Types.ObjectId();
+      });
+      await job.save();
+    }
+
+    group = await AnalysisGroup.findById(job.batch.groupId);
+    if (!group) {
+      group = await AnalysisGroup.create({
+        _id: job.batch.groupId,
+        workspace: job.workspace,
+        owner: job.owner,
+        type: 'batch',
+        name: name || `Batch of ${results.length} files`,
+      });
+    }
+
+    const analysisIds = [];
+    for (const [index, result] of results.entries()) {
+      if (!result.success) continue;
+      const analysisId = job.batch.files[index].analysisId;
+      result.analysisId = analysisId;
+      analysisIds.push(analysisId);
+      if (await Analysis.exists({ _id: analysisId })) continue;
+
+      const saved = await Analysis.create({
+        _id: analysisId,
+        workspace: job.workspace,
+        owner: job.owner,
+        fileName: result.fileName,
+        fileType: result.fileType,
+        extractedText: result.extractedText,
+        platform: result.analysis.platform,
+        language: result.analysis.language,
+        analysis: result.analysis,
+        screenshot: result.screenshot,
+        redactPII: redact ? true : false,
+        redactions: result.redactions,
+        group: group._id,
+      });
+      emitEvent(job.workspace, 'analysis.created', analysisEventData(saved));
+    }
+
+    group.analyses = analysisIds;
+    group.summary = summary;
+    await group.save();
+  }
+
+  return {
+    saved: group ? true : false,
+    groupId: group ? group._id : null,
+    summary: summary,
+    results: results.map(result => ({
+      fileName: result.fileName,
+      success: result.success,
+      error: result.error,
+      fileType: result.fileType,
+      extractionMethod: result.extractionMethod,
+      screenshot: result.screenshot,
+      redactions: result.redactions,
+      analysis: result.analysis,
+      analysisId: result.analysisId || null,
+    })),
+  };
+}
+
+module.exports = {
+  MAX_BATCH_FILES,
+  expandZipArchives,
+  processBatch,
+  summarizeBatch,
+  runBatchJob,
+};
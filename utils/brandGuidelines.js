@@ -0,0 +1,460 @@
+const BrandGuideline = require('../models/BrandGuideline');
+const { extractEntities } = require('./entities');
+
+const CAPITALIZATION_STYLES = ['sentence', 'title'];
+
+// Size limits for one guideline document
+const LIMITS = {
+  name: 100,
+  description: 500,
+  terms: 200,
+  termLength: 100,
+  variants: 20,
+  disclaimers: 20,
+  disclaimerLength: 500,
+  properNouns: 500,
+};
+
+// Only lines up to this many words are checked for capitalization (headlines, bullets)
+const MAX_HEADLINE_WORDS = 12;
+// Words that stay lowercase in title case unless they start or end the line
+const SMALL_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'but', 'or', 'nor', 'for', 'so', 'yet', 'as', 'at', 'by', 'in', 'of',
+  'off', 'on', 'per', 'to', 'up', 'via', 'vs', 'with', 'from', 'into', 'onto', 'over', 'than',
+]);
+const WORD_PATTERN = /\p{L}[\p{L}\p{N}'’-]*/gu;
+const BULLET_PATTERN = /^\s*(?:[-*•–—>]+|\d+[.)])?\s*/u;
+
+/**
+ * Create a guideline error that routes can return as a 400 response
+ */
+function guidelineError(message, suggestion) {
+  const error = new Error(message);
+  error.status = 400;
+  error.suggestion = suggestion;
+  return error;
+}
+
+/**
+ * Trimmed string, or throw if it is missing, not a string or too long
+ */
+function readString(value, field, maxLength, required = true) {
+  if (value === undefined || value === null || value === '') {
+    if (required) throw guidelineError(`${field} is required`);
+    return '';
+  }
+  if (typeof value !== 'string') {
+    throw guidelineError(`${field} must be a string`);
+  }
+  const trimmed = value.trim();
+  if (required && trimmed.length === 0) {
+    throw guidelineError(`${field} is required`);
+  }
+  if (trimmed.length > maxLength) {
+    throw guidelineError(`${field} is too long`, `Keep it under ${maxLength} characters`);
+  }
+  return trimmed;
+}
+
+/**
+ * Check that a list is an array of at most `max` entries
+ */
+function readList(value, field, max) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    throw guidelineError(`${field} must be an array`);
+  }
+  if (value.length > max) {
+    throw guidelineError(`Too many ${field}: ${value.length}`, `Keep at most ${max}`);
+  }
+  return value;
+}
+
+/**
+ * Limit rule: a non-negative whole number, or null for no limit
+ */
+function readLimit(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  if (!Number.isInteger(value) || value < 0) {
+    throw guidelineError(`${field} must be a non-negative whole number`, 'Send null to remove the limit');
+  }
+  return value;
+}
+
+/**
+ * Validate a brand guideline document sent by a user. Fields that are not
+ * given keep their value from `existing` (for updates).
+ * @param {Object} input - { name, description, active, bannedWords: [{ term, replacement, reason }],
+ *   preferredTerms: [{ term, variants, caseSensitive }], requiredDisclaimers: [{ text }],
+ *   maxExclamations, maxEmojis, capitalization: 'sentence'|'title'|null, properNouns }
+ * @param {Object} [existing] - Current values of the guideline being updated
+ * @returns {Object} - Normalized guideline fields
+ */
+function normalizeGuideline(input, existing = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw guidelineError('Guideline must be an object');
+  }
+  const pick = field => (input[field] !== undefined ? input[field] : existing[field]);
+
+  const bannedWords = readList(pick('bannedWords'), 'bannedWords', LIMITS.terms).map((entry, index) => {
+    const word = typeof entry === 'string' ? { term: entry } : entry || {};
+    return {
+      term: readString(word.term, `bannedWords[${index}].term`, LIMITS.termLength),
+      replacement: readString(word.replacement, `bannedWords[${index}].replacement`, LIMITS.termLength, false),
+      reason: readString(word.reason, `bannedWords[${index}].reason`, LIMITS.description, false),
+    };
+  });
+
+  const preferredTerms = readList(pick('preferredTerms'), 'preferredTerms', LIMITS.terms).map((entry, index) => {
+    const preferred = entry || {};
+    const term = readString(preferred.term, `preferredTerms[${index}].term`, LIMITS.termLength);
+    const variants = readList(preferred.variants, `preferredTerms[${index}].variants`, LIMITS.variants)
+      .map((variant, variantIndex) => readString(variant, `preferredTerms[${index}].variants[${variantIndex}]`, LIMITS.termLength))
+      .filter(variant => variant.toLowerCase() !== term.toLowerCase());
+    if (variants.length === 0 && !preferred.caseSensitive) {
+      throw guidelineError(
+        `preferredTerms[${index}] needs variants to replace`,
+        `List the spellings to replace with "${term}", or set caseSensitive to enforce its capitalization`
+      );
+    }
+    return { term, variants, caseSensitive: Boolean(preferred.caseSensitive) };
+  });
+
+  const requiredDisclaimers = readList(pick('requiredDisclaimers'), 'requiredDisclaimers', LIMITS.disclaimers)
+    .map((entry, index) => ({
+      text: readString(typeof entry === 'string' ? entry : (entry || {}).text,
+        `requiredDisclaimers[${index}].text`, LIMITS.disclaimerLength),
+    }));
+
+  const capitalization = pick('capitalization') || null;
+  if (capitalization !== null && !CAPITALIZATION_STYLES.includes(capitalization)) {
+    throw guidelineError(`Unsupported capitalization style: ${capitalization}`, `Use one of: ${CAPITALIZATION_STYLES.join(', ')}, or null`);
+  }
+
+  const properNouns = readList(pick('properNouns'), 'properNouns', LIMITS.properNouns)
+    .map((noun, index) => readString(noun, `properNouns[${index}]`, LIMITS.termLength));
+
+  const active = pick('active');
+  if (active !== undefined && typeof active !== 'boolean') {
+    throw guidelineError('active must be true or false');
+  }
+
+  const guideline = {
+    name: readString(pick('name'), 'name', LIMITS.name),
+    description: readString(pick('description'), 'description', LIMITS.description, false),
+    active: active !== undefined ? active : true,
+    bannedWords,
+    preferredTerms,
+    requiredDisclaimers,
+    maxExclamations: readLimit(pick('maxExclamations'), 'maxExclamations'),
+    maxEmojis: readLimit(pick('maxEmojis'), 'maxEmojis'),
+    capitalization,
+    properNouns,
+  };
+
+  const hasRule = bannedWords.length > 0 || preferredTerms.length > 0 || requiredDisclaimers.length > 0 ||
+    guideline.maxExclamations !== null || guideline.maxEmojis !== null || capitalization !== null;
+  if (!hasRule) {
+    throw guidelineError('The guideline has no rules', 'Add banned words, preferred terms, disclaimers, limits or a capitalization style');
+  }
+  return guideline;
+}
+
+/**
+ * Whole-word pattern for a term; spaces match any run of whitespace
+ */
+function termPattern(term) {
+  const escaped = term.split(/\s+/).map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, 'giu');
+}
+
+/**
+ * Find a term in the text, skipping matches inside links
+ */
+function findTerm(text, term, skipRanges) {
+  return [...text.matchAll(termPattern(term))]
+    .map(match => ({ text: match[0], start: match.index, end: match.index + match[0].length }))
+    .filter(match => !skipRanges.some(range => match.start < range.end && match.end > range.start));
+}
+
+/**
+ * Give a replacement the capitalization of the word it replaces
+ */
+function matchCase(replacement, original) {
+  if (original.length > 1 && original === original.toUpperCase() && original !== original.toLowerCase()) {
+    return replacement.toUpperCase();
+  }
+  if (original[0] !== original[0].toLowerCase() && replacement === replacement.toLowerCase()) {
+    return replacement[0].toUpperCase() + replacement.slice(1);
+  }
+  return replacement;
+}
+
+/**
+ * Lines short enough to be headlines or bullets: the first line, and any
+ * line that does not end like a sentence
+ */
+function headlineLines(text) {
+  const lines = [];
+  let offset = 0;
+  text.split('\n').forEach((line) => {
+    const bullet = line.match(BULLET_PATTERN)[0].length;
+    const content = line.slice(bullet).trimEnd();
+    const wordCount = content.split(/\s+/).filter(Boolean).length;
+    const isFirst = lines.length === 0 && text.slice(0, offset).trim().length === 0;
+    if (wordCount > 0 && wordCount <= MAX_HEADLINE_WORDS && (isFirst || !/[.,;:]$/.test(content))) {
+      lines.push({ text: content, start: offset + bullet });
+    }
+    offset += line.length + 1;
+  });
+  return lines;
+}
+
+/**
+ * Words of a line whose capitalization the style decides: not hashtags,
+ * mentions, acronyms, mixed-case names (iPhone), "I" or listed proper nouns
+ */
+function styledWords(line, properNouns) {
+  return [...line.text.matchAll(WORD_PATTERN)].map((match) => {
+    const word = match[0];
+    const before = line.text[match.index - 1];
+    const startsSentence = match.index === 0 || /[.!?:]\s+$/.test(line.text.slice(0, match.index));
+    return { word, start: line.start + match.index, startsSentence, skip: /[#@/.]/.test(before || '') };
+  }).filter(({ word, skip }) => {
+    if (skip || /^i(?:['’]|$)/i.test(word)) return false;
+    if (properNouns.has(word.toLowerCase())) return false;
+    // Acronyms and words with capitals after the first letter keep their own casing
+    return !/\p{Lu}/u.test(word.slice(1));
+  });
+}
+
+/**
+ * Capitalization violations for headline-like lines; `termFixes` are the
+ * banned word and preferred term violations already found in the text
+ */
+function checkCapitalization(text, style, properNouns, termFixes) {
+  const violations = [];
+
+  headlineLines(text).forEach((line) => {
+    const words = styledWords(line, properNouns);
+    let wrong;
+    if (style === 'sentence') {
+      const inner = words.filter(word => !word.startsSentence);
+      const capitalized = inner.filter(word => /^\p{Lu}/u.test(word.word));
+      const major = inner.filter(word => !SMALL_WORDS.has(word.word.toLowerCase()));
+      // One capital can be a name; most words capitalized is title case
+      if (capitalized.length < 2 || capitalized.length < major.length / 2) return;
+      wrong = capitalized.map(word => ({ ...word, fixed: word.word[0].toLowerCase() + word.word.slice(1) }));
+    } else {
+      wrong = words
+        .filter((word, index) => word.startsSentence || index === words.length - 1 || !SMALL_WORDS.has(word.word.toLowerCase()))
+        .filter(word => /^\p{Ll}/u.test(word.word))
+        .map(word => ({ ...word, fixed: word.word[0].toUpperCase() + word.word.slice(1) }));
+      if (wrong.length === 0) return;
+    }
+
+    const recase = word => (style === 'sentence' ? word[0].toLowerCase() : word[0].toUpperCase()) + word.slice(1);
+    let start = wrong[0].start;
+    let end = wrong[wrong.length - 1].start + wrong[wrong.length - 1].word.length;
+    // Term fixes inside the span are folded into this fix, so applying it keeps them
+    const inner = termFixes.filter(fix => fix.replacement !== null && fix.start < end && fix.end > start);
+    inner.forEach((fix) => {
+      start = Math.min(start, fix.start);
+      end = Math.max(end, fix.end);
+    });
+    const edits = [
+      ...inner.map(fix => ({
+        start: fix.start,
+        end: fix.end,
+        text: wrong.some(word => word.start === fix.start) && fix.replacement ? recase(fix.replacement) : fix.replacement,
+      })),
+      ...wrong
+        .filter(word => !inner.some(fix => word.start < fix.end && word.start + word.word.length > fix.start))
+        .map(word => ({ start: word.start, end: word.start + word.word.length, text: word.fixed })),
+    ].sort((a, b) => b.start - a.start);
+
+    let replacement = text.slice(start, end);
+    edits.forEach((edit) => {
+      replacement = replacement.slice(0, edit.start - start) + edit.text + replacement.slice(edit.end - start);
+    });
+    violations.push({
+      rule: 'capitalization',
+      severity: 'warning',
+      message: `Use ${style} case: "${line.text}"`,
+      text: text.slice(start, end),
+      start,
+      end,
+      replacement,
+    });
+  });
+
+  return violations;
+}
+
+/**
+ * Run one guideline's rules over the text
+ */
+function lintGuideline(text, guideline, entities) {
+  const violations = [];
+  const linkRanges = entities.links;
+
+  (guideline.bannedWords || []).forEach((banned) => {
+    findTerm(text, banned.term, linkRanges).forEach((match) => {
+      const replacement = banned.replacement ? matchCase(banned.replacement, match.text) : null;
+      violations.push({
+        rule: 'bannedWord',
+        severity: 'error',
+        message: `Avoid "${match.text}"${banned.reason ? ` - ${banned.reason}` : ''}${replacement ? `; use "${replacement}"` : ''}`,
+        ...match,
+        replacement,
+      });
+    });
+  });
+
+  (guideline.preferredTerms || []).forEach((preferred) => {
+    const matches = (preferred.variants || []).flatMap(variant => findTerm(text, variant, linkRanges));
+    if (preferred.caseSensitive) {
+      matches.push(...findTerm(text, preferred.term, linkRanges).filter(match => match.text !== preferred.term));
+    }
+    matches.forEach((match) => {
+      const replacement = preferred.caseSensitive ? preferred.term : matchCase(preferred.term, match.text);
+      if (replacement === match.text) return;
+      violations.push({
+        rule: 'preferredTerm',
+        severity: 'warning',
+        message: `Write "${replacement}" instead of "${match.text}"`,
+        ...match,
+        replacement,
+      });
+    });
+  });
+
+  const normalized = text.toLowerCase().replace(/\s+/g, ' ');
+  (guideline.requiredDisclaimers || []).forEach((disclaimer) => {
+    if (normalized.includes(disclaimer.text.toLowerCase().replace(/\s+/g, ' '))) return;
+    violations.push({
+      rule: 'disclaimer',
+      severity: 'error',
+      message: `Missing required disclaimer: "${disclaimer.text}"`,
+      text: '',
+      start: text.length,
+      end: text.length,
+      replacement: `\n\n${disclaimer.text}`,
+    });
+  });
+
+  if (typeof guideline.maxExclamations === 'number') {
+    const marks = [...text.matchAll(/!/g)]
+      .map(match => match.index)
+      .filter(index => !linkRanges.some(range => index >= range.start && index < range.end));
+    marks.slice(guideline.maxExclamations).forEach((index) => {
+      violations.push({
+        rule: 'exclamations',
+        severity: 'warning',
+        message: `Use at most ${guideline.maxExclamations} exclamation mark${guideline.maxExclamations === 1 ? '' : 's'} (found ${marks.length})`,
+        text: '!',
+        start: index,
+        end: index + 1,
+        // Drop repeated marks, turn the others into full stops
+        replacement: text[index - 1] === '!' ? '' : '.',
+      });
+    });
+  }
+
+  if (typeof guideline.maxEmojis === 'number') {
+    entities.emojis.slice(guideline.maxEmojis).forEach((emoji) => {
+      // Take one neighbouring space along so no double space is left behind
+      const end = /\s/.test(text[emoji.start - 1] || ' ') && text[emoji.end] === ' ' ? emoji.end + 1 : emoji.end;
+      violations.push({
+        rule: 'emojis',
+        severity: 'warning',
+        message: `Use at most ${guideline.maxEmojis} emoji${guideline.maxEmojis === 1 ? '' : 's'} (found ${entities.emojis.length})`,
+        text: text.slice(emoji.start, end),
+        start: emoji.start,
+        end,
+        replacement: '',
+      });
+    });
+  }
+
+  if (guideline.capitalization) {
+    const properNouns = new Set([
+      ...(guideline.properNouns || []),
+      ...(guideline.preferredTerms || []).map(preferred => preferred.term),
+    ].flatMap(noun => noun.toLowerCase().split(/\s+/)));
+    const termFixes = violations.filter(violation => violation.rule === 'bannedWord' || violation.rule === 'preferredTerm');
+    violations.push(...checkCapitalization(text, guideline.capitalization, properNouns, termFixes));
+  }
+
+  return violations.map(violation => ({ ...violation, guideline: guideline.name }));
+}
+
+/**
+ * Apply every suggested replacement; where fixes overlap only the first is applied
+ */
+function applyFixes(text, violations) {
+  let fixed = '';
+  let position = 0;
+  violations
+    .filter(violation => violation.replacement !== null)
+    // Wider fixes first: a capitalization fix already includes the term fixes inside it
+    .sort((a, b) => a.start - b.start || b.end - a.end)
+    .forEach((violation) => {
+      if (violation.start < position) return;
+      fixed += text.slice(position, violation.start) + violation.replacement;
+      position = violation.end;
+    });
+  return fixed + text.slice(position);
+}
+
+/**
+ * Check text against a workspace's brand guidelines
+ * @param {string} text - Text to check
+ * @param {Object[]} guidelines - Guideline documents (see normalizeGuideline)
+ * @param {Object} [entities] - Entities of the text, if already extracted
+ * @returns {Object|null} - { guidelines, violations: [{ rule, severity, guideline, message, text, start, end, replacement }],
+ *   counts: { errors, warnings }, fixedText }, or null without guidelines
+ */
+function lintBrandGuidelines(text, guidelines, entities = extractEntities(text)) {
+  if (!Array.isArray(guidelines) || guidelines.length === 0) return null;
+
+  // Guidelines that share a rule would report the same spot twice
+  const seen = new Set();
+  const violations = guidelines
+    .flatMap(guideline => lintGuideline(text, guideline, entities))
+    .filter((violation) => {
+      const key = `${violation.rule}:${violation.start}:${violation.end}:${violation.replacement}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => a.start - b.start || a.end - b.end);
+
+  return {
+    guidelines: guidelines.map(guideline => guideline.name),
+    violations,
+    counts: {
+      errors: violations.filter(violation => violation.severity === 'error').length,
+      warnings: violations.filter(violation => violation.severity === 'warning').length,
+    },
+    fixedText: applyFixes(text, violations),
+  };
+}
+
+/**
+ * Active brand guidelines of a workspace, oldest first
+ * @param {Object} workspaceId - Workspace ObjectId
+ * @returns {Promise<Object[]>} - Guideline documents (plain objects)
+ */
+async function getActiveGuidelines(workspaceId) {
+  return BrandGuideline.find({ workspace: workspaceId, active: true })
+    .sort({ createdAt: 1 })
+    .lean();
+}
+
+module.exports = {
+  CAPITALIZATION_STYLES,
+  normalizeGuideline,
+  lintBrandGuidelines,
+  getActiveGuidelines,
+};
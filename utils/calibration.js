@@ -0,0 +1,368 @@
+const Analysis = require('../models/Analysis');
+const { buildHistoryQuery } = require('./historyQuery');
+const { resolvePlatform } = require('./platforms');
+const { loadScoringProfile, listScoringProfiles, mergeProfiles } = require('./scoringProfile');
+const { PERFORMANCE_METRICS, totalEngagements, engagementRate } = require('./performance');
+
+const CALIBRATION_METRICS = ['engagementRate', 'engagements', ...PERFORMANCE_METRICS];
+// Most recent analyses with recorded results used for calibration
+const MAX_SAMPLES = 1000;
+const MIN_CORRELATION_SAMPLES = 5;
+// Fitting needs a few samples per factor to say anything
+const MIN_SAMPLES_PER_FACTOR = 3;
+const MIN_FIT_SAMPLES = 20;
+const CV_FOLDS = 5;
+const RIDGE_LAMBDA = 0.1;
+const MAX_MULTIPLIER = 3;
+
+/**
+ * Create a calibration error that routes can return as a 400 response
+ */
+function calibrationError(message, suggestion) {
+  const error = new Error(message);
+  error.status = 400;
+  error.suggestion = suggestion;
+  return error;
+}
+
+/**
+ * Round to a number of decimal places (null stays null)
+ */
+function round(value, places = 3) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Arithmetic mean
+ */
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Population standard deviation
+ */
+function standardDeviation(values) {
+  const average = mean(values);
+  return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+}
+
+/**
+ * Pearson correlation, or null when either side has no variation
+ * @param {number[]} xs - First variable
+ * @param {number[]} ys - Second variable (same length)
+ * @returns {number|null} - Correlation (-1 to 1)
+ */
+function pearson(xs, ys) {
+  if (xs.length < 2) return null;
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  xs.forEach((x, index) => {
+    covariance += (x - meanX) * (ys[index] - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (ys[index] - meanY) ** 2;
+  });
+  return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : null;
+}
+
+/**
+ * Ranks with ties given their average rank
+ */
+function rank(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) end += 1;
+    const averageRank = (start + end) / 2 + 1;
+    for (let index = start; index <= end; index += 1) ranks[order[index].index] = averageRank;
+    start = end + 1;
+  }
+  return ranks;
+}
+
+/**
+ * Spearman rank correlation: robust to the skewed counts social posts produce
+ * @param {number[]} xs - First variable
+ * @param {number[]} ys - Second variable (same length)
+ * @returns {number|null} - Correlation (-1 to 1)
+ */
+function spearman(xs, ys) {
+  return pearson(rank(xs), rank(ys));
+}
+
+/**
+ * Solve A x = b by Gaussian elimination with partial pivoting
+ */
+function solve(matrix, vector) {
+  const size = vector.length;
+  const rows = matrix.map((row, index) => [...row, vector[index]]);
+
+  for (let column = 0; column < size; column += 1) {
+    let pivot = column;
+    for (let row = column + 1; row < size; row += 1) {
+      if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+    }
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+    if (Math.abs(rows[column][column]) < 1e-12) return null;
+
+    for (let row = column + 1; row < size; row += 1) {
+      const ratio = rows[row][column] / rows[column][column];
+      for (let k = column; k <= size; k += 1) rows[row][k] -= ratio * rows[column][k];
+    }
+  }
+
+  const solution = new Array(size).fill(0);
+  for (let row = size - 1; row >= 0; row -= 1) {
+    let sum = rows[row][size];
+    for (let k = row + 1; k < size; k += 1) sum -= rows[row][k] * solution[k];
+    solution[row] = sum / rows[row][row];
+  }
+  return solution;
+}
+
+/**
+ * Ridge regression on standardized features, returning coefficients on the
+ * original scale (y units per point). Features without variation get 0.
+ * @param {number[][]} rows - Feature rows
+ * @param {number[]} ys - Targets
+ * @param {number} [lambda] - Regularization strength (per sample)
+ * @returns {number[]|null} - Coefficients, or null if the system cannot be solved
+ */
+function ridgeRegression(rows, ys, lambda = RIDGE_LAMBDA) {
+  const featureCount = rows[0].length;
+  const columns = Array.from({ length: featureCount }, (_, column) => rows.map(row => row[column]));
+  const means = columns.map(mean);
+  const deviations = columns.map(standardDeviation);
+  const used = deviations.map((deviation, index) => index).filter(index => deviations[index] > 0);
+  if (used.length === 0) return null;
+
+  const meanY = mean(ys);
+  const standardized = rows.map(row => used.map(index => (row[index] - means[index]) / deviations[index]));
+  const gram = used.map((_, a) => used.map((__, b) =>
+    standardized.reduce((sum, row) => sum + row[a] * row[b], 0) + (a === b ? lambda * rows.length : 0)));
+  const moments = used.map((_, a) => standardized.reduce((sum, row, index) => sum + row[a] * (ys[index] - meanY), 0));
+
+  const solution = solve(gram, moments);
+  if (!solution) return null;
+
+  const coefficients = new Array(featureCount).fill(0);
+  used.forEach((index, position) => {
+    coefficients[index] = solution[position] / deviations[index];
+  });
+  return coefficients;
+}
+
+/**
+ * Turn regression coefficients into per-factor point multipliers, scaled so
+ * the calibrated points vary as much overall as the current points do
+ */
+function toMultipliers(coefficients, rows) {
+  const currentTotals = rows.map(row => row.reduce((sum, points) => sum + points, 0));
+  const fittedTotals = rows.map(row => row.reduce((sum, points, index) => sum + points * coefficients[index], 0));
+  const currentSpread = standardDeviation(currentTotals);
+  const fittedSpread = standardDeviation(fittedTotals);
+  if (!(currentSpread > 0) || !(fittedSpread > 0)) return null;
+
+  const scale = fittedSpread / currentSpread;
+  return coefficients.map(coefficient => coefficient / scale);
+}
+
+/**
+ * Score with calibrated multipliers (negative multipliers are clamped to 0,
+ * as they would be in a profile)
+ */
+function calibratedScore(row, multipliers) {
+  return row.reduce((sum, points, index) => sum + points * Math.min(Math.max(multipliers[index], 0), MAX_MULTIPLIER), 0);
+}
+
+/**
+ * Correlation of calibrated scores with real results on held-out folds, so
+ * the reported improvement is not just the model memorising the data
+ */
+function crossValidate(rows, ys) {
+  const predictions = [];
+  const actual = [];
+
+  for (let fold = 0; fold < CV_FOLDS; fold += 1) {
+    const trainRows = rows.filter((_, index) => index % CV_FOLDS !== fold);
+    const trainYs = ys.filter((_, index) => index % CV_FOLDS !== fold);
+    const coefficients = ridgeRegression(trainRows, trainYs);
+    const multipliers = coefficients && toMultipliers(coefficients, trainRows);
+    if (!multipliers) return null;
+
+    rows.forEach((row, index) => {
+      if (index % CV_FOLDS !== fold) return;
+      predictions.push(calibratedScore(row, multipliers));
+      actual.push(ys[index]);
+    });
+  }
+
+  return { pearson: round(pearson(predictions, actual)), spearman: round(spearman(predictions, actual)) };
+}
+
+/**
+ * The real-world value being predicted for one analysis (log-scaled for counts,
+ * which are heavily skewed), or null if it was not recorded
+ */
+function targetValue(performance, metric) {
+  if (!performance) return null;
+  if (metric === 'engagementRate') return engagementRate(performance);
+  const value = metric === 'engagements' ? totalEngagements(performance) : performance[metric];
+  return typeof value === 'number' ? Math.log1p(value) : null;
+}
+
+/**
+ * Validate calibration options
+ */
+function parseOptions(query) {
+  const { metric, platform, scoringProfile = 'default', cursor, limit, sort, order, ...filters } = query;
+
+  if (metric && !CALIBRATION_METRICS.includes(metric)) {
+    throw calibrationError(`Unsupported metric: ${metric}`, `Use one of: ${CALIBRATION_METRICS.join(', ')}`);
+  }
+  if (platform && !resolvePlatform(platform)) {
+    throw calibrationError(`Unsupported platform: ${platform}`);
+  }
+  if (!listScoringProfiles().includes(scoringProfile)) {
+    throw calibrationError(`Unknown scoring profile: ${scoringProfile}`, `Use one of: ${listScoringProfiles().join(', ')}`);
+  }
+
+  return { metric, platform: platform ? resolvePlatform(platform) : null, scoringProfile, filters };
+}
+
+/**
+ * Compare predicted engagement scores with recorded results and fit adjusted
+ * factor weights with ridge regression on the per-factor points.
+ * Only analyses scored with the chosen profile are used, so the suggested
+ * weights apply to that profile.
+ * @param {Object} workspaceId - Workspace to calibrate
+ * @param {Object} query - { metric (engagementRate, engagements or a single metric; default:
+ *   engagementRate when impressions are recorded), platform, scoringProfile (default "default"),
+ *   plus the GET /api/history filters }
+ * @returns {Promise<Object>} - Correlations, per-factor results and a suggested scoring profile
+ */
+async function calibrateScores(workspaceId, query) {
+  const options = parseOptions(query);
+  const { filter } = buildHistoryQuery(options.filters);
+
+  const match = {
+    ...filter,
+    workspace: workspaceId,
+    performance: { $ne: null },
+    ...(options.scoringProfile === 'default'
+      ? { 'analysis.scoringProfile': { $in: ['default', null] } }
+      : { 'analysis.scoringProfile': options.scoringProfile }),
+    ...(options.platform ? { platform: options.platform } : {}),
+  };
+
+  const docs = await Analysis.find(match)
+    .sort({ 'performance.recordedAt': -1 })
+    .limit(MAX_SAMPLES)
+    .select('analysis.engagementScore analysis.scoreBreakdown performance platform')
+    .lean();
+
+  // Default to engagement rate when enough posts have impressions
+  const withRate = docs.filter(doc => engagementRate(doc.performance) !== null).length;
+  const metric = options.metric || (withRate >= MIN_CORRELATION_SAMPLES ? 'engagementRate' : 'engagements');
+
+  const samples = docs
+    .map(doc => ({ doc, y: targetValue(doc.performance, metric) }))
+    .filter(sample => sample.y !== null);
+
+  const result = {
+    metric,
+    scoringProfile: options.scoringProfile,
+    platform: options.platform,
+    samples: samples.length,
+    correlation: null,
+    factors: [],
+    fit: null,
+  };
+
+  if (samples.length < MIN_CORRELATION_SAMPLES) {
+    result.message = `Record results for at least ${MIN_CORRELATION_SAMPLES} analyses to see how the score compares`;
+    return result;
+  }
+
+  const ys = samples.map(sample => sample.y);
+  const scores = samples.map(sample => sample.doc.analysis.engagementScore);
+  result.correlation = { pearson: round(pearson(scores, ys)), spearman: round(spearman(scores, ys)) };
+
+  // Factors in the order of the current profile's breakdown
+  const factorNames = [...new Set(samples.flatMap(sample =>
+    (sample.doc.analysis.scoreBreakdown || []).map(factor => factor.factor)))];
+  const rows = samples.map((sample) => {
+    const points = new Map((sample.doc.analysis.scoreBreakdown || []).map(factor => [factor.factor, factor.points || 0]));
+    return factorNames.map(name => points.get(name) || 0);
+  });
+
+  result.factors = factorNames.map((factor, index) => {
+    const column = rows.map(row => row[index]);
+    return {
+      factor,
+      averagePoints: round(mean(column), 2),
+      correlation: round(spearman(column, ys)),
+    };
+  });
+
+  const minSamples = Math.max(MIN_FIT_SAMPLES, factorNames.length * MIN_SAMPLES_PER_FACTOR);
+  if (samples.length < minSamples || factorNames.length === 0) {
+    result.message = `Record results for at least ${minSamples} analyses to fit adjusted weights`;
+    return result;
+  }
+
+  const coefficients = ridgeRegression(rows, ys);
+  const multipliers = coefficients && toMultipliers(coefficients, rows);
+  if (!multipliers) {
+    result.message = 'The recorded results do not vary with the score factors, so no weights could be fitted';
+    return result;
+  }
+
+  const profile = loadScoringProfile(options.scoringProfile);
+  const suggestedFactors = {};
+  result.factors.forEach((entry, index) => {
+    const currentWeight = profile.factors[entry.factor] && typeof profile.factors[entry.factor].weight === 'number'
+      ? profile.factors[entry.factor].weight : 1;
+    // Factors that never changed in these posts say nothing about their weight
+    const varies = entry.correlation !== null;
+    const multiplier = varies ? Math.min(Math.max(multipliers[index], 0), MAX_MULTIPLIER) : 1;
+    entry.coefficient = round(coefficients[index], 5);
+    entry.currentWeight = currentWeight;
+    entry.suggestedWeight = round(currentWeight * multiplier, 2);
+    // A negative fit means more points went with worse results
+    entry.direction = coefficients[index] > 0 ? 'positive' : coefficients[index] < 0 ? 'negative' : 'none';
+    if (profile.factors[entry.factor]) {
+      suggestedFactors[entry.factor] = { weight: entry.suggestedWeight };
+    }
+  });
+
+  const calibrated = rows.map(row => calibratedScore(row, multipliers));
+  result.fit = {
+    method: 'ridge',
+    lambda: RIDGE_LAMBDA,
+    inSample: { pearson: round(pearson(calibrated, ys)), spearman: round(spearman(calibrated, ys)) },
+    crossValidated: crossValidate(rows, ys),
+    // Pass as `scoringProfile` to POST /api/analyze, or save under config/scoring
+    suggestedProfile: mergeProfiles(profile, {
+      name: `${options.scoringProfile}-calibrated`,
+      description: `Weights fitted to ${samples.length} posts by ${metric}`,
+      factors: suggestedFactors,
+    }),
+  };
+
+  return result;
+}
+
+module.exports = {
+  CALIBRATION_METRICS,
+  calibrateScores,
+  pearson,
+  spearman,
+  ridgeRegression,
+};
@@ -0,0 +1,124 @@
+const { analyzeContent } = require('./analyzer');
+
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = 10;
+
+// Human-readable names for score factors
+const FACTOR_LABELS = {
+  length: 'length',
+  questions: 'questions',
+  exclamations: 'exclamation marks',
+  hashtags: 'hashtags',
+  hashtagPlacement: 'hashtag placement',
+  mentions: 'mentions',
+  links: 'links',
+  emojis: 'emojis',
+  cta: 'call-to-action',
+  sentenceLength: 'sentence length',
+  platform: 'platform rules',
+  brandGuidelines: 'brand guidelines',
+};
+
+/**
+ * Normalize variants given as strings or { label, text } objects
+ * @param {Array<string|Object>} variants - Post drafts
+ * @returns {Array<{label: string, text: string}>} - Labelled variants
+ */
+function normalizeVariants(variants) {
+  if (!Array.isArray(variants)) {
+    throw new Error('Variants must be an array of texts');
+  }
+  if (variants.length < MIN_VARIANTS || variants.length > MAX_VARIANTS) {
+    throw new Error(`Provide between ${MIN_VARIANTS} and ${MAX_VARIANTS} variants to compare`);
+  }
+
+  return variants.map((variant, index) => {
+    const text = typeof variant === 'string' ? variant : variant && variant.text;
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      throw new Error(`Variant ${index + 1} has no text`);
+    }
+    const label = (variant && variant.label) || `Variant ${String.fromCharCode(65 + index)}`;
+    return { label, text };
+  });
+}
+
+/**
+ * Format a point value with its sign
+ */
+function formatPoints(points) {
+  return points > 0 ? `+${points}` : String(points);
+}
+
+/**
+ * Explain why the winner ranked above the runner-up, factor by factor
+ */
+function explainWinner(winner, runnerUp) {
+  const margin = winner.engagementScore - runnerUp.engagementScore;
+  if (margin === 0) {
+    return `${winner.label} and ${runnerUp.label} are tied at ${winner.engagementScore}. ` +
+      `${winner.label} is listed first because it appears first.`;
+  }
+
+  const differences = Object.keys(winner.factors)
+    .map(factor => ({
+      factor,
+      winnerPoints: winner.factors[factor],
+      runnerUpPoints: runnerUp.factors[factor] || 0,
+    }))
+    .map(diff => ({ ...diff, delta: diff.winnerPoints - diff.runnerUpPoints }));
+
+  const describe = diff =>
+    `${FACTOR_LABELS[diff.factor] || diff.factor} (${formatPoints(diff.winnerPoints)} vs ${formatPoints(diff.runnerUpPoints)})`;
+
+  const advantages = differences.filter(diff => diff.delta > 0).sort((a, b) => b.delta - a.delta);
+  const disadvantages = differences.filter(diff => diff.delta < 0).sort((a, b) => a.delta - b.delta);
+
+  let explanation = `${winner.label} wins with ${winner.engagementScore}, ` +
+    `${margin} point${margin === 1 ? '' : 's'} ahead of ${runnerUp.label} (${runnerUp.engagementScore}).`;
+  if (advantages.length > 0) {
+    explanation += ` It scores better on ${advantages.map(describe).join(', ')}.`;
+  }
+  if (disadvantages.length > 0) {
+    explanation += ` ${runnerUp.label} does better on ${disadvantages.map(describe).join(', ')}.`;
+  }
+  return explanation;
+}
+
+/**
+ * Analyze several drafts of a post and rank them by engagement score
+ * @param {Array<string|Object>} variants - Drafts as strings or { label, text }
+ * @param {Object} [options] - Same options as analyzeContent (platform, language, scoringProfile, guidelines)
+ * @returns {Object} - { ranking, winner, explanation }
+ */
+function compareVariants(variants, options = {}) {
+  const normalized = normalizeVariants(variants);
+
+  const scored = normalized.map((variant, index) => {
+    const analysis = analyzeContent(variant.text, options);
+
+    return {
+      index,
+      label: variant.label,
+      text: variant.text,
+      engagementScore: analysis.engagementScore,
+      factors: analysis.scoreBreakdown.reduce((byFactor, factor) => {
+        byFactor[factor.factor] = factor.points;
+        return byFactor;
+      }, {}),
+      analysis,
+    };
+  });
+
+  // Highest score first; ties keep the submitted order
+  const ranking = [...scored]
+    .sort((a, b) => b.engagementScore - a.engagementScore || a.index - b.index)
+    .map((variant, position) => ({ rank: position + 1, ...variant }));
+
+  return {
+    ranking,
+    winner: { index: ranking[0].index, label: ranking[0].label },
+    explanation: explainWinner(ranking[0], ranking[1]),
+  };
+}
+
+module.exports = { compareVariants, MIN_VARIANTS, MAX_VARIANTS };
@@ -0,0 +1,198 @@
+const Analysis = require('../models/Analysis');
+const { buildHistoryQuery } = require('./historyQuery');
+
+const INTERVALS = ['day', 'week', 'month'];
+const DEFAULT_PERIOD_DAYS = 90;
+const TOP_HASHTAG_COUNT = 10;
+const TOP_POST_COUNT = 5;
+
+// Fields returned for best/worst posts
+const POST_PROJECTION = {
+  _id: 1,
+  fileName: 1,
+  fileType: 1,
+  platform: 1,
+  createdAt: 1,
+  engagementScore: '$analysis.engagementScore',
+  toneFeedback: '$analysis.toneFeedback',
+};
+
+/**
+ * Create a dashboard error that routes can return as a 400 response
+ */
+function dashboardError(message, suggestion) {
+  const error = new Error(message);
+  error.status = 400;
+  error.suggestion = suggestion;
+  return error;
+}
+
+/**
+ * True if the runtime knows the IANA time zone
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Round to one decimal place (null stays null)
+ */
+function round(value) {
+  return value === null || value === undefined ? null : Math.round(value * 10) / 10;
+}
+
+/**
+ * Build the aggregation pipeline: one $match, then a $facet per dashboard panel
+ */
+function buildPipeline(match, interval, timezone) {
+  // Word count from readability metrics, or a whitespace split for older analyses
+  const wordCount = {
+    $ifNull: [
+      '$analysis.readabilityMetrics.counts.words',
+      { $size: { $split: [{ $trim: { input: '$extractedText' } }, ' '] } },
+    ],
+  };
+
+  return [
+    { $match: match },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              count: { $sum: 1 },
+              averageScore: { $avg: '$analysis.engagementScore' },
+              averageWordCount: { $avg: wordCount },
+              firstAnalysisAt: { $min: '$createdAt' },
+              lastAnalysisAt: { $max: '$createdAt' },
+            },
+          },
+        ],
+        trend: [
+          {
+            $group: {
+              _id: { $dateTrunc: { date: '$createdAt', unit: interval, timezone: timezone } },
+              count: { $sum: 1 },
+              averageScore: { $avg: '$analysis.engagementScore' },
+              minScore: { $min: '$analysis.engagementScore' },
+              maxScore: { $max: '$analysis.engagementScore' },
+              averageWordCount: { $avg: wordCount },
+            },
+          },
+          { $sort: { _id: 1 } },
+        ],
+        readability: [
+          { $group: { _id: '$analysis.readability', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+        ],
+        // toneFeedback joins several labels with " - "; count each label
+        tone: [
+          { $project: { labels: { $split: ['$analysis.toneFeedback', ' - '] } } },
+          { $unwind: '$labels' },
+          { $group: { _id: '$labels', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+        ],
+        hashtags: [
+          { $unwind: '$analysis.hashtagSuggestions' },
+          { $group: { _id: { $toLower: '$analysis.hashtagSuggestions' }, count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: TOP_HASHTAG_COUNT },
+        ],
+        bestPosts: [
+          { $sort: { 'analysis.engagementScore': -1, createdAt: -1 } },
+          { $limit: TOP_POST_COUNT },
+          { $project: POST_PROJECTION },
+        ],
+        worstPosts: [
+          { $sort: { 'analysis.engagementScore': 1, createdAt: -1 } },
+          { $limit: TOP_POST_COUNT },
+          { $project: POST_PROJECTION },
+        ],
+      },
+    },
+  ];
+}
+
+/**
+ * Aggregate a workspace's saved analyses for the dashboard
+ * @param {Object} workspaceId - Workspace ObjectId
+ * @param {Object} [query] - Request query
+ * @param {string} [query.interval] - Trend bucket: day, week (default) or month
+ * @param {string} [query.timezone] - IANA time zone for bucket boundaries (default UTC)
+ * @param {string} [query.from] - Period start (default 90 days ago)
+ * @param {string} [query.to] - Period end (default now)
+ * Other history filters (fileType, tone, hashtags, sentiment, ...) also apply.
+ * @returns {Promise<Object>} - { period, totals, trend, readability, tone, topHashtags, bestPosts, worstPosts }
+ */
+async function getDashboard(workspaceId, query = {}) {
+  const interval = query.interval || 'week';
+  if (!INTERVALS.includes(interval)) {
+    throw dashboardError(`Invalid interval: ${interval}`, `Use one of: ${INTERVALS.join(', ')}`);
+  }
+
+  const timezone = query.timezone || 'UTC';
+  if (!isValidTimeZone(timezone)) {
+    throw dashboardError(`Invalid timezone: ${timezone}`, 'Use an IANA time zone such as Europe/Berlin');
+  }
+
+  // Reuse the history filters; pagination and sorting do not apply here
+  const { cursor, sort, order, limit, ...filters } = query;
+  if (!filters.from) {
+    filters.from = new Date(Date.now() - DEFAULT_PERIOD_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  }
+  const { filter } = buildHistoryQuery(filters);
+
+  const [facets] = await Analysis.aggregate(buildPipeline({ ...filter, workspace: workspaceId }, interval, timezone));
+  const totals = facets.totals[0] || { count: 0, averageScore: null, averageWordCount: null };
+
+  const trend = facets.trend.map(bucket => ({
+    periodStart: bucket._id,
+    count: bucket.count,
+    averageScore: round(bucket.averageScore),
+    minScore: bucket.minScore,
+    maxScore: bucket.maxScore,
+    averageWordCount: round(bucket.averageWordCount),
+  }));
+
+  // Change in average score between the first and last bucket of the period
+  const scoreChange = trend.length >= 2
+    ? round(trend[trend.length - 1].averageScore - trend[0].averageScore)
+    : null;
+
+  const toDistribution = buckets => buckets.map(bucket => ({
+    label: bucket._id,
+    count: bucket.count,
+    share: totals.count > 0 ? round((bucket.count / totals.count) * 100) : 0,
+  }));
+
+  return {
+    period: {
+      from: new Date(filters.from),
+      to: filters.to ? new Date(filters.to) : new Date(),
+      interval: interval,
+      timezone: timezone,
+    },
+    totals: {
+      count: totals.count,
+      averageScore: round(totals.averageScore),
+      averageWordCount: round(totals.averageWordCount),
+      scoreChange: scoreChange,
+      firstAnalysisAt: totals.firstAnalysisAt || null,
+      lastAnalysisAt: totals.lastAnalysisAt || null,
+    },
+    trend: trend,
+    readability: toDistribution(facets.readability),
+    tone: toDistribution(facets.tone),
+    topHashtags: facets.hashtags.map(bucket => ({ hashtag: bucket._id, count: bucket.count })),
+    bestPosts: facets.bestPosts,
+    worstPosts: facets.worstPosts,
+  };
+}
+
+module.exports = { getDashboard, INTERVALS };
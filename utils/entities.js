@@ -0,0 +1,227 @@
+// Link shorteners; shortened links hide where they lead and are often filtered as spam
+const SHORTENER_DOMAINS = [
+  'bit.ly', 'bitly.com', 't.co', 'tinyurl.com', 'goo.gl', 'ow.ly', 'buff.ly', 'is.gd', 'lnkd.in',
+  'rb.gy', 'cutt.ly', 'shorturl.at', 'tiny.cc', 'rebrand.ly', 'bl.ink', 'dlvr.it', 'fb.me', 'youtu.be',
+  'amzn.to', 'wp.me', 'trib.al', 'ift.tt', 'soo.gd', 's.id', 'v.gd',
+];
+
+const SHORTENER_PATTERN = SHORTENER_DOMAINS.map(domain => domain.replace(/\./g, '\\.')).join('|');
+const LINK_PATTERN = new RegExp(
+  `\\bhttps?:\\/\\/[^\\s<>"]+|\\bwww\\.[^\\s<>"]+|(?<![\\p{L}\\p{N}@.\\/-])(?:${SHORTENER_PATTERN})\\/[^\\s<>"]+`,
+  'giu'
+);
+const MENTION_PATTERN = /(?<![\p{L}\p{N}_.@/])@[\p{L}\p{N}_](?:[\p{L}\p{N}_.]*[\p{L}\p{N}_])?/gu;
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_&#])#[\p{L}\p{N}_]+/gu;
+// An emoji with optional variation selector / skin tone, ZWJ sequences, or a flag
+const EMOJI_PATTERN = /\p{Extended_Pictographic}[\uFE0F\p{Emoji_Modifier}]?(?:\u200D\p{Extended_Pictographic}[\uFE0F\p{Emoji_Modifier}]?)*|\p{Regional_Indicator}{2}/gu;
+const WORD_PATTERN = /[\p{L}\p{N}]/u;
+
+// Feedback thresholds
+const HIGH_EMOJI_DENSITY = 0.1;
+const MIN_EMOJIS_FOR_DENSITY = 4;
+const REPEATED_EMOJI = 3;
+const CLUMPED_HASHTAGS = 3;
+const CLUTTERED_INLINE_HASHTAGS = 3;
+const MAX_MENTIONS = 3;
+
+/**
+ * Find every match of a global pattern with its character offsets
+ */
+function findAll(text, pattern) {
+  return [...text.matchAll(pattern)].map(match => ({
+    text: match[0],
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+}
+
+/**
+ * True if a match overlaps one of the given ranges
+ */
+function overlaps(match, ranges) {
+  return ranges.some(range => match.start < range.end && match.end > range.start);
+}
+
+/**
+ * Host of a URL, lowercase and without "www."
+ */
+function linkDomain(url) {
+  return url.replace(/^https?:\/\//i, '').split(/[/?#]/)[0].toLowerCase().replace(/^www\./, '');
+}
+
+/**
+ * Find links, dropping punctuation that ends the sentence rather than the URL
+ */
+function findLinks(text) {
+  return findAll(text, LINK_PATTERN).map((match) => {
+    const url = match.text.replace(/[.,!?;:'")\]]+$/, '');
+    const domain = linkDomain(url);
+    return {
+      url,
+      domain,
+      shortened: SHORTENER_DOMAINS.includes(domain),
+      start: match.start,
+      end: match.start + url.length,
+    };
+  });
+}
+
+/**
+ * Where an emoji sits on its line: leading it (often used as a bullet),
+ * closing it, or inside the sentence
+ */
+function emojiPlacement(text, emoji, emojiRanges) {
+  const lineStart = text.lastIndexOf('\n', emoji.start - 1) + 1;
+  const nextBreak = text.indexOf('\n', emoji.end);
+  const lineEnd = nextBreak === -1 ? text.length : nextBreak;
+
+  // Other emojis next to this one do not count as words
+  const strip = (from, to) => {
+    let segment = text.slice(from, to);
+    emojiRanges
+      .filter(range => range.start >= from && range.end <= to)
+      .sort((a, b) => b.start - a.start)
+      .forEach((range) => {
+        segment = segment.slice(0, range.start - from) + segment.slice(range.end - from);
+      });
+    return segment;
+  };
+
+  if (!WORD_PATTERN.test(strip(lineStart, emoji.start))) return 'start';
+  if (!WORD_PATTERN.test(strip(emoji.end, lineEnd).replace(HASHTAG_PATTERN, ''))) return 'end';
+  return 'inline';
+}
+
+/**
+ * Offset where the trailing hashtag block starts: the point after which the
+ * text only holds hashtags, emojis, whitespace and punctuation
+ */
+function trailingBlockStart(text, hashtags) {
+  let position = text.length;
+  for (let index = hashtags.length - 1; index >= 0; index -= 1) {
+    const between = text.slice(hashtags[index].end, position);
+    if (WORD_PATTERN.test(between.replace(EMOJI_PATTERN, ''))) break;
+    position = hashtags[index].start;
+  }
+  return position;
+}
+
+/**
+ * Find the @mentions, links, emojis and hashtags in a post. Mentions and
+ * hashtags inside links (e.g. medium.com/@user, page#section) are ignored.
+ * @param {string} text - Post text
+ * @returns {Object} - { mentions, links, emojis, hashtags, emojiCounts, counts } where every entity
+ *   has start/end offsets into the text; emojis have a placement (start/inline/end of their line)
+ *   and hashtags a position (inline, or trailing when part of the block that ends the post)
+ */
+function extractEntities(text) {
+  const links = findLinks(text);
+
+  const mentions = findAll(text, MENTION_PATTERN)
+    .filter(match => !overlaps(match, links))
+    .map(match => ({ handle: match.text.slice(1).toLowerCase(), ...match }));
+
+  const hashtagMatches = findAll(text, HASHTAG_PATTERN)
+    // "#1" is not a hashtag on any platform
+    .filter(match => /\p{L}/u.test(match.text) && !overlaps(match, links));
+  const blockStart = trailingBlockStart(text, hashtagMatches);
+  const hashtags = hashtagMatches.map(match => ({
+    tag: match.text.toLowerCase(),
+    ...match,
+    position: match.start >= blockStart ? 'trailing' : 'inline',
+  }));
+
+  const emojiMatches = findAll(text, EMOJI_PATTERN).filter(match => !overlaps(match, links));
+  const emojis = emojiMatches.map(match => ({
+    emoji: match.text,
+    start: match.start,
+    end: match.end,
+    placement: emojiPlacement(text, match, emojiMatches),
+  }));
+
+  const emojiCounts = [...emojis.reduce((counts, { emoji }) => counts.set(emoji, (counts.get(emoji) || 0) + 1), new Map())]
+    .map(([emoji, count]) => ({ emoji, count }))
+    .sort((a, b) => b.count - a.count);
+
+  return {
+    mentions,
+    links,
+    emojis,
+    hashtags,
+    emojiCounts,
+    counts: {
+      mentions: mentions.length,
+      links: links.length,
+      shortenedLinks: links.filter(link => link.shortened).length,
+      emojis: emojis.length,
+      hashtags: hashtags.length,
+      inlineHashtags: hashtags.filter(hashtag => hashtag.position === 'inline').length,
+      trailingHashtags: hashtags.filter(hashtag => hashtag.position === 'trailing').length,
+    },
+  };
+}
+
+/**
+ * Plural helper for feedback messages
+ */
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Feedback on how mentions, links, emojis and hashtags are used
+ * @param {Object} entities - Result of extractEntities
+ * @param {Object} options - Options
+ * @param {number} options.wordCount - Words in the post (for emoji density)
+ * @param {Object} [options.profile] - Target platform profile from utils/platforms.js
+ * @returns {string[]} - Feedback messages
+ */
+function getEntityFeedback(entities, { wordCount, profile }) {
+  const { counts } = entities;
+  const feedback = [];
+
+  // Links
+  if (profile && counts.links > 0 && profile.links.reducesReach) {
+    feedback.push(`${plural(counts.links, 'link')} will reduce reach on ${profile.name} - consider moving ${counts.links === 1 ? 'it' : 'them'} to the first comment`);
+  } else if (counts.links > 1) {
+    feedback.push(`${plural(counts.links, 'link')} compete for the click - keep the one that matters most`);
+  }
+  if (counts.shortenedLinks > 0) {
+    const domains = [...new Set(entities.links.filter(link => link.shortened).map(link => link.domain))];
+    feedback.push(`${plural(counts.shortenedLinks, 'shortened link')} (${domains.join(', ')}) hide${counts.shortenedLinks === 1 ? 's' : ''} where ${counts.shortenedLinks === 1 ? 'it leads' : 'they lead'} and can be flagged as spam - use the full URL`);
+  }
+
+  // Emojis
+  const density = counts.emojis / Math.max(wordCount, 1);
+  if (counts.emojis >= MIN_EMOJIS_FOR_DENSITY && density > HIGH_EMOJI_DENSITY) {
+    feedback.push(`Emoji density is high (${plural(counts.emojis, 'emoji')} in ${plural(wordCount, 'word')}) - keep the ones that add meaning`);
+  }
+  entities.emojiCounts
+    .filter(({ count }) => count >= REPEATED_EMOJI)
+    .forEach(({ emoji, count }) => feedback.push(`${emoji} is used ${count} times - vary or trim repeated emojis`));
+
+  // Hashtags
+  const blockIsNorm = Boolean(profile && profile.hashtags.trailingBlock);
+  if (counts.trailingHashtags >= CLUMPED_HASHTAGS && counts.inlineHashtags === 0 && !blockIsNorm) {
+    feedback.push(`Hashtags are clumped at the end (${counts.trailingHashtags}) - work one or two into the text`);
+  }
+  if (counts.inlineHashtags >= CLUTTERED_INLINE_HASHTAGS) {
+    feedback.push(`${plural(counts.inlineHashtags, 'hashtag')} inside sentences make the post hard to read - move some to the end`);
+  }
+
+  // Mentions
+  if (counts.mentions > MAX_MENTIONS) {
+    feedback.push(`${plural(counts.mentions, 'mention')} can read as tag spam - only mention people who are involved`);
+  }
+  const handles = entities.mentions.map(mention => mention.handle);
+  [...new Set(handles.filter((handle, index) => handles.indexOf(handle) !== index))]
+    .forEach(handle => feedback.push(`@${handle} is mentioned more than once`));
+
+  return feedback;
+}
+
+module.exports = {
+  SHORTENER_DOMAINS,
+  extractEntities,
+  getEntityFeedback,
+};
@@ -0,0 +1,109 @@
+const { PERFORMANCE_METRICS } = require('./performance');
+
+// Columns written to CSV exports: [header, value getter]
+const CSV_COLUMNS = [
+  ['id', doc => doc._id],
+  ['createdAt', doc => (doc.createdAt ? doc.createdAt.toISOString() : '')],
+  ['fileName', doc => doc.fileName],
+  ['fileType', doc => doc.fileType],
+  ['platform', doc => doc.platform],
+  ['language', doc => doc.language],
+  ['engagementScore', doc => doc.analysis.engagementScore],
+  // Fill these in and import the file with POST /api/performance/import
+  ...PERFORMANCE_METRICS.map(metric => [metric, doc => doc.performance && doc.performance[metric]]),
+  ['readability', doc => doc.analysis.readability],
+  ['fleschReadingEase', doc => doc.analysis.readabilityMetrics && doc.analysis.readabilityMetrics.fleschReadingEase],
+  ['wordCount', doc => doc.analysis.readabilityMetrics && doc.analysis.readabilityMetrics.counts &&
+    doc.analysis.readabilityMetrics.counts.words],
+  ['tone', doc => doc.analysis.toneFeedback],
+  ['sentiment', doc => doc.analysis.sentiment && doc.analysis.sentiment.label],
+  ['sentimentScore', doc => doc.analysis.sentiment && doc.analysis.sentiment.compound],
+  ['hashtags', doc => (doc.hashtags || []).join(' ')],
+  ['suggestedHashtags', doc => (doc.analysis.hashtagSuggestions || []).join(' ')],
+  ['lengthFeedback', doc => doc.analysis.lengthFeedback],
+  ['platformWarnings', doc => (doc.analysis.platformWarnings || []).join('; ')],
+  ['entityFeedback', doc => (doc.analysis.entityFeedback || []).join('; ')],
+  ['riskLevel', doc => doc.analysis.risks && doc.analysis.risks.level],
+  ['riskFindings', doc => (doc.analysis.risks ? doc.analysis.risks.findings : [])
+    .map(finding => finding.message).join('; ')],
+  ['brandViolations', doc => (doc.analysis.brandLint ? doc.analysis.brandLint.violations : [])
+    .map(violation => violation.message).join('; ')],
+  ['extractedText', doc => doc.extractedText],
+  ['improvedVersion', doc => doc.analysis.improvedVersion],
+];
+
+// Plain numbers such as "-0.4" or "1e3", which spreadsheets read as values, not formulas
+const NUMERIC_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+/**
+ * Quote a CSV field; values that spreadsheets would run as formulas are
+ * prefixed with an apostrophe (numbers, including negative ones, are left as they are)
+ */
+function escapeCSV(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  const isNumber = typeof value === 'number' ? Number.isFinite(value) : NUMERIC_PATTERN.test(text);
+  if (!isNumber && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Format an analysis as one CSV line
+ * @param {Object} doc - Analysis document
+ * @returns {string} - CSV line ending in CRLF
+ */
+function toCSVRow(doc) {
+  return CSV_COLUMNS.map(([, getValue]) => escapeCSV(getValue(doc))).join(',') + '\r\n';
+}
+
+/**
+ * Write to a response, waiting for it to drain (or close) when its buffer is full
+ */
+function write(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      res.removeListener('drain', done);
+      res.removeListener('close', done);
+      resolve();
+    };
+    res.once('drain', done);
+    res.once('close', done);
+  });
+}
+
+/**
+ * Stream analyses from a Mongoose query cursor to a response
+ * @param {Object} cursor - Query cursor (Analysis.find(...).cursor())
+ * @param {Object} res - Express response (headers already set)
+ * @param {string} format - "csv" or "ndjson"
+ * @returns {Promise<number>} - Number of analyses written
+ */
+async function streamAnalyses(cursor, res, format) {
+  let count = 0;
+
+  if (format === 'csv') {
+    // BOM so spreadsheet apps detect UTF-8
+    await write(res, '\uFEFF' + CSV_COLUMNS.map(([header]) => header).join(',') + '\r\n');
+  }
+
+  for await (const doc of cursor) {
+    if (res.destroyed) break;
+    await write(res, format === 'csv' ? toCSVRow(doc) : JSON.stringify(doc) + '\n');
+    count += 1;
+  }
+
+  res.end();
+  return count;
+}
+
+module.exports = {
+  EXPORT_FORMATS: ['csv', 'ndjson'],
+  toCSVRow,
+  streamAnalyses,
+};
@@ -0,0 +1,79 @@
+const AdmZip = require('adm-zip');
+const path = require('path');
+const { decodeEntities } = require('./html');
+const { readZipEntry } = require('../zipReader');
+
+// Uploads are compressed, so the document body is capped after inflating it
+const MAX_DOCUMENT_XML_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Create an extraction error that routes can return as a 400 response
+ */
+function extractionError(message, suggestion) {
+  const error = new Error(message);
+  error.status = 400;
+  error.suggestion = suggestion;
+  return error;
+}
+
+// Text runs, tabs and line breaks inside a paragraph, in document order
+const RUN_CONTENT = /<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<w:(tab|br|cr)\b[^>]*\/>/g;
+
+/**
+ * Text of a WordprocessingML body, one paragraph per line
+ * @param {string} xml - Contents of word/document.xml
+ * @returns {string}
+ */
+function documentXmlToText(xml) {
+  const body = xml
+    .replace(/<w:(del|instrText)\b[\s\S]*?<\/w:\1>/g, '') // Deleted (tracked) text and field codes
+    .replace(/<w:pPr>[\s\S]*?<\/w:pPr>/g, ''); // Paragraph properties, including tab stops
+  const paragraphs = body.match(/<w:p[\s>][\s\S]*?<\/w:p>/g) || [];
+
+  return paragraphs
+    .map(paragraph => decodeEntities([...paragraph.matchAll(RUN_CONTENT)]
+      .map(([, text, control]) => {
+        if (control === 'tab') return '\t';
+        return control ? '\n' : text;
+      })
+      .join('')).trimEnd())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Read the body text of a Word (.docx) document
+ */
+async function extract(filePath) {
+  let xml;
+  try {
+    const entry = new AdmZip(filePath).getEntry('word/document.xml');
+    xml = entry ? readZipEntry(entry, MAX_DOCUMENT_XML_BYTES, path.basename(filePath)).toString('utf8') : null;
+  } catch (error) {
+    if (error.code === 'ZIP_TOO_LARGE') {
+      throw extractionError(
+        'The document is too large to read',
+        `Its text can be at most ${MAX_DOCUMENT_XML_BYTES / 1024 / 1024}MB uncompressed; split it or upload it as PDF`
+      );
+    }
+    xml = null;
+  }
+
+  if (!xml) {
+    throw extractionError(
+      'The file is not a valid Word document',
+      'Save it as .docx from Word or Google Docs (older .doc files are not supported), or upload it as PDF or text.'
+    );
+  }
+  return { text: documentXmlToText(xml), extractionMethod: 'docx' };
+}
+
+module.exports = {
+  name: 'docx',
+  fileType: 'document',
+  extensions: ['.docx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  emptyTextSuggestion: 'The document has no body text. Text in text boxes, headers and footers is not read.',
+  extract,
+};
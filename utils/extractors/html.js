@@ -0,0 +1,165 @@
+const fs = require('fs').promises;
+
+// Pages with less article text than this are described by their meta description instead
+const MIN_ARTICLE_WORDS = 40;
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  bull: '•',
+  middot: '·',
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  euro: '€',
+  pound: '£',
+};
+
+// Elements whose content is never part of the readable text
+const HIDDEN_ELEMENTS = ['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'head'];
+
+// Page furniture removed from the text; header and footer only outside an article
+const CHROME_ELEMENTS = ['nav', 'aside', 'form', 'button', 'select'];
+const PAGE_CHROME_ELEMENTS = ['header', 'footer'];
+
+const BLOCK_TAGS = /<\/?(?:p|div|section|article|main|header|footer|h[1-6]|ul|ol|dl|dd|dt|blockquote|pre|table|tr|figure|figcaption|hr|br)\b[^>]*>/gi;
+
+/**
+ * Decode HTML (and XML) character references
+ * @param {string} text - Text with entities such as &amp; or &#8217;
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+    }
+    const named = NAMED_ENTITIES[entity.toLowerCase()];
+    return named !== undefined ? named : match;
+  });
+}
+
+/**
+ * Remove elements and everything inside them
+ */
+function removeElements(html, tags) {
+  return tags.reduce(
+    (result, tag) => result.replace(new RegExp(`<${tag}\\b[\\s\\S]*?<\\/${tag}\\s*>`, 'gi'), '\n'),
+    html
+  );
+}
+
+/**
+ * Content from the first opening tag of an element to its last closing tag, or null
+ */
+function outerSection(html, tag) {
+  const start = html.search(new RegExp(`<${tag}\\b`, 'i'));
+  const end = html.toLowerCase().lastIndexOf(`</${tag}`);
+  return start !== -1 && end > start ? html.slice(start, end) : null;
+}
+
+/**
+ * Name/property -> content of the page's <meta> tags (lower-case keys)
+ */
+function readMetaTags(html) {
+  const meta = {};
+  (html.match(/<meta\b[^>]*>/gi) || []).forEach((tag) => {
+    const attributes = {};
+    const pattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+    let match;
+    while ((match = pattern.exec(tag)) !== null) {
+      attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4];
+    }
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+    if (key && attributes.content && meta[key] === undefined) {
+      meta[key] = decodeEntities(attributes.content).trim();
+    }
+  });
+  return meta;
+}
+
+/**
+ * Readable text of an HTML fragment, one block per line
+ */
+function htmlToText(html) {
+  return decodeEntities(
+    html
+      .replace(/<li\b[^>]*>/gi, '\n• ')
+      .replace(BLOCK_TAGS, '\n')
+      .replace(/<[^>]+>/g, '')
+  )
+    .split('\n')
+    .map(line => line.replace(/[ \t ]+/g, ' ').trim())
+    .join('\n')
+    .replace(/^• *$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Main text of a page: the article (or main element) without navigation
+ * and other page furniture. Pages with little article text, such as
+ * pages rendered by scripts, fall back to their Open Graph or meta description.
+ * @param {string} html - Page source
+ * @returns {Object} - { text, extractionMethod: "html" or "meta-description" }
+ */
+function extractMainText(html) {
+  const meta = readMetaTags(html);
+  const cleaned = removeElements(html.replace(/<!--[\s\S]*?-->/g, ''), HIDDEN_ELEMENTS);
+
+  let section = outerSection(cleaned, 'article') || outerSection(cleaned, 'main');
+  if (!section) {
+    section = removeElements(outerSection(cleaned, 'body') || cleaned, PAGE_CHROME_ELEMENTS);
+  }
+  const text = htmlToText(removeElements(section, CHROME_ELEMENTS));
+
+  const description = meta['og:description'] || meta['twitter:description'] || meta.description;
+  const wordCount = text.split(/\s+/).filter(Boolean).length;
+  if (description && wordCount < MIN_ARTICLE_WORDS && description.length >= text.length) {
+    return { text: description, extractionMethod: 'meta-description' };
+  }
+  return { text, extractionMethod: 'html' };
+}
+
+/**
+ * Decode a page with the charset it declares (UTF-8 if none or unknown)
+ */
+function decodePage(buffer) {
+  const head = buffer.subarray(0, 2048).toString('latin1');
+  const declared = head.match(/<meta[^>]+charset\s*=\s*["']?([\w-]+)/i);
+  try {
+    return new TextDecoder(declared ? declared[1] : 'utf-8').decode(buffer);
+  } catch (error) {
+    return buffer.toString('utf8');
+  }
+}
+
+/**
+ * Read the main text of a saved web page
+ */
+async function extract(filePath) {
+  return extractMainText(decodePage(await fs.readFile(filePath)));
+}
+
+module.exports = {
+  name: 'html',
+  fileType: 'webpage',
+  extensions: ['.html', '.htm'],
+  mimeTypes: ['text/html', 'application/xhtml+xml'],
+  emptyTextSuggestion: 'The page has no readable text. Pages built entirely by scripts cannot be read; paste the text instead.',
+  extract,
+  extractMainText,
+  decodeEntities,
+};
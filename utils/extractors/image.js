@@ -0,0 +1,19 @@
+const { extractTextFromImage } = require('../ocrExtractor');
+
+/**
+ * OCR an image. WebP and GIF files are converted to PNG while they are
+ * preprocessed; for animated GIFs only the first frame is read.
+ */
+async function extract(filePath, options) {
+  const { text, screenshot } = await extractTextFromImage(filePath, options);
+  return { text, screenshot, extractionMethod: 'ocr' };
+}
+
+module.exports = {
+  name: 'image',
+  fileType: 'image',
+  extensions: ['.png', '.jpg', '.jpeg', '.webp', '.gif'],
+  mimeTypes: ['image/png', 'image/jpeg', 'image/jpg', 'image/webp', 'image/gif'],
+  emptyTextSuggestion: 'The image may not contain readable text, or the text may be too small or unclear.',
+  extract,
+};
@@ -0,0 +1,59 @@
+const path = require('path');
+const pdfExtractor = require('./pdf');
+const imageExtractor = require('./image');
+const docxExtractor = require('./docx');
+const plainTextExtractor = require('./text');
+const htmlExtractor = require('./html');
+
+// Extractors by name. An extractor is { name, fileType, extensions, mimeTypes,
+// emptyTextSuggestion, extract(filePath, options) } where extract resolves to
+// { text, extractionMethod, pages, screenshot } (pages and screenshot optional)
+// and throws with status 400 when the file cannot be read. `fileType` is the
+// value saved with analyses (see models/Analysis.js).
+const extractors = new Map();
+
+/**
+ * Add an extractor for more file types. Extensions and MIME types claimed
+ * by an earlier extractor move to the new one.
+ * @param {Object} extractor - { name, fileType, extensions, mimeTypes, extract }
+ */
+function registerExtractor(extractor) {
+  if (!extractor || typeof extractor.name !== 'string' || typeof extractor.extract !== 'function' ||
+    !Array.isArray(extractor.extensions) || extractor.extensions.length === 0) {
+    throw new Error('An extractor needs a name, at least one extension and an extract function');
+  }
+  extractors.delete(extractor.name);
+  extractors.set(extractor.name, extractor);
+}
+
+[pdfExtractor, imageExtractor, docxExtractor, plainTextExtractor, htmlExtractor].forEach(registerExtractor);
+
+/**
+ * Find the extractor for a file name (by extension) or, failing that, a MIME type
+ * @param {string} [fileName] - File name or path
+ * @param {string} [mimeType] - MIME type, e.g. from a Content-Type header (parameters are ignored)
+ * @returns {Object|null} - Extractor, or null if the file type is not supported
+ */
+function findExtractor(fileName, mimeType) {
+  const registered = [...extractors.values()].reverse(); // Later registrations win
+  const extension = fileName ? path.extname(fileName).toLowerCase() : '';
+  const byExtension = extension && registered.find(extractor => extractor.extensions.includes(extension));
+  if (byExtension) return byExtension;
+
+  const type = String(mimeType || '').split(';')[0].trim().toLowerCase();
+  return (type && registered.find(extractor => (extractor.mimeTypes || []).includes(type))) || null;
+}
+
+/**
+ * Every file extension an extractor is registered for
+ * @returns {string[]} - e.g. ['.pdf', '.png', ...]
+ */
+function supportedExtensions() {
+  return [...new Set([...extractors.values()].flatMap(extractor => extractor.extensions))];
+}
+
+module.exports = {
+  registerExtractor,
+  findExtractor,
+  supportedExtensions,
+};
@@ -0,0 +1,44 @@
+const { extractTextFromPDFWithOCR } = require('../pdfExtractor');
+
+/**
+ * Create an extraction error that routes can return as a 400 response
+ */
+function extractionError(message, suggestion) {
+  const error = new Error(message);
+  error.status = 400;
+  error.suggestion = suggestion;
+  return error;
+}
+
+/**
+ * Read the text layer of each page; scanned or image-only pages are
+ * rasterized and run through OCR
+ */
+async function extract(filePath, options) {
+  try {
+    const result = await extractTextFromPDFWithOCR(filePath, options);
+    return {
+      text: result.text,
+      extractionMethod: result.extractionMethod,
+      pages: result.pages,
+    };
+  } catch (pdfError) {
+    // Both the text layer and the OCR fallback failed
+    if (pdfError.message.includes('XRef') || pdfError.message.includes('structural')) {
+      throw extractionError(
+        pdfError.message,
+        'This PDF appears to have structural issues. Try re-saving the PDF using a different PDF creator, or upload the pages as images (PNG/JPEG).'
+      );
+    }
+    throw pdfError;
+  }
+}
+
+module.exports = {
+  name: 'pdf',
+  fileType: 'pdf',
+  extensions: ['.pdf'],
+  mimeTypes: ['application/pdf'],
+  emptyTextSuggestion: 'Neither the PDF text layer nor OCR found readable text. The scan may be too low-resolution or blank.',
+  extract,
+};
@@ -0,0 +1,52 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+
+/**
+ * Remove Markdown syntax, keeping the text a reader would see. Link targets
+ * are kept after the link text so links still count in the analysis.
+ * @param {string} markdown - Markdown source
+ * @returns {string} - Plain text
+ */
+function markdownToText(markdown) {
+  return markdown
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/^(`{3,}|~{3,}).*$/gm, '') // Code fences (the code itself is kept)
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1') // Images: alt text
+    .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (match, text, url) => (text === url ? url : `${text} (${url})`))
+    .replace(/^ {0,3}#{1,6}[ \t]+(.*?)[ \t]*#*[ \t]*$/gm, '$1') // ATX headings
+    .replace(/^ {0,3}(=+|-+)[ \t]*$/gm, '') // Setext heading underlines and rules
+    .replace(/^ {0,3}([*_])([ \t]*\1){2,}[ \t]*$/gm, '') // Horizontal rules
+    .replace(/^ {0,3}>[ \t]?/gm, '') // Block quotes
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '$2') // Bold
+    .replace(/(^|[^\w*])\*(?=\S)([^*\n]*?\S)\*(?![\w*])/g, '$1$2') // Italic (*)
+    .replace(/(^|[^\w])_(?=\S)([^_\n]*?\S)_(?!\w)/g, '$1$2') // Italic (_), not snake_case
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '$1') // Strikethrough
+    .replace(/`([^`\n]+)`/g, '$1') // Inline code
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Read a plain-text or Markdown file
+ */
+async function extract(filePath) {
+  const content = (await fs.readFile(filePath, 'utf8')).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const isMarkdown = MARKDOWN_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+
+  return {
+    text: isMarkdown ? markdownToText(content) : content.trim(),
+    extractionMethod: isMarkdown ? 'markdown' : 'text',
+  };
+}
+
+module.exports = {
+  name: 'text',
+  fileType: 'text',
+  extensions: ['.txt', ...MARKDOWN_EXTENSIONS],
+  mimeTypes: ['text/plain', 'text/markdown', 'text/x-markdown'],
+  emptyTextSuggestion: 'The file is empty.',
+  extract,
+  markdownToText,
+};
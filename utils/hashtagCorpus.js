@@ -0,0 +1,43 @@
+const Analysis = require('../models/Analysis');
+const { extractTerms } = require('./hashtags');
+const { getLanguage } = require('./languages');
+
+// Most recent analyses used as the TF-IDF corpus, and how long stats are cached
+const CORPUS_SIZE = 2000;
+const CACHE_TTL_MS = 10 * 60 * 1000;
+
+const statsCache = new Map();
+
+/**
+ * Document frequencies of candidate hashtag terms across a workspace's saved
+ * analyses, used to down-weight words the team uses in every post
+ * @param {Object} workspaceId - Workspace ObjectId
+ * @returns {Promise<Object>} - { documentCount, documentFrequency: Map<term, count> }
+ */
+async function getCorpusStats(workspaceId) {
+  const key = String(workspaceId);
+  const cached = statsCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.stats;
+  }
+
+  const documents = await Analysis.find({ workspace: workspaceId })
+    .sort({ createdAt: -1 })
+    .limit(CORPUS_SIZE)
+    .select('extractedText language')
+    .lean();
+
+  const documentFrequency = new Map();
+  documents.forEach((doc) => {
+    const terms = extractTerms(doc.extractedText || '', getLanguage(doc.language || 'en').stopWords);
+    terms.forEach((count, term) => {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    });
+  });
+
+  const stats = { documentCount: documents.length, documentFrequency };
+  statsCache.set(key, { stats, expiresAt: Date.now() + CACHE_TTL_MS });
+  return stats;
+}
+
+module.exports = { getCorpusStats };
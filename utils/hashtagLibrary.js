@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+
+// Directory of JSON hashtag libraries; each file is <industry>.json
+const LIBRARIES_DIR = process.env.HASHTAG_LIBRARIES_PATH || path.join(__dirname, '../config/hashtags');
+
+const libraryCache = new Map();
+
+/**
+ * Read a library file
+ */
+function readLibraryFile(name) {
+  if (!/^[a-z0-9_-]+$/i.test(name)) {
+    throw new Error(`Invalid hashtag library name: ${name}`);
+  }
+
+  const filePath = path.join(LIBRARIES_DIR, `${name}.json`);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Unknown hashtag library: ${name}`);
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Lowercase a tag and make sure it starts with #
+ */
+function normalizeTag(tag) {
+  return `#${String(tag).replace(/^#+/, '').toLowerCase()}`;
+}
+
+/**
+ * Load a hashtag library for an industry. The default library's tags and its
+ * banned/overused lists are always included.
+ * @param {string} [industry] - Library name (e.g. "marketing"); default library only if omitted
+ * @returns {Object} - { name, tags: [{ tag, category, keywords }], banned: Set, overused: Set }
+ */
+function loadHashtagLibrary(industry) {
+  const name = industry || 'default';
+  if (libraryCache.has(name)) {
+    return libraryCache.get(name);
+  }
+
+  const files = name === 'default' ? [readLibraryFile('default')] : [readLibraryFile('default'), readLibraryFile(name)];
+
+  // Industry tags first so they win ties with the general ones
+  const library = {
+    name,
+    tags: files.reverse().flatMap(file => file.tags || []),
+    banned: new Set(files.flatMap(file => file.banned || []).map(normalizeTag)),
+    overused: new Set(files.flatMap(file => file.overused || []).map(normalizeTag)),
+  };
+
+  libraryCache.set(name, library);
+  return library;
+}
+
+/**
+ * List the available hashtag libraries with their descriptions
+ * @returns {Array<{name: string, description: string}>} - Libraries
+ */
+function listHashtagLibraries() {
+  return fs.readdirSync(LIBRARIES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map((file) => {
+      const name = path.basename(file, '.json');
+      return { name, description: readLibraryFile(name).description || '' };
+    });
+}
+
+module.exports = {
+  loadHashtagLibrary,
+  listHashtagLibraries,
+  normalizeTag,
+};
@@ -0,0 +1,202 @@
+const { loadHashtagLibrary, normalizeTag } = require('./hashtagLibrary');
+
+const MAX_SUGGESTIONS = 8;
+const MIN_WORD_LENGTH = 4;
+// Compound tags are only made from phrases that repeat in the post or the corpus
+const MIN_PHRASE_COUNT = 2;
+const PHRASE_WEIGHT = 1.5;
+const LIBRARY_WEIGHT = 2;
+
+const HASHTAG_PATTERN = /#[\p{L}\p{N}_]+/gu;
+const NON_PROSE_PATTERN = /https?:\/\/\S+|www\.\S+|[#@][\p{L}\p{N}_]+/gu;
+const SEGMENT_BREAK_PATTERN = new RegExp(`${NON_PROSE_PATTERN.source}|[.!?;:,()[\\]{}"“”\\n]+`, 'gu');
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}][\p{L}\p{M}\p{N}'’-]*/gu;
+
+/**
+ * Escape a string for use inside a regular expression
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Count whole-word (or whole-phrase) occurrences in lowercase text
+ */
+function countPhrase(lowerText, phrase) {
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(phrase.toLowerCase())}(?![\\p{L}\\p{N}])`, 'gu');
+  return (lowerText.match(pattern) || []).length;
+}
+
+/**
+ * True if a word can become (part of) a hashtag
+ */
+function isCandidateWord(word, stopWords) {
+  return word.length >= MIN_WORD_LENGTH && /\p{L}/u.test(word) && !/['’]/.test(word) && !stopWords.has(word);
+}
+
+/**
+ * Count candidate terms in a text: single words and two-word phrases that do
+ * not cross punctuation, URLs, mentions or existing hashtags
+ * @param {string} text - Text to scan
+ * @param {Iterable<string>} stopWords - Words that never become tags
+ * @returns {Map<string, number>} - Term (words joined by a space) to count
+ */
+function extractTerms(text, stopWords) {
+  const stops = stopWords instanceof Set ? stopWords : new Set(stopWords);
+  const terms = new Map();
+  const add = term => terms.set(term, (terms.get(term) || 0) + 1);
+
+  text.toLowerCase().split(SEGMENT_BREAK_PATTERN).forEach((segment) => {
+    const words = (segment.match(WORD_PATTERN) || []).map(word => word.replace(/['’]s$/, '').replace(/['’-]+$/, ''));
+    words.forEach((word, index) => {
+      if (!isCandidateWord(word, stops)) return;
+      add(word);
+      const next = words[index + 1];
+      if (next && isCandidateWord(next, stops)) {
+        add(`${word} ${next}`);
+      }
+    });
+  });
+
+  return terms;
+}
+
+/**
+ * Turn a term into a CamelCase hashtag ("content marketing" -> "#ContentMarketing")
+ */
+function toHashtag(term) {
+  return '#' + term
+    .split(' ')
+    .map(word => word.replace(/['’-]/g, ''))
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+}
+
+/**
+ * Smoothed inverse document frequency of a term in the history corpus (1 without a corpus)
+ */
+function inverseDocumentFrequency(term, corpus) {
+  if (!corpus || !corpus.documentCount) return 1;
+  const documentFrequency = corpus.documentFrequency.get(term) || 0;
+  return Math.log((corpus.documentCount + 1) / (documentFrequency + 1)) + 1;
+}
+
+/**
+ * Warnings for hashtags already used in the post
+ */
+function checkExistingTags(usedTags, library) {
+  const warnings = [];
+  const seen = new Set();
+
+  usedTags.forEach((tag) => {
+    const normalized = normalizeTag(tag);
+    if (seen.has(normalized)) {
+      warnings.push(`${tag} is used more than once`);
+      return;
+    }
+    seen.add(normalized);
+
+    if (library.banned.has(normalized)) {
+      warnings.push(`${tag} is banned or restricted on some platforms and can hide your post - remove it`);
+    } else if (library.overused.has(normalized)) {
+      warnings.push(`${tag} is overused, so posts rarely get found through it - pair it with a more specific tag`);
+    }
+  });
+
+  return warnings;
+}
+
+/**
+ * Suggest hashtags for a post: TF-IDF keywords (weighted against the history
+ * corpus when given), CamelCase compound tags from repeated phrases, and
+ * tags from the industry library whose keywords appear in the text.
+ * Tags already in the post, banned tags and overused tags are never suggested.
+ * @param {string} text - Post text
+ * @param {Object} options - Options
+ * @param {Object} options.lexicon - Language lexicon from utils/languages.js
+ * @param {string} [options.industry] - Hashtag library name (see config/hashtags)
+ * @param {Object} [options.corpus] - { documentCount, documentFrequency: Map } from utils/hashtagCorpus.js
+ * @returns {Object} - { suggestions, details: [{ tag, score, source, category }], warnings, existing, library }
+ */
+function suggestHashtags(text, { lexicon, industry, corpus }) {
+  const library = loadHashtagLibrary(industry);
+  const stopWords = new Set(lexicon.stopWords);
+  // Library keywords are matched in the prose only, not in tags, mentions or links
+  const lowerText = text.toLowerCase().replace(NON_PROSE_PATTERN, ' ');
+  const usedTags = text.match(HASHTAG_PATTERN) || [];
+  const existing = new Set(usedTags.map(normalizeTag));
+
+  const candidates = new Map();
+  const addCandidate = (candidate) => {
+    const key = normalizeTag(candidate.tag);
+    if (existing.has(key) || library.banned.has(key) || library.overused.has(key)) return;
+    const current = candidates.get(key);
+    if (!current) {
+      candidates.set(key, candidate);
+    } else if (candidate.score > current.score) {
+      // Keep the library category when a keyword scores higher than the library tag
+      candidates.set(key, { ...candidate, category: candidate.category || current.category });
+    } else if (!current.category) {
+      current.category = candidate.category;
+    }
+  };
+
+  // Keywords and phrases, weighted by TF-IDF
+  const terms = extractTerms(text, stopWords);
+  const phrases = [...terms.entries()]
+    .filter(([term]) => term.includes(' '))
+    .filter(([term, count]) => count >= MIN_PHRASE_COUNT ||
+      (corpus && (corpus.documentFrequency.get(term) || 0) >= MIN_PHRASE_COUNT));
+  const phraseWords = new Set(phrases.flatMap(([term]) => term.split(' ')));
+
+  phrases.forEach(([term, count]) => {
+    addCandidate({
+      tag: toHashtag(term),
+      score: count * inverseDocumentFrequency(term, corpus) * PHRASE_WEIGHT,
+      source: 'phrase',
+      category: null,
+    });
+  });
+
+  terms.forEach((count, term) => {
+    // Words already covered by a compound tag would only repeat it
+    if (term.includes(' ') || phraseWords.has(term)) return;
+    addCandidate({
+      tag: toHashtag(term),
+      score: count * inverseDocumentFrequency(term, corpus),
+      source: 'keyword',
+      category: null,
+    });
+  });
+
+  // Curated library tags whose keywords appear in the post
+  library.tags.forEach((entry) => {
+    const matches = (entry.keywords || []).reduce((sum, keyword) => sum + countPhrase(lowerText, keyword), 0);
+    if (matches > 0) {
+      addCandidate({
+        tag: entry.tag,
+        score: matches * LIBRARY_WEIGHT,
+        source: 'library',
+        category: entry.category || null,
+      });
+    }
+  });
+
+  const details = [...candidates.values()]
+    .sort((a, b) => b.score - a.score || a.tag.localeCompare(b.tag))
+    .slice(0, MAX_SUGGESTIONS)
+    .map(candidate => ({ ...candidate, score: Math.round(candidate.score * 100) / 100 }));
+
+  return {
+    suggestions: details.map(detail => detail.tag),
+    details,
+    warnings: checkExistingTags(usedTags, library),
+    existing: [...existing],
+    library: library.name,
+  };
+}
+
+module.exports = {
+  extractTerms,
+  suggestHashtags,
+};
@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const FILE_TYPES = ['pdf', 'image', 'document', 'text', 'webpage'];
+const SENTIMENT_LABELS = ['positive', 'negative', 'neutral'];
+const RISK_LEVELS = ['high', 'medium', 'low', 'none'];
+
+// Sortable fields; _id breaks ties so cursors stay stable
+const SORT_FIELDS = {
+  date: 'createdAt',
+  score: 'analysis.engagementScore',
+};
+
+/**
+ * Create a query error that routes can return as a 400 response
+ */
+function queryError(message, suggestion) {
+  const error = new Error(message);
+  error.status = 400;
+  error.suggestion = suggestion;
+  return error;
+}
+
+/**
+ * Split a comma-separated query value (or repeated parameter) into trimmed values
+ */
+function parseList(value) {
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Parse a numeric query value
+ */
+function parseNumber(value, name) {
+  const number = Number(value);
+  if (value === '' || Number.isNaN(number)) {
+    throw queryError(`Invalid ${name}: ${value}`, `${name} must be a number`);
+  }
+  return number;
+}
+
+/**
+ * Parse a date query value
+ */
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw queryError(`Invalid ${name}: ${value}`, `${name} must be an ISO date, e.g. 2024-01-31`);
+  }
+  return date;
+}
+
+/**
+ * Escape a string for use inside a regular expression
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Encode the sort position of the last returned document as an opaque cursor
+ * @param {Object} doc - Last document of the current page
+ * @param {Object} sort - Sort returned by buildHistoryQuery
+ * @returns {string} - Base64url cursor
+ */
+function encodeCursor(doc, sort) {
+  const field = Object.keys(sort)[0];
+  const value = field.split('.').reduce((current, key) => (current ? current[key] : undefined), doc);
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value,
+    id: String(doc._id),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor into a filter that selects documents after it in sort order
+ */
+function cursorFilter(cursor, sort) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    payload = null;
+  }
+  if (!payload || payload.v === undefined || !mongoose.Types.ObjectId.isValid(payload.id)) {
+    throw queryError('Invalid cursor', 'Use the nextCursor value from the previous page');
+  }
+
+  const [field, direction] = Object.entries(sort)[0];
+  const value = field === 'createdAt' ? new Date(payload.v) : payload.v;
+  const operator = direction === -1 ? '$lt' : '$gt';
+  const id = new mongoose.Types.ObjectId(payload.id);
+
+  return {
+    $or: [
+      { [field]: { [operator]: value } },
+      { [field]: value, _id: { [operator]: id } },
+    ],
+  };
+}
+
+/**
+ * Build a MongoDB filter, sort and page size from history query parameters
+ * @param {Object} query - Request query
+ * @param {string} [query.q] - Full-text search over extracted text and file name
+ * @param {string} [query.fileType] - Comma-separated file types (pdf, image, document, text, webpage)
+ * @param {string} [query.minScore] - Minimum engagement score
+ * @param {string} [query.maxScore] - Maximum engagement score
+ * @param {string} [query.from] - Earliest creation date (inclusive)
+ * @param {string} [query.to] - Latest creation date (inclusive)
+ * @param {string} [query.tone] - Text contained in the tone feedback, e.g. "professional"
+ * @param {string} [query.hashtags] - Comma-separated hashtags the post must use
+ * @param {string} [query.sentiment] - Sentiment label (positive/negative/neutral)
+ * @param {string} [query.emotion] - Detected emotion (joy, trust, anger, ...)
+ * @param {string} [query.minSentiment] - Minimum compound sentiment (-1 to 1)
+ * @param {string} [query.maxSentiment] - Maximum compound sentiment (-1 to 1)
+ * @param {string} [query.risk] - Comma-separated compliance risk levels (high, medium, low, none)
+ * @param {string} [query.sort] - "date" (default) or "score"
+ * @param {string} [query.order] - "desc" (default) or "asc"
+ * @param {string} [query.limit] - Page size (1-100, default 20)
+ * @param {string} [query.cursor] - nextCursor from the previous page
+ * @returns {Object} - { filter, sort, limit }
+ */
+function buildHistoryQuery(query = {}) {
+  const conditions = [];
+
+  if (query.q && String(query.q).trim()) {
+    conditions.push({ $text: { $search: String(query.q).trim() } });
+  }
+
+  if (query.fileType) {
+    const fileTypes = parseList(query.fileType);
+    const invalid = fileTypes.filter(type => !FILE_TYPES.includes(type));
+    if (invalid.length > 0) {
+      throw queryError(`Invalid fileType: ${invalid.join(', ')}`, `Use one or more of: ${FILE_TYPES.join(', ')}`);
+    }
+    conditions.push({ fileType: { $in: fileTypes } });
+  }
+
+  if (query.minScore !== undefined || query.maxScore !== undefined) {
+    const range = {};
+    if (query.minScore !== undefined) range.$gte = parseNumber(query.minScore, 'minScore');
+    if (query.maxScore !== undefined) range.$lte = parseNumber(query.maxScore, 'maxScore');
+    conditions.push({ 'analysis.engagementScore': range });
+  }
+
+  if (query.from !== undefined || query.to !== undefined) {
+    const range = {};
+    if (query.from !== undefined) range.$gte = parseDate(query.from, 'from');
+    if (query.to !== undefined) {
+      const to = parseDate(query.to, 'to');
+      // A bare date means the whole day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(String(query.to))) {
+        to.setUTCHours(23, 59, 59, 999);
+      }
+      range.$lte = to;
+    }
+    conditions.push({ createdAt: range });
+  }
+
+  if (query.tone) {
+    conditions.push({ 'analysis.toneFeedback': new RegExp(escapeRegExp(String(query.tone)), 'i') });
+  }
+
+  if (query.hashtags) {
+    const hashtags = parseList(query.hashtags)
+      .map(tag => `#${tag.replace(/^#+/, '').toLowerCase()}`);
+    conditions.push({ hashtags: { $all: hashtags } });
+  }
+
+  if (query.sentiment) {
+    if (!SENTIMENT_LABELS.includes(query.sentiment)) {
+      throw queryError(`Invalid sentiment: ${query.sentiment}`, `Use one of: ${SENTIMENT_LABELS.join(', ')}`);
+    }
+    conditions.push({ 'analysis.sentiment.label': query.sentiment });
+  }
+
+  if (query.emotion) {
+    conditions.push({ 'analysis.sentiment.emotions.emotion': String(query.emotion).toLowerCase() });
+  }
+
+  if (query.minSentiment !== undefined || query.maxSentiment !== undefined) {
+    const range = {};
+    if (query.minSentiment !== undefined) range.$gte = parseNumber(query.minSentiment, 'minSentiment');
+    if (query.maxSentiment !== undefined) range.$lte = parseNumber(query.maxSentiment, 'maxSentiment');
+    conditions.push({ 'analysis.sentiment.compound': range });
+  }
+
+  if (query.risk) {
+    const levels = parseList(query.risk);
+    const invalid = levels.filter(level => !RISK_LEVELS.includes(level));
+    if (invalid.length > 0) {
+      throw queryError(`Invalid risk: ${invalid.join(', ')}`, `Use one or more of: ${RISK_LEVELS.join(', ')}`);
+    }
+    conditions.push({ 'analysis.risks.level': { $in: levels } });
+  }
+
+  const sortField = SORT_FIELDS[query.sort || 'date'];
+  if (!sortField) {
+    throw queryError(`Invalid sort: ${query.sort}`, `Use one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+  }
+  const order = query.order || 'desc';
+  if (order !== 'asc' && order !== 'desc') {
+    throw queryError(`Invalid order: ${order}`, 'Use asc or desc');
+  }
+  const direction = order === 'asc' ? 1 : -1;
+  const sort = { [sortField]: direction, _id: direction };
+
+  if (query.cursor) {
+    conditions.push(cursorFilter(query.cursor, sort));
+  }
+
+  let limit = DEFAULT_PAGE_SIZE;
+  if (query.limit !== undefined) {
+    limit = parseNumber(query.limit, 'limit');
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw queryError(`Invalid limit: ${query.limit}`, `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+    }
+  }
+
+  let filter = {};
+  if (conditions.length === 1) {
+    filter = conditions[0];
+  } else if (conditions.length > 1) {
+    filter = { $and: conditions };
+  }
+
+  return { filter, sort, limit };
+}
+
+module.exports = {
+  buildHistoryQuery,
+  encodeCursor,
+};
@@ -0,0 +1,275 @@
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const ExtractionJob = require('../models/ExtractionJob');
+const { extractTextFromFile } = require('./textExtractor');
+const { runBatchJob } = require('./batchProcessor');
+const workerPool = require('./ocrWorkerPool');
+const { emitEvent } = require('./webhookQueue');
+const { extractionEventData } = require('./webhooks');
+
+// Jobs that fail for reasons other than bad input are retried this many times
+const MAX_ATTEMPTS = 3;
+
+// Progress is pushed to listeners immediately but written to MongoDB at most this often
+const PROGRESS_SAVE_INTERVAL_MS = 1000;
+
+// Emits `<jobId>` events with the serialized job whenever it changes
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+let started = false;
+let activeJobs = 0;
+
+/**
+ * Shape a job document for API responses and events
+ * @param {Object} job - ExtractionJob document
+ * @returns {Object} - Public job representation
+ */
+function serializeJob(job) {
+  const serialized = {
+    jobId: job._id,
+    type: job.type,
+    status: job.status,
+    fileName: job.fileName,
+    progress: job.progress,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    completedAt: job.completedAt || null,
+  };
+
+  if (job.status === 'completed') {
+    serialized.result = job.type === 'batch' ? job.batch.result : job.result;
+  } else if (job.status === 'failed') {
+    serialized.error = job.error;
+  }
+
+  return serialized;
+}
+
+/**
+ * Queue an uploaded file for background text extraction
+ * @param {Object} params - { owner, workspace, filePath, fileName, languages }
+ * @returns {Promise<Object>} - The created ExtractionJob
+ */
+async function enqueueExtraction({ owner, workspace, filePath, fileName, languages }) {
+  const job = await ExtractionJob.create({
+    owner: owner,
+    workspace: workspace,
+    fileName: fileName,
+    filePath: filePath,
+    options: { languages: languages },
+  });
+
+  processQueue();
+  return job;
+}
+
+/**
+ * Queue uploaded files for background batch analysis (see POST /api/batch)
+ * @param {Object} params - { owner, workspace, files, languages, options }
+ *   where options is { platform, industry, name, saveToHistory, redactPII }
+ * @returns {Promise<Object>} - The created ExtractionJob
+ */
+async function enqueueBatch({ owner, workspace, files, languages, options }) {
+  const job = await ExtractionJob.create({
+    type: 'batch',
+    owner: owner,
+    workspace: workspace,
+    fileName: options.name || `Batch of ${files.length} files`,
+    options: { languages: languages },
+    batch: {
+      files: files.map(file => ({ path: file.path, originalname: file.originalname })),
+      options: options,
+    },
+  });
+
+  processQueue();
+  return job;
+}
+
+/**
+ * Delete the files of a finished job
+ */
+async function removeJobFiles(job) {
+  const paths = job.type === 'batch' ? job.batch.files.map(file => file.path) : [job.filePath];
+  await Promise.all(paths.map(filePath => fs.unlink(filePath).catch(err => {
+    console.error('Error deleting file:', err);
+  })));
+}
+
+/**
+ * Atomically claim the oldest queued job
+ */
+function claimNextJob() {
+  return ExtractionJob.findOneAndUpdate(
+    { status: 'queued' },
+    {
+      $set: {
+        status: 'processing',
+        startedAt: new Date(),
+        progress: { stage: 'starting', message: 'Starting extraction' },
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Run extraction for a claimed job and record the outcome
+ */
+async function runJob(job) {
+  const emit = () => jobEvents.emit(String(job._id), serializeJob(job));
+  let lastSavedAt = 0;
+
+  emit();
+
+  const onProgress = (progress) => {
+    job.progress = {
+      stage: progress.stage,
+      current: progress.current,
+      total: progress.total,
+      page: progress.page,
+      message: progress.message,
+    };
+    emit();
+
+    if (Date.now() - lastSavedAt >= PROGRESS_SAVE_INTERVAL_MS) {
+      lastSavedAt = Date.now();
+      ExtractionJob.updateOne({ _id: job._id }, { $set: { progress: job.progress } }).catch(err => {
+        console.error('Error saving job progress:', err.message);
+      });
+    }
+  };
+
+  let finished = true;
+  try {
+    if (job.type === 'batch') {
+      job.batch.result = await runBatchJob(job, { workerPool, onProgress });
+      job.markModified('batch.result');
+      job.progress = { stage: 'completed', message: 'Batch complete' };
+    } else {
+      const result = await extractTextFromFile(job.filePath, job.fileName, {
+        languages: job.options.languages,
+        workerPool: workerPool,
+        onProgress: onProgress,
+      });
+
+      job.result = {
+        fileType: result.fileType,
+        extractedText: result.text,
+        extractionMethod: result.extractionMethod,
+        pages: result.pages || [],
+        screenshot: result.screenshot,
+        language: result.language,
+        languageConfidence: result.languageConfidence,
+        risks: result.risks,
+      };
+      job.progress = { stage: 'completed', message: 'Extraction complete' };
+    }
+    job.status = 'completed';
+    job.completedAt = new Date();
+  } catch (error) {
+    // Bad input (status 400) is final; anything else is retried
+    if (error.status !== 400 && job.attempts < MAX_ATTEMPTS) {
+      finished = false;
+      job.status = 'queued';
+      job.progress = { stage: 'queued', message: `Retrying after error: ${error.message}` };
+    } else {
+      job.status = 'failed';
+      job.error = { message: error.message, suggestion: error.suggestion };
+      job.progress = { stage: 'failed', message: error.message };
+      job.completedAt = new Date();
+    }
+  }
+
+  await job.save();
+  emit();
+
+  if (finished) {
+    // Batches notify webhooks of each saved analysis instead
+    if (job.type !== 'batch') {
+      emitEvent(job.workspace, `extraction.${job.status}`, extractionEventData({
+        jobId: job._id,
+        fileName: job.fileName,
+        result: job.result,
+        error: job.status === 'failed' ? job.error : null,
+      }));
+    }
+    await removeJobFiles(job);
+  }
+}
+
+/**
+ * Claim and run queued jobs until the queue is empty
+ */
+async function runNext() {
+  activeJobs += 1;
+  let claimed = false;
+
+  try {
+    const job = await claimNextJob();
+    if (job) {
+      claimed = true;
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error('Extraction job error:', error.message);
+  } finally {
+    activeJobs -= 1;
+  }
+
+  if (claimed) {
+    processQueue();
+  }
+}
+
+/**
+ * Start as many jobs as there are free OCR workers
+ */
+function processQueue() {
+  if (!started) return;
+
+  const freeSlots = workerPool.POOL_SIZE - activeJobs;
+  for (let i = 0; i < freeSlots; i++) {
+    runNext();
+  }
+}
+
+/**
+ * Start processing jobs. Jobs left in `processing` by a previous run of the
+ * server are re-queued (or failed, if they have used up their attempts).
+ */
+async function startJobQueue() {
+  if (started) return;
+
+  await ExtractionJob.updateMany(
+    { status: 'processing', attempts: { $gte: MAX_ATTEMPTS } },
+    {
+      $set: {
+        status: 'failed',
+        error: { message: 'Extraction was interrupted too many times' },
+        progress: { stage: 'failed', message: 'Extraction was interrupted too many times' },
+        completedAt: new Date(),
+      },
+    }
+  );
+  const { modifiedCount } = await ExtractionJob.updateMany(
+    { status: 'processing' },
+    { $set: { status: 'queued', progress: { stage: 'queued', message: 'Re-queued after server restart' } } }
+  );
+  if (modifiedCount > 0) {
+    console.log(`Re-queued ${modifiedCount} interrupted extraction job(s)`);
+  }
+
+  started = true;
+  processQueue();
+}
+
+module.exports = {
+  jobEvents,
+  serializeJob,
+  enqueueExtraction,
+  enqueueBatch,
+  startJobQueue,
+};
@@ -0,0 +1,188 @@
+/**
+ * Supported content languages with their Tesseract traineddata codes and the
+ * word lists the analyzer uses for hashtag stop words, tone and CTA detection.
+ * Keys are ISO 639-1 codes.
+ */
+const LANGUAGES = {
+  en: {
+    name: 'English',
+    tesseract: 'eng',
+    script: 'Latin',
+    stopWords: [
+      'this', 'that', 'with', 'from', 'have', 'been', 'will', 'your', 'what',
+      'when', 'where', 'which', 'their', 'there', 'these', 'those', 'about',
+      'would', 'could', 'should', 'might', 'must', 'shall', 'them', 'they',
+    ],
+    // Short, very common words used to tell Latin-script languages apart
+    markers: ['the', 'and', 'is', 'are', 'you', 'of', 'to', 'in', 'for', 'with', 'this', 'that'],
+    positiveWords: ['great', 'amazing', 'wonderful', 'excellent', 'love', 'best', 'awesome', 'fantastic'],
+    questionWords: ['what', 'why', 'how', 'when', 'where', 'who'],
+    professionalWords: ['strategy', 'solution', 'approach', 'method', 'process', 'system'],
+    ctaKeywords: ['click', 'learn', 'discover', 'try', 'get', 'start', 'join', 'sign up', 'download'],
+    closingQuestion: 'What do you think?',
+  },
+  es: {
+    name: 'Spanish',
+    tesseract: 'spa',
+    script: 'Latin',
+    stopWords: [
+      'esta', 'este', 'esto', 'para', 'como', 'pero', 'tiene', 'desde', 'todo',
+      'todos', 'sobre', 'entre', 'cuando', 'donde', 'porque', 'nuestro', 'nuestra',
+      'ellos', 'ellas', 'también', 'están', 'puede', 'hacer', 'muy', 'sus',
+    ],
+    markers: ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'un', 'una', 'es', 'por', 'con', 'para'],
+    positiveWords: ['genial', 'increíble', 'maravilloso', 'excelente', 'encanta', 'mejor', 'fantástico', 'feliz'],
+    questionWords: ['qué', 'por qué', 'cómo', 'cuándo', 'dónde', 'quién'],
+    professionalWords: ['estrategia', 'solución', 'enfoque', 'método', 'proceso', 'sistema'],
+    ctaKeywords: ['haz clic', 'descubre', 'prueba', 'obtén', 'empieza', 'únete', 'regístrate', 'descarga', 'aprende'],
+    closingQuestion: '¿Qué opinas?',
+  },
+  de: {
+    name: 'German',
+    tesseract: 'deu',
+    script: 'Latin',
+    stopWords: [
+      'diese', 'dieser', 'dieses', 'nicht', 'haben', 'werden', 'wird', 'sind',
+      'eine', 'einen', 'einem', 'einer', 'auch', 'noch', 'über', 'unter', 'wenn',
+      'weil', 'dass', 'sich', 'ihre', 'unser', 'unsere', 'aber', 'oder',
+    ],
+    markers: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'zu', 'mit', 'für', 'auf', 'ich', 'sie'],
+    positiveWords: ['großartig', 'toll', 'wunderbar', 'ausgezeichnet', 'liebe', 'beste', 'fantastisch', 'super'],
+    questionWords: ['was', 'warum', 'wie', 'wann', 'wo', 'wer'],
+    professionalWords: ['strategie', 'lösung', 'ansatz', 'methode', 'prozess', 'system'],
+    ctaKeywords: ['klicken', 'erfahren', 'entdecken', 'testen', 'jetzt', 'starten', 'mitmachen', 'anmelden', 'herunterladen'],
+    closingQuestion: 'Was denkst du?',
+  },
+  fr: {
+    name: 'French',
+    tesseract: 'fra',
+    script: 'Latin',
+    stopWords: [
+      'cette', 'avec', 'pour', 'dans', 'mais', 'sont', 'nous', 'vous', 'leur',
+      'leurs', 'tout', 'tous', 'plus', 'comme', 'quand', 'notre', 'votre', 'elle',
+      'elles', 'être', 'avoir', 'fait', 'faire', 'aussi', 'très',
+    ],
+    markers: ['le', 'la', 'les', 'de', 'des', 'et', 'est', 'un', 'une', 'du', 'en', 'que', 'pour', 'pas'],
+    positiveWords: ['génial', 'incroyable', 'merveilleux', 'excellent', 'adore', 'meilleur', 'fantastique', 'super'],
+    questionWords: ['quoi', 'pourquoi', 'comment', 'quand', 'où', 'qui'],
+    professionalWords: ['stratégie', 'solution', 'approche', 'méthode', 'processus', 'système'],
+    ctaKeywords: ['cliquez', 'découvrez', 'essayez', 'obtenez', 'commencez', 'rejoignez', 'inscrivez', 'téléchargez'],
+    closingQuestion: 'Qu\'en pensez-vous ?',
+  },
+  hi: {
+    name: 'Hindi',
+    tesseract: 'hin',
+    script: 'Devanagari',
+    stopWords: [
+      'यह', 'वह', 'है', 'हैं', 'था', 'थे', 'और', 'के', 'का', 'की', 'को', 'में',
+      'से', 'पर', 'लिए', 'भी', 'कि', 'जो', 'एक', 'हम', 'आप', 'इस', 'उस', 'नहीं',
+    ],
+    markers: [],
+    positiveWords: ['शानदार', 'अद्भुत', 'बढ़िया', 'उत्कृष्ट', 'प्यार', 'सबसे अच्छा', 'खुश', 'बेहतरीन'],
+    questionWords: ['क्या', 'क्यों', 'कैसे', 'कब', 'कहाँ', 'कौन'],
+    professionalWords: ['रणनीति', 'समाधान', 'दृष्टिकोण', 'तरीका', 'प्रक्रिया', 'प्रणाली'],
+    ctaKeywords: ['क्लिक', 'जानें', 'खोजें', 'आज़माएं', 'शुरू', 'जुड़ें', 'साइन अप', 'डाउनलोड'],
+    closingQuestion: 'आप क्या सोचते हैं?',
+  },
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Characters that strongly suggest a particular Latin-script language
+const LANGUAGE_CHARACTERS = {
+  es: /[ñ¿¡áíóú]/g,
+  de: /[äöüß]/g,
+  fr: /[àâçèéêëîïôœùû]/g,
+};
+
+/**
+ * Resolve a language code (ISO 639-1 or Tesseract code) to a supported key
+ * @param {string} code - e.g. "es", "spa", "German"
+ * @returns {string|null} - ISO 639-1 key, or null if unsupported
+ */
+function resolveLanguage(code) {
+  if (!code || typeof code !== 'string') return null;
+  const key = code.trim().toLowerCase();
+  if (LANGUAGES[key]) return key;
+  const match = Object.entries(LANGUAGES)
+    .find(([, lang]) => lang.tesseract === key || lang.name.toLowerCase() === key);
+  return match ? match[0] : null;
+}
+
+/**
+ * Detect the writing script of a text by counting characters per Unicode script
+ * @param {string} text - Text to inspect
+ * @returns {string|null} - "Latin", "Devanagari" or null if no letters were found
+ */
+function detectScript(text) {
+  const latin = (text.match(/\p{Script=Latin}/gu) || []).length;
+  const devanagari = (text.match(/\p{Script=Devanagari}/gu) || []).length;
+  if (latin === 0 && devanagari === 0) return null;
+  return devanagari > latin ? 'Devanagari' : 'Latin';
+}
+
+/**
+ * Detect the most likely language of a text using script, common words and
+ * language-specific characters
+ * @param {string} text - Text to inspect
+ * @returns {{language: string, confidence: number, script: string|null}} - Best guess
+ */
+function detectLanguage(text) {
+  if (!text || text.trim().length === 0) {
+    return { language: DEFAULT_LANGUAGE, confidence: 0, script: null };
+  }
+
+  const script = detectScript(text);
+  if (script === 'Devanagari') {
+    return { language: 'hi', confidence: 0.9, script };
+  }
+
+  const words = text.toLowerCase().match(/[\p{L}\p{M}]+/gu) || [];
+  if (words.length === 0) {
+    return { language: DEFAULT_LANGUAGE, confidence: 0, script };
+  }
+
+  const scores = {};
+  Object.entries(LANGUAGES)
+    .filter(([, lang]) => lang.script === 'Latin')
+    .forEach(([code, lang]) => {
+      const markers = new Set(lang.markers);
+      const markerHits = words.filter(word => markers.has(word)).length;
+      const charHits = LANGUAGE_CHARACTERS[code]
+        ? (text.toLowerCase().match(LANGUAGE_CHARACTERS[code]) || []).length
+        : 0;
+      scores[code] = markerHits + charHits * 0.5;
+    });
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [bestCode, bestScore] = ranked[0];
+  const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+
+  if (bestScore === 0) {
+    return { language: DEFAULT_LANGUAGE, confidence: 0, script };
+  }
+
+  return {
+    language: bestCode,
+    confidence: Math.round((bestScore / total) * 100) / 100,
+    script,
+  };
+}
+
+/**
+ * Get the word lists for a language, falling back to English
+ * @param {string} [code] - ISO 639-1 code
+ * @returns {Object} - Language definition from LANGUAGES
+ */
+function getLanguage(code) {
+  return LANGUAGES[resolveLanguage(code) || DEFAULT_LANGUAGE];
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  resolveLanguage,
+  detectScript,
+  detectLanguage,
+  getLanguage,
+};
@@ -0,0 +1,75 @@
+const dns = require('dns');
+const net = require('net');
+
+// Addresses on the server's own network: loopback, private ranges, link-local
+// (including cloud metadata at 169.254.169.254), carrier-grade NAT and multicast
+const PRIVATE_NETWORKS = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4],
+].forEach(([address, prefix]) => PRIVATE_NETWORKS.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => PRIVATE_NETWORKS.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Create a network error that routes can return as a 400 response
+ */
+function networkError(message, suggestion) {
+  const error = new Error(message);
+  error.status = 400;
+  error.suggestion = suggestion;
+  return error;
+}
+
+/**
+ * True if an IP address is on a private, loopback or link-local network
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  const ip = mapped ? mapped[1] : address;
+  return PRIVATE_NETWORKS.check(ip, net.isIPv4(ip) ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Refuse a URL whose host is, or resolves to, a non-public address
+ * @param {URL} url - Parsed URL
+ * @returns {Promise<void>}
+ */
+async function assertPublicHost(url) {
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    throw networkError(`Could not resolve ${hostname}`, 'Check the URL for typos');
+  }
+
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw networkError(`${hostname} is on a private network`, 'Only public URLs can be used');
+  }
+}
+
+/**
+ * dns.lookup replacement for http.request that only connects to public
+ * addresses. The connection uses the address checked here, so a host that
+ * re-resolves to a private address between a check and the request is still refused.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(networkError(`${hostname} is on a private network`, 'Only public URLs can be used'));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+module.exports = {
+  isPrivateAddress,
+  assertPublicHost,
+  publicLookup,
+};
@@ -1,5 +1,12 @@
 const { createWorker } = require('tesseract.js');
 const fs = require('fs').promises;
+const path = require('path');
+const { LANGUAGES, resolveLanguage, detectLanguage } = require('./languages');
+const { parseScreenshotLayout, flattenBlocks } = require('./screenshotLayout');
+
+// Local directory holding <lang>.traineddata(.gz) files so OCR works offline.
+// If the directory does not exist, tesseract.js downloads traineddata on demand.
+const TESSDATA_DIR = process.env.TESSDATA_PATH || path.join(__dirname, '../tessdata');
 
 // Try to load sharp for image preprocessing, but don't fail if not available
 let sharp;
@@ -66,27 +73,18 @@ function cleanOCRText(text) {
 
   // Remove common OCR garbage patterns
   // Remove single character lines that are likely UI elements
-  cleaned = cleaned.replace(/^[^\w\s]{1,2}$/gm, '');
+  cleaned = cleaned.replace(/^[^\p{L}\p{M}\p{N}_\s]{1,2}$/gmu, '');
   
   // Remove lines with only symbols and special characters (UI elements)
-  cleaned = cleaned.replace(/^[^\w\s]{3,}$/gm, '');
+  cleaned = cleaned.replace(/^[^\p{L}\p{M}\p{N}_\s]{3,}$/gmu, '');
   
-  // Remove common UI element patterns
-  cleaned = cleaned.replace(/[€@®©™]/g, '');
+  // Remove common UI element patterns (author, engagement counts and buttons
+  // are separated out by the screenshot layout, see utils/screenshotLayout.js)
+  cleaned = cleaned.replace(/[€®©™]/g, '');
   cleaned = cleaned.replace(/[\[\]{}]/g, '');
   cleaned = cleaned.replace(/[""]/g, '"');
   cleaned = cleaned.replace(/['']/g, "'");
   
-  // Remove lines that are just numbers with "others" or "comments" (engagement metrics)
-  cleaned = cleaned.replace(/^\d+\s+(others?|comments?)$/gmi, '');
-  
-  // Remove common social media UI text patterns
-  cleaned = cleaned.replace(/and\s+\d+\s+others?\s+\d+\s+comments?/gi, '');
-  cleaned = cleaned.replace(/^\d+\s+comments?$/gmi, '');
-  
-  // Remove engagement metric patterns (e.g., "Baani Kaur Ahuja and 54 others 5 comments")
-  cleaned = cleaned.replace(/[A-Z][a-z]+\s+[A-Z][a-z]+\s+[A-Z][a-z]+.*and\s+\d+\s+others.*\d+\s+comments?/gi, '');
-  
   // Remove single character lines that are likely artifacts
   cleaned = cleaned.split('\n')
     .map(line => line.trim())
@@ -94,7 +92,7 @@ function cleanOCRText(text) {
       // Keep lines with at least 3 characters or meaningful content
       if (line.length < 3) return false;
       // Remove lines that are mostly symbols
-      const wordChars = line.match(/[a-zA-Z0-9]/g) || [];
+      const wordChars = line.match(/[\p{L}\p{M}\p{N}]/gu) || [];
       return wordChars.length >= line.length * 0.3;
     })
     .join('\n');
@@ -102,24 +100,7 @@ function cleanOCRText(text) {
   // Clean up whitespace
   cleaned = cleaned.replace(/\n{3,}/g, '\n\n');
   cleaned = cleaned.replace(/[ \t]+/g, ' ');
-  cleaned = cleaned.trim();
-  
-  // Remove lines that are just engagement metrics or UI buttons
-  const engagementPatterns = [
-    /^\d+\s*(like|comment|share|repost)/i,
-    /^(like|comment|share|repost|send)$/i,
-    /^[^\w]*$/,
-    /^[A-Z][a-z]+\s+[A-Z][a-z]+\s+and\s+\d+\s+others/i, // "Name and X others"
-  ];
-  
-  cleaned = cleaned.split('\n')
-    .filter(line => {
-      const trimmed = line.trim();
-      if (!trimmed) return false;
-      return !engagementPatterns.some(pattern => pattern.test(trimmed));
-    })
-    .join('\n');
-  
+
   return cleaned.trim();
 }
 
@@ -144,7 +125,7 @@ function scoreOCRQuality(text) {
   // Count lines with meaningful content
   const lines = text.split('\n').filter(l => l.trim().length > 0);
   const meaningfulLines = lines.filter(l => {
-    const wordChars = l.match(/[a-zA-Z0-9]/g) || [];
+    const wordChars = l.match(/[\p{L}\p{M}\p{N}]/gu) || [];
     return wordChars.length >= l.length * 0.4;
   }).length;
   const meaningfulRatio = lines.length > 0 ? meaningfulLines / lines.length : 0;
@@ -153,102 +134,260 @@ function scoreOCRQuality(text) {
   return (avgWordLength / 10 * 0.3) + (reasonableRatio * 0.4) + (meaningfulRatio * 0.3);
 }
 
+/**
+ * Build tesseract.js worker options for the local traineddata directory
+ * @param {string[]} tesseractCodes - Tesseract language codes (e.g. ["spa", "eng"])
+ * @returns {Promise<Object>} - Options for createWorker
+ */
+async function getWorkerOptions(tesseractCodes) {
+  let files;
+  try {
+    files = await fs.readdir(TESSDATA_DIR);
+  } catch (err) {
+    // No local traineddata, let tesseract.js fetch it
+    return {};
+  }
+
+  const missing = tesseractCodes.filter(code =>
+    !files.includes(`${code}.traineddata`) && !files.includes(`${code}.traineddata.gz`));
+  if (missing.length > 0) {
+    throw new Error(
+      `OCR language data not installed: ${missing.join(', ')}. ` +
+      `Add ${missing.map(code => `${code}.traineddata`).join(', ')} to ${TESSDATA_DIR}`
+    );
+  }
+
+  return {
+    langPath: TESSDATA_DIR,
+    gzip: tesseractCodes.every(code => files.includes(`${code}.traineddata.gz`)),
+    cacheMethod: 'none',
+  };
+}
+
+/**
+ * Create a Tesseract worker for one or more languages
+ * @param {string[]} languages - ISO 639-1 codes
+ */
+async function createOCRWorker(languages) {
+  const tesseractCodes = languages.map(code => LANGUAGES[code].tesseract);
+  const options = await getWorkerOptions(tesseractCodes);
+  return createWorker(tesseractCodes.join('+'), undefined, options);
+}
+
+/**
+ * Get a worker from the pool if one was provided, otherwise create a fresh one
+ */
+async function acquireWorker(languages, workerPool) {
+  return workerPool ? workerPool.acquire(languages) : createOCRWorker(languages);
+}
+
+/**
+ * Return a worker to the pool, or terminate it if it was created for one call
+ */
+async function releaseWorker(worker, workerPool) {
+  if (workerPool) {
+    workerPool.release(worker);
+  } else {
+    await worker.terminate();
+  }
+}
+
+/**
+ * List supported languages whose traineddata is available locally
+ */
+async function getInstalledLanguages() {
+  try {
+    const files = await fs.readdir(TESSDATA_DIR);
+    return Object.keys(LANGUAGES).filter(code =>
+      files.includes(`${LANGUAGES[code].tesseract}.traineddata`) ||
+      files.includes(`${LANGUAGES[code].tesseract}.traineddata.gz`));
+  } catch (err) {
+    return Object.keys(LANGUAGES);
+  }
+}
+
+/**
+ * Run a quick single OCR pass with every available language loaded and detect
+ * which language the text is written in
+ * @param {string} imagePath - Path to the (preprocessed) image
+ * @param {Object} [workerPool] - Optional worker pool to borrow a worker from
+ * @returns {Promise<string>} - ISO 639-1 code of the detected language
+ */
+async function detectImageLanguage(imagePath, workerPool) {
+  const candidates = await getInstalledLanguages();
+  const worker = await acquireWorker(candidates, workerPool);
+
+  try {
+    await worker.setParameters({ tessedit_pageseg_mode: '3' });
+    const { data: { text } } = await worker.recognize(imagePath);
+    return detectLanguage(text).language;
+  } finally {
+    await releaseWorker(worker, workerPool);
+  }
+}
+
+/**
+ * Normalize the requested OCR languages
+ * @param {string|string[]} [languages] - "auto", a comma-separated list, or an array of codes
+ * @returns {string[]|'auto'} - ISO 639-1 codes, or "auto"
+ */
+function normalizeOCRLanguages(languages) {
+  if (!languages) return ['en'];
+  if (languages === 'auto') return 'auto';
+
+  const list = Array.isArray(languages) ? languages : String(languages).split(/[,+]/);
+  if (list.some(code => String(code).trim().toLowerCase() === 'auto')) return 'auto';
+
+  const resolved = list.map(code => ({ code, resolved: resolveLanguage(code) }));
+  const unsupported = resolved.filter(entry => !entry.resolved).map(entry => entry.code);
+  if (unsupported.length > 0) {
+    throw new Error(`Unsupported OCR language: ${unsupported.join(', ')}`);
+  }
+
+  return [...new Set(resolved.map(entry => entry.resolved))];
+}
+
+/**
+ * Run every PSM configuration and keep the highest quality result
+ * @param {Object} worker - Initialized Tesseract worker
+ * @param {string} imagePath - Path to the (preprocessed) image
+ * @param {Function} [onProgress] - Called before each pass with { current, total, message }
+ * @param {boolean} [detectLayout] - Split post screenshots into author, body and engagement counts
+ * @returns {Promise<Object|undefined>} - Best { text, quality, config, screenshot }
+ */
+async function runOCRPasses(worker, imagePath, onProgress, detectLayout) {
+  // Try multiple PSM modes and configurations to get the best result
+  const configurations = [
+    {
+      name: 'PSM 6 - Single Block',
+      params: {
+        tessedit_pageseg_mode: '6', // Single uniform block (best for clean documents)
+        tessedit_ocr_engine_mode: '1', // Neural nets LSTM engine only
+      },
+    },
+    {
+      name: 'PSM 3 - Auto',
+      params: {
+        tessedit_pageseg_mode: '3', // Fully automatic page segmentation
+        tessedit_ocr_engine_mode: '1',
+      },
+    },
+    {
+      name: 'PSM 11 - Sparse',
+      params: {
+        tessedit_pageseg_mode: '11', // Sparse text (for screenshots)
+        tessedit_ocr_engine_mode: '1',
+      },
+    },
+    {
+      name: 'PSM 6 - Legacy',
+      params: {
+        tessedit_pageseg_mode: '6',
+        tessedit_ocr_engine_mode: '0', // Legacy engine only
+      },
+    },
+  ];
+
+  const results = [];
+
+  // Try each configuration
+  for (const [index, config] of configurations.entries()) {
+    if (onProgress) {
+      onProgress({
+        current: index + 1,
+        total: configurations.length,
+        message: `${config.name} (pass ${index + 1} of ${configurations.length})`,
+      });
+    }
+
+    try {
+      await worker.setParameters(config.params);
+      const { data: { text, blocks } } = await worker.recognize(imagePath, {}, { text: true, blocks: detectLayout });
+
+      // Screenshots of posts: keep only the post body as text, the rest as fields
+      const layout = detectLayout ? parseScreenshotLayout(flattenBlocks(blocks)) : null;
+      const cleanedText = cleanOCRText(layout ? layout.body : text);
+      const quality = scoreOCRQuality(cleanedText);
+
+      results.push({
+        text: cleanedText,
+        quality: quality,
+        config: config.name,
+        screenshot: layout
+          ? { author: layout.author, timestamp: layout.timestamp, metrics: layout.metrics }
+          : null,
+      });
+    } catch (err) {
+      console.error(`OCR failed with ${config.name}:`, err.message);
+    }
+  }
+
+  // Find the best result based on quality score
+  results.sort((a, b) => b.quality - a.quality);
+  return results[0];
+}
+
 /**
  * Extract text from image using OCR with improved configuration and preprocessing
  * @param {string} filePath - Path to the image file
- * @returns {Promise<string>} - Extracted text
+ * @param {Object} [options] - OCR options
+ * @param {string|string[]} [options.languages] - Language codes, or "auto" to detect (default: English)
+ * @param {Object} [options.workerPool] - Pool to borrow Tesseract workers from instead of creating one per call
+ * @param {Function} [options.onProgress] - Called with { stage, current, total, message } as OCR proceeds
+ * @param {boolean} [options.detectLayout=true] - Recognize post screenshots and separate the author,
+ *   timestamp and engagement counts from the post body
+ * @returns {Promise<Object>} - { text, screenshot }; screenshot is { author, timestamp, metrics },
+ *   or null if the image is not a post screenshot
  */
-async function extractTextFromImage(filePath) {
-  const worker = await createWorker('eng');
+async function extractTextFromImage(filePath, options = {}) {
   let preprocessedPath = null;
-  
+  let worker = null;
+
   try {
+    const { workerPool, onProgress } = options;
+    const reportProgress = (progress) => {
+      if (onProgress) onProgress(progress);
+    };
+    const requested = normalizeOCRLanguages(options.languages);
+
     // Preprocess image to improve OCR accuracy
+    reportProgress({ stage: 'preprocessing', message: 'Preprocessing image' });
     preprocessedPath = filePath.replace(/\.[^.]+$/, '_preprocessed.png');
     const imagePath = await preprocessImage(filePath, preprocessedPath);
-    
-    // Try multiple PSM modes and configurations to get the best result
-    const configurations = [
-      {
-        name: 'PSM 6 - Single Block',
-        params: {
-          tessedit_pageseg_mode: '6', // Single uniform block (best for clean documents)
-          tessedit_ocr_engine_mode: '1', // Neural nets LSTM engine only
-        },
-      },
-      {
-        name: 'PSM 3 - Auto',
-        params: {
-          tessedit_pageseg_mode: '3', // Fully automatic page segmentation
-          tessedit_ocr_engine_mode: '1',
-        },
-      },
-      {
-        name: 'PSM 11 - Sparse',
-        params: {
-          tessedit_pageseg_mode: '11', // Sparse text (for screenshots)
-          tessedit_ocr_engine_mode: '1',
-        },
-      },
-      {
-        name: 'PSM 6 - Legacy',
-        params: {
-          tessedit_pageseg_mode: '6',
-          tessedit_ocr_engine_mode: '0', // Legacy engine only
-        },
-      },
-    ];
-    
-    const results = [];
-    
-    // Try each configuration
-    for (const config of configurations) {
-      try {
-        await worker.setParameters(config.params);
-        const { data: { text } } = await worker.recognize(imagePath);
-        const cleanedText = cleanOCRText(text);
-        const quality = scoreOCRQuality(cleanedText);
-        
-        results.push({
-          text: cleanedText,
-          quality: quality,
-          config: config.name,
-        });
-      } catch (err) {
-        console.error(`OCR failed with ${config.name}:`, err.message);
-      }
+
+    // In auto mode, detect the language first, keeping English loaded for mixed posts
+    let languages = requested;
+    if (requested === 'auto') {
+      reportProgress({ stage: 'detecting-language', message: 'Detecting language' });
+      const detected = await detectImageLanguage(imagePath, workerPool);
+      const installed = await getInstalledLanguages();
+      languages = detected !== 'en' && installed.includes('en') ? [detected, 'en'] : [detected];
     }
-    
-    // Find the best result based on quality score
-    results.sort((a, b) => b.quality - a.quality);
-    const bestResult = results[0];
-    
+
+    worker = await acquireWorker(languages, workerPool);
+    const bestResult = await runOCRPasses(worker, imagePath, (pass) => {
+      reportProgress({ stage: 'ocr', ...pass });
+    }, options.detectLayout !== false);
+
     if (!bestResult || bestResult.text.length === 0) {
       throw new Error('No text could be extracted from the image');
     }
-    
-    await worker.terminate();
-    
-    // Clean up preprocessed image
-    if (preprocessedPath && preprocessedPath !== filePath) {
-      await fs.unlink(preprocessedPath).catch(() => {
-        // Ignore cleanup errors
-      });
-    }
-    
-    return bestResult.text;
+
+    return { text: bestResult.text, screenshot: bestResult.screenshot };
   } catch (error) {
-    await worker.terminate();
-    
-    // Clean up preprocessed image on error
+    throw new Error(`Failed to extract text from image: ${error.message}`);
+  } finally {
+    if (worker) {
+      await releaseWorker(worker, options.workerPool);
+    }
+
+    // Clean up preprocessed image
     if (preprocessedPath && preprocessedPath !== filePath) {
       await fs.unlink(preprocessedPath).catch(() => {
         // Ignore cleanup errors
       });
     }
-    
-    throw new Error(`Failed to extract text from image: ${error.message}`);
   }
 }
 
-module.exports = { extractTextFromImage };
+module.exports = { extractTextFromImage, normalizeOCRLanguages, createOCRWorker };
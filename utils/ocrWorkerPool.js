@@ -0,0 +1,90 @@
+const { createOCRWorker } = require('./ocrExtractor');
+
+// Number of Tesseract workers kept alive for background OCR jobs
+const POOL_SIZE = Math.max(1, parseInt(process.env.OCR_POOL_SIZE, 10) || 1);
+
+// Each entry: { worker, key, busy }
+const workers = [];
+// Callers waiting for a worker to become available
+const waiting = [];
+
+/**
+ * Acquire a Tesseract worker loaded with the given languages. Idle workers with
+ * the same languages are reused; otherwise a new worker is created (replacing an
+ * idle worker with other languages when the pool is full).
+ * @param {string[]} languages - ISO 639-1 codes
+ * @returns {Promise<Object>} - Tesseract worker; must be passed back to release()
+ */
+async function acquire(languages) {
+  const key = [...languages].sort().join('+');
+
+  const idle = workers.find(entry => !entry.busy && entry.key === key);
+  if (idle) {
+    idle.busy = true;
+    return idle.worker;
+  }
+
+  if (workers.length >= POOL_SIZE) {
+    const replaceable = workers.find(entry => !entry.busy);
+    if (!replaceable) {
+      // Wait for a release, then try again
+      await new Promise(resolve => waiting.push(resolve));
+      return acquire(languages);
+    }
+    workers.splice(workers.indexOf(replaceable), 1);
+    await replaceable.worker.terminate().catch(err => {
+      console.error('Error terminating OCR worker:', err.message);
+    });
+  }
+
+  // Reserve the slot before the (slow) worker initialization
+  const entry = { worker: null, key, busy: true };
+  workers.push(entry);
+  try {
+    entry.worker = await createOCRWorker(languages);
+  } catch (error) {
+    workers.splice(workers.indexOf(entry), 1);
+    wakeNext();
+    throw error;
+  }
+  return entry.worker;
+}
+
+/**
+ * Return a worker to the pool
+ * @param {Object} worker - Worker obtained from acquire()
+ */
+function release(worker) {
+  const entry = workers.find(candidate => candidate.worker === worker);
+  if (entry) {
+    entry.busy = false;
+  }
+  wakeNext();
+}
+
+/**
+ * Let the next waiting caller retry acquiring a worker
+ */
+function wakeNext() {
+  const next = waiting.shift();
+  if (next) next();
+}
+
+/**
+ * Terminate all workers (used on shutdown)
+ */
+async function terminateAll() {
+  const entries = workers.splice(0, workers.length);
+  await Promise.all(entries
+    .filter(entry => entry.worker)
+    .map(entry => entry.worker.terminate().catch(() => {
+      // Ignore termination errors on shutdown
+    })));
+}
+
+module.exports = {
+  POOL_SIZE,
+  acquire,
+  release,
+  terminateAll,
+};
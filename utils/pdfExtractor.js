@@ -1,5 +1,17 @@
 const pdfParse = require('pdf-parse');
+const { pdfToPng } = require('pdf-to-png-converter');
 const fs = require('fs').promises;
+const path = require('path');
+const { extractTextFromImage } = require('./ocrExtractor');
+
+// Pages with less text than this in their text layer are treated as scanned
+const MIN_PAGE_TEXT_LENGTH = 50;
+
+// Upper bound on pages sent through OCR for a single upload
+const MAX_OCR_PAGES = 20;
+
+// Render scale used when rasterizing pages for OCR (2x ~ 144 DPI)
+const OCR_VIEWPORT_SCALE = 2;
 
 /**
  * Extract text from PDF file with improved error handling
@@ -76,4 +88,197 @@ async function extractTextFromPDF(filePath) {
   }
 }
 
-module.exports = { extractTextFromPDF };
+/**
+ * Build text for a single page the same way pdf-parse does
+ */
+function renderPageText(pageData) {
+  return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    .then((textContent) => {
+      let lastY;
+      let text = '';
+      for (const item of textContent.items) {
+        if (lastY === item.transform[5] || !lastY) {
+          text += item.str;
+        } else {
+          text += '\n' + item.str;
+        }
+        lastY = item.transform[5];
+      }
+      return text;
+    });
+}
+
+/**
+ * Extract the text layer of each PDF page separately
+ * @param {string} filePath - Path to the PDF file
+ * @returns {Promise<Array<{pageNumber: number, text: string}>>} - Text per page
+ */
+async function extractPDFPages(filePath) {
+  const dataBuffer = await fs.readFile(filePath);
+  const pages = [];
+
+  await pdfParse(dataBuffer, {
+    max: 0,
+    pagerender: async (pageData) => {
+      const text = await renderPageText(pageData);
+      pages.push({ pageNumber: pageData.pageNumber, text: text.replace(/\n{3,}/g, '\n\n').trim() });
+      return text;
+    },
+  });
+
+  return pages.sort((a, b) => a.pageNumber - b.pageNumber);
+}
+
+/**
+ * Rasterize PDF pages to PNG files for OCR
+ * @param {string} filePath - Path to the PDF file
+ * @param {number[]} [pageNumbers] - 1-based pages to render (all pages if omitted)
+ * @returns {Promise<Array<{pageNumber: number, path: string}>>} - Rendered page images
+ */
+async function rasterizePDFPages(filePath, pageNumbers) {
+  const outputFolder = path.dirname(filePath);
+  const baseName = path.basename(filePath, path.extname(filePath));
+
+  const rendered = await pdfToPng(filePath, {
+    viewportScale: OCR_VIEWPORT_SCALE,
+    // pdf-to-png-converter resolves outputFolder against the working directory
+    outputFolder: path.relative(process.cwd(), outputFolder),
+    outputFileMaskFunc: (pageNumber) => `${baseName}_page_${pageNumber}.png`,
+    pagesToProcess: pageNumbers,
+    returnPageContent: false,
+  });
+
+  return rendered.map(page => ({ pageNumber: page.pageNumber, path: page.path }));
+}
+
+/**
+ * OCR a rasterized page, returning an empty string if nothing could be read
+ */
+async function ocrPage(imagePath, options) {
+  try {
+    // Scanned pages are documents, not post screenshots
+    const { text } = await extractTextFromImage(imagePath, { ...options, detectLayout: false });
+    return text;
+  } catch (error) {
+    console.warn(`OCR failed for ${path.basename(imagePath)}:`, error.message);
+    return '';
+  } finally {
+    await fs.unlink(imagePath).catch(() => {
+      // Ignore cleanup errors
+    });
+  }
+}
+
+/**
+ * Extract text from a PDF, falling back to OCR for scanned or image-only pages.
+ * Pages with a usable text layer are read directly; pages without one are
+ * rasterized and run through the image OCR pipeline. If the PDF cannot be
+ * parsed at all (e.g. XRef errors), every page is rasterized and OCR'd.
+ * @param {string} filePath - Path to the PDF file
+ * @param {Object} [options] - OCR options passed to extractTextFromImage (languages, workerPool, onProgress)
+ * @returns {Promise<Object>} - { text, extractionMethod, pages: [{ pageNumber, extractionMethod }] }
+ */
+async function extractTextFromPDFWithOCR(filePath, options = {}) {
+  let pages;
+  let parseError = null;
+
+  try {
+    pages = await extractPDFPages(filePath);
+  } catch (error) {
+    if (error.message.includes('password') || error.message.includes('encrypted')) {
+      throw new Error(
+        'PDF is password-protected or encrypted. Please remove the password and try again.'
+      );
+    }
+    // Text layer could not be read, so every page has to go through OCR
+    parseError = error;
+    pages = null;
+  }
+
+  // Decide which pages need OCR; without a text layer, the first MAX_OCR_PAGES
+  // pages (page numbers past the end of the document are skipped by the renderer)
+  const pagesNeedingOCR = pages
+    ? pages.filter(page => page.text.length < MIN_PAGE_TEXT_LENGTH).map(page => page.pageNumber)
+    : Array.from({ length: MAX_OCR_PAGES }, (_, index) => index + 1);
+
+  if (pagesNeedingOCR.length === 0) {
+    return buildPDFResult(pages.map(page => ({ ...page, extractionMethod: 'pdf' })));
+  }
+
+  let rendered;
+  try {
+    rendered = await rasterizePDFPages(filePath, pagesNeedingOCR.slice(0, MAX_OCR_PAGES));
+  } catch (renderError) {
+    if (parseError) {
+      throw new Error(
+        `PDF parsing error: The PDF file appears to have structural issues (${parseError.message}) ` +
+        `and could not be rendered for OCR (${renderError.message}).`
+      );
+    }
+    // Keep whatever the text layer gave us
+    console.warn('PDF rasterization failed, skipping OCR fallback:', renderError.message);
+    return buildPDFResult(pages.map(page => ({ ...page, extractionMethod: 'pdf' })));
+  }
+
+  // Without a text layer, OCR all rendered pages
+  if (!pages) {
+    pages = rendered.map(page => ({ pageNumber: page.pageNumber, text: '' }));
+  }
+
+  // OCR pages one at a time to keep memory use predictable
+  const ocrTextByPage = {};
+  for (const [index, page] of rendered.entries()) {
+    const onProgress = options.onProgress && ((progress) => options.onProgress({
+      ...progress,
+      page: page.pageNumber,
+      message: `Page ${index + 1} of ${rendered.length}: ${progress.message}`,
+    }));
+    ocrTextByPage[page.pageNumber] = await ocrPage(page.path, { ...options, onProgress });
+  }
+
+  const mergedPages = pages.map((page) => {
+    const ocrText = ocrTextByPage[page.pageNumber];
+    if (ocrText === undefined || ocrText.length <= page.text.length) {
+      return { ...page, extractionMethod: 'pdf' };
+    }
+    return {
+      pageNumber: page.pageNumber,
+      text: ocrText,
+      extractionMethod: page.text.length > 0 ? 'pdf+ocr' : 'ocr',
+    };
+  });
+
+  return buildPDFResult(mergedPages);
+}
+
+/**
+ * Stitch page texts together and summarize how each page was extracted
+ */
+function buildPDFResult(pages) {
+  const text = pages
+    .map(page => page.text)
+    .filter(pageText => pageText.length > 0)
+    .join('\n\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  const methods = new Set(pages.filter(page => page.text.length > 0).map(page => page.extractionMethod));
+  let extractionMethod = 'pdf';
+  if (methods.size === 1) {
+    extractionMethod = [...methods][0];
+  } else if (methods.size > 1) {
+    extractionMethod = 'pdf+ocr';
+  }
+
+  return {
+    text,
+    extractionMethod,
+    pages: pages.map(page => ({
+      pageNumber: page.pageNumber,
+      extractionMethod: page.extractionMethod,
+      charCount: page.text.length,
+    })),
+  };
+}
+
+module.exports = { extractTextFromPDF, extractTextFromPDFWithOCR };
@@ -0,0 +1,246 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+
+// Optional TrueType font with wider Unicode coverage (emoji-free scripts such
+// as Devanagari); the built-in Helvetica only covers Latin-1
+const REPORT_FONT_PATH = process.env.REPORT_FONT_PATH;
+
+const COLORS = {
+  text: '#1f2933',
+  muted: '#616e7c',
+  accent: '#2563eb',
+  good: '#15803d',
+  fair: '#b45309',
+  poor: '#b91c1c',
+  rule: '#d9dee4',
+};
+
+// Characters the built-in fonts can encode besides Latin-1
+const WIN_ANSI_EXTRAS = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+
+/**
+ * Register fonts on a document and return a text sanitizer for them
+ */
+function setupFonts(doc) {
+  if (REPORT_FONT_PATH && fs.existsSync(REPORT_FONT_PATH)) {
+    doc.registerFont('Body', REPORT_FONT_PATH);
+    doc.registerFont('Bold', REPORT_FONT_PATH);
+    return text => String(text);
+  }
+
+  doc.registerFont('Body', 'Helvetica');
+  doc.registerFont('Bold', 'Helvetica-Bold');
+  // Replace characters Helvetica cannot draw instead of printing garbage glyphs
+  return text => Array.from(String(text))
+    .map(char => (char.charCodeAt(0) <= 0xff || WIN_ANSI_EXTRAS.includes(char) ? char : '?'))
+    .join('')
+    .replace(/\?{2,}/g, '?');
+}
+
+/**
+ * Color for an engagement score
+ */
+function scoreColor(score) {
+  if (score >= 70) return COLORS.good;
+  if (score >= 40) return COLORS.fair;
+  return COLORS.poor;
+}
+
+/**
+ * Draw a section heading with a rule underneath
+ */
+function heading(doc, clean, title) {
+  doc.moveDown(0.8);
+  doc.font('Bold').fontSize(13).fillColor(COLORS.accent).text(clean(title));
+  const y = doc.y + 2;
+  doc.moveTo(doc.page.margins.left, y)
+    .lineTo(doc.page.width - doc.page.margins.right, y)
+    .strokeColor(COLORS.rule)
+    .lineWidth(1)
+    .stroke();
+  doc.moveDown(0.5);
+  doc.font('Body').fontSize(10).fillColor(COLORS.text);
+}
+
+/**
+ * Draw a bulleted list
+ */
+function bullets(doc, clean, items) {
+  items.forEach((item) => {
+    doc.font('Body').fontSize(10).fillColor(COLORS.text).text(clean(`•  ${item}`), { indent: 8 });
+  });
+}
+
+/**
+ * Draw the score breakdown as a table of factor, value, points and fix
+ */
+function breakdownTable(doc, clean, breakdown) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const columns = [
+    { label: 'Factor', width: width * 0.25 },
+    { label: 'Value', width: width * 0.15 },
+    { label: 'Points', width: width * 0.1 },
+    { label: 'How to improve', width: width * 0.5 },
+  ];
+
+  const drawRow = (cells, font, color) => {
+    const top = doc.y;
+    let x = left;
+    let rowHeight = 0;
+    cells.forEach((cell, index) => {
+      doc.font(font).fontSize(9).fillColor(color);
+      const options = { width: columns[index].width - 6 };
+      rowHeight = Math.max(rowHeight, doc.heightOfString(clean(cell), options));
+      doc.text(clean(cell), x, top, options);
+      x += columns[index].width;
+    });
+    doc.x = left;
+    doc.y = top + rowHeight + 4;
+  };
+
+  drawRow(columns.map(column => column.label), 'Bold', COLORS.muted);
+  breakdown.forEach((factor) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 40) {
+      doc.addPage();
+    }
+    const value = factor.value !== null && typeof factor.value === 'object'
+      ? JSON.stringify(factor.value)
+      : String(factor.value === undefined || factor.value === null ? '' : factor.value);
+    const points = factor.points > 0 ? `+${factor.points}` : String(factor.points);
+    drawRow([factor.label || factor.factor, value, points, factor.fix || '-'], 'Body', COLORS.text);
+  });
+}
+
+/**
+ * Draw one analysis: header, scores, original text, breakdown, suggestions
+ * and improved version
+ */
+function renderAnalysis(doc, clean, record) {
+  const analysis = record.analysis;
+
+  doc.font('Bold').fontSize(18).fillColor(COLORS.text).text(clean(record.fileName || 'Untitled post'));
+  const details = [
+    record.fileType ? record.fileType.toUpperCase() : null,
+    record.platform ? `Platform: ${record.platform}` : null,
+    record.language ? `Language: ${record.language}` : null,
+    record.createdAt ? new Date(record.createdAt).toISOString().slice(0, 10) : null,
+  ].filter(Boolean).join('  |  ');
+  doc.font('Body').fontSize(9).fillColor(COLORS.muted).text(clean(details));
+
+  doc.moveDown(0.6);
+  doc.font('Bold').fontSize(28).fillColor(scoreColor(analysis.engagementScore))
+    .text(`${analysis.engagementScore}`);
+  doc.font('Body').fontSize(9).fillColor(COLORS.muted).text('engagement score out of 100');
+
+  const summary = [
+    `Readability: ${analysis.readability}`,
+    analysis.readabilityMetrics && analysis.readabilityMetrics.fleschReadingEase !== undefined
+      ? `Flesch Reading Ease: ${analysis.readabilityMetrics.fleschReadingEase}` : null,
+    `Tone: ${analysis.toneFeedback}`,
+    analysis.sentiment && analysis.sentiment.label
+      ? `Sentiment: ${analysis.sentiment.label} (${analysis.sentiment.compound})` : null,
+    `Length: ${analysis.lengthFeedback}`,
+  ].filter(Boolean);
+  doc.moveDown(0.3);
+  bullets(doc, clean, summary);
+
+  heading(doc, clean, 'Original text');
+  doc.font('Body').fontSize(10).fillColor(COLORS.text).text(clean(record.extractedText || ''));
+
+  if (analysis.scoreBreakdown && analysis.scoreBreakdown.length > 0) {
+    heading(doc, clean, 'Score breakdown');
+    breakdownTable(doc, clean, analysis.scoreBreakdown);
+  }
+
+  const suggestions = [
+    ...(analysis.risks ? analysis.risks.findings : [])
+      .map(finding => `Risk (${finding.severity}): ${finding.message}`),
+    ...(analysis.brandLint ? analysis.brandLint.violations : []).map(violation => `Brand: ${violation.message}`),
+    ...(analysis.platformWarnings || []),
+    ...(analysis.entityFeedback || []),
+    ...(analysis.hashtagWarnings || []),
+    ...(analysis.ctaSuggestions || []).map(cta => `Call to action: ${cta}`),
+  ];
+  if (suggestions.length > 0 || (analysis.hashtagSuggestions || []).length > 0) {
+    heading(doc, clean, 'Suggestions');
+    bullets(doc, clean, suggestions);
+    if ((analysis.hashtagSuggestions || []).length > 0) {
+      doc.moveDown(0.3);
+      doc.font('Bold').fontSize(10).text('Hashtags: ', { continued: true })
+        .font('Body').text(clean(analysis.hashtagSuggestions.join(' ')));
+    }
+  }
+
+  heading(doc, clean, 'Improved version');
+  doc.font('Body').fontSize(10).fillColor(COLORS.text).text(clean(analysis.improvedVersion || ''));
+}
+
+/**
+ * Draw the cover page of a multi-analysis report
+ */
+function renderCover(doc, clean, title, records, summary) {
+  doc.font('Bold').fontSize(22).fillColor(COLORS.text).text(clean(title));
+  doc.font('Body').fontSize(10).fillColor(COLORS.muted)
+    .text(`${records.length} post${records.length === 1 ? '' : 's'}  |  generated ${new Date().toISOString().slice(0, 10)}`);
+
+  if (summary && summary.averageEngagementScore !== undefined) {
+    doc.moveDown(0.6);
+    doc.font('Body').fontSize(11).fillColor(COLORS.text)
+      .text(`Average engagement score: ${summary.averageEngagementScore}`);
+  }
+
+  heading(doc, clean, 'Posts');
+  records.forEach((record, index) => {
+    doc.font('Body').fontSize(10).fillColor(COLORS.text)
+      .text(clean(`${index + 1}. ${record.fileName}`), { continued: true })
+      .fillColor(scoreColor(record.analysis.engagementScore))
+      .text(`  ${record.analysis.engagementScore}`);
+  });
+}
+
+/**
+ * Create a PDF report for one or more analyses. The caller pipes the
+ * returned document to a stream; it is finalized before being returned.
+ * @param {Array<Object>} records - Analysis documents
+ * @param {Object} [options] - Report options
+ * @param {string} [options.title] - Report title (adds a cover page listing all posts)
+ * @param {Object} [options.summary] - Group summary shown on the cover page
+ * @returns {PDFDocument} - pdfkit document (a readable stream)
+ */
+function createReport(records, options = {}) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    bufferPages: true,
+    info: { Title: options.title || (records[0] && records[0].fileName) || 'Analysis report' },
+  });
+  const clean = setupFonts(doc);
+
+  if (options.title) {
+    renderCover(doc, clean, options.title, records, options.summary);
+  }
+
+  records.forEach((record, index) => {
+    if (options.title || index > 0) {
+      doc.addPage();
+    }
+    renderAnalysis(doc, clean, record);
+  });
+
+  // Page numbers in the footer
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font('Body').fontSize(8).fillColor(COLORS.muted)
+      .text(`Page ${i + 1} of ${range.count}`, 0, doc.page.height - 30, { align: 'center', width: doc.page.width });
+    doc.page.margins.bottom = bottom;
+  }
+
+  doc.end();
+  return doc;
+}
+
+module.exports = { createReport };
@@ -0,0 +1,182 @@
+const PERFORMANCE_METRICS = ['impressions', 'likes', 'comments', 'shares', 'clicks'];
+const MAX_IMPORT_ROWS = 5000;
+
+// CSV headers accepted for each field (lowercase, spaces and underscores ignored)
+const COLUMN_ALIASES = {
+  id: ['id', 'analysisid', '_id'],
+  impressions: ['impressions', 'views', 'reach'],
+  likes: ['likes', 'reactions'],
+  comments: ['comments', 'replies'],
+  shares: ['shares', 'reposts', 'retweets'],
+  clicks: ['clicks', 'linkclicks'],
+};
+
+/**
+ * Create a performance error that routes can return as a 400 response
+ */
+function performanceError(message, suggestion) {
+  const error = new Error(message);
+  error.status = 400;
+  error.suggestion = suggestion;
+  return error;
+}
+
+/**
+ * Parse a metric value: a non-negative whole number, or null when blank
+ */
+function parseMetric(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = typeof value === 'number' ? value : Number(String(value).replace(/[\s,_']/g, ''));
+  if (!Number.isFinite(number) || number < 0) {
+    throw performanceError(`${name} must be a non-negative number`, `Got "${value}"`);
+  }
+  return Math.round(number);
+}
+
+/**
+ * Validate actual post results entered by a user
+ * @param {Object} input - { impressions, likes, comments, shares, clicks }; at least one is required
+ * @returns {Object} - Metrics with null for the ones not given
+ */
+function normalizePerformance(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw performanceError('Performance must be an object', `Send any of: ${PERFORMANCE_METRICS.join(', ')}`);
+  }
+
+  const metrics = PERFORMANCE_METRICS.reduce((result, metric) => {
+    result[metric] = parseMetric(input[metric], metric);
+    return result;
+  }, {});
+
+  if (PERFORMANCE_METRICS.every(metric => metrics[metric] === null)) {
+    throw performanceError('No performance metrics given', `Send any of: ${PERFORMANCE_METRICS.join(', ')}`);
+  }
+  return metrics;
+}
+
+/**
+ * Total interactions (likes, comments, shares and clicks), or null if none are known
+ * @param {Object} performance - Recorded performance
+ * @returns {number|null} - Interactions
+ */
+function totalEngagements(performance) {
+  const known = ['likes', 'comments', 'shares', 'clicks'].filter(metric => typeof performance[metric] === 'number');
+  return known.length > 0 ? known.reduce((sum, metric) => sum + performance[metric], 0) : null;
+}
+
+/**
+ * Interactions per impression, or null without impressions
+ * @param {Object} performance - Recorded performance
+ * @returns {number|null} - Engagement rate (0-1)
+ */
+function engagementRate(performance) {
+  const engagements = totalEngagements(performance);
+  return performance.impressions > 0 && engagements !== null ? engagements / performance.impressions : null;
+}
+
+/**
+ * Split CSV text into rows of fields (RFC 4180 quoting, CRLF or LF line ends)
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let index = 0; index < input.length; index += 1) {
+    const char = input[index];
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') index += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Read performance rows from a CSV with an `id` column (the analysis ID, as in
+ * GET /api/export/analyses) and any of the metric columns. Other columns are
+ * ignored, so an exported file with the metrics filled in can be imported.
+ * @param {string} csv - CSV text with a header row
+ * @returns {Object} - { rows: [{ row, id, metrics }], errors: [{ row, id, error }] }
+ */
+function parsePerformanceCSV(csv) {
+  const [header, ...records] = parseCSV(csv);
+  if (!header || header.every(cell => cell.trim() === '')) {
+    throw performanceError('The CSV file is empty');
+  }
+
+  const columns = {};
+  header.forEach((name, index) => {
+    const key = name.trim().toLowerCase().replace(/[\s_]+/g, '');
+    Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+      if (aliases.includes(key) && columns[field] === undefined) columns[field] = index;
+    });
+  });
+
+  if (columns.id === undefined) {
+    throw performanceError('The CSV needs an "id" column with the analysis ID', 'Export your analyses as CSV, fill in the results and import that file');
+  }
+  if (!PERFORMANCE_METRICS.some(metric => columns[metric] !== undefined)) {
+    throw performanceError('The CSV has no performance columns', `Add any of: ${PERFORMANCE_METRICS.join(', ')}`);
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw performanceError(`Too many rows: ${records.length}`, `Import at most ${MAX_IMPORT_ROWS} rows at a time`);
+  }
+
+  const rows = [];
+  const errors = [];
+  records.forEach((record, index) => {
+    if (record.every(cell => cell.trim() === '')) return;
+    // Spreadsheet row numbers: the header is row 1
+    const row = index + 2;
+    // Exports prefix some cells with ' so spreadsheets do not run them as formulas
+    const cell = field => (columns[field] === undefined ? '' : (record[columns[field]] || '').trim().replace(/^'/, ''));
+    const id = cell('id');
+
+    try {
+      const values = PERFORMANCE_METRICS.reduce((result, metric) => {
+        if (columns[metric] !== undefined) result[metric] = cell(metric);
+        return result;
+      }, {});
+      rows.push({ row, id, metrics: normalizePerformance(values) });
+    } catch (error) {
+      errors.push({ row, id, error: error.message });
+    }
+  });
+
+  return { rows, errors };
+}
+
+module.exports = {
+  PERFORMANCE_METRICS,
+  normalizePerformance,
+  parsePerformanceCSV,
+  totalEngagements,
+  engagementRate,
+};
@@ -0,0 +1,164 @@
+const { extractEntities } = require('./entities');
+
+/**
+ * Platform-specific rules used to score a post for where it will be published.
+ *
+ * charLimit    - hard character limit for a single post
+ * foldAt       - characters shown before the post is cut off behind "see more"
+ * optimalWords - word range that tends to perform best on the platform
+ * hashtags     - recommended hashtag range, and whether a block of hashtags
+ *                at the end of the post is the norm (trailingBlock)
+ * maxEmojis    - emoji count above which posts start to look spammy
+ * links        - whether links are clickable in the post body, and whether
+ *                the platform is known to reduce reach for external links
+ */
+const PLATFORM_PROFILES = {
+  twitter: {
+    name: 'X',
+    charLimit: 280,
+    foldAt: null,
+    optimalWords: { min: 15, max: 40 },
+    hashtags: { min: 0, max: 2 },
+    maxEmojis: 3,
+    links: { clickable: true, reducesReach: true, countsAs: 23 },
+    ctaSuggestions: [
+      'For X: Use "Read more 👇" or start a thread with "🧵"',
+      'For X: Ask a direct question to invite replies',
+    ],
+  },
+  linkedin: {
+    name: 'LinkedIn',
+    charLimit: 3000,
+    foldAt: 210,
+    optimalWords: { min: 100, max: 250 },
+    hashtags: { min: 1, max: 5 },
+    maxEmojis: 5,
+    links: { clickable: true, reducesReach: true, countsAs: null },
+    ctaSuggestions: [
+      'For LinkedIn: Use "Learn more" or "Let\'s connect"',
+      'For LinkedIn: Move external links into the first comment',
+    ],
+  },
+  instagram: {
+    name: 'Instagram',
+    charLimit: 2200,
+    foldAt: 125,
+    optimalWords: { min: 30, max: 150 },
+    hashtags: { min: 3, max: 30, trailingBlock: true },
+    maxEmojis: 10,
+    links: { clickable: false, reducesReach: false, countsAs: null },
+    ctaSuggestions: [
+      'For Instagram: Use "Link in bio" instead of pasting URLs',
+      'For Instagram: Ask followers to save or share the post',
+    ],
+  },
+  threads: {
+    name: 'Threads',
+    charLimit: 500,
+    foldAt: null,
+    optimalWords: { min: 15, max: 80 },
+    hashtags: { min: 0, max: 1 },
+    maxEmojis: 5,
+    links: { clickable: true, reducesReach: false, countsAs: null },
+    ctaSuggestions: [
+      'For Threads: End with a conversational question',
+      'For Threads: Use a single topic tag instead of a hashtag block',
+    ],
+  },
+};
+
+const PLATFORM_ALIASES = {
+  x: 'twitter',
+  tweet: 'twitter',
+  ig: 'instagram',
+};
+
+/**
+ * Resolve a user-supplied platform name to a profile key
+ * @param {string} platform - Platform name or alias (e.g. "x", "LinkedIn")
+ * @returns {string|null} - Profile key, or null if the platform is unknown
+ */
+function resolvePlatform(platform) {
+  if (!platform || typeof platform !== 'string') return null;
+  const key = platform.trim().toLowerCase();
+  const resolved = PLATFORM_ALIASES[key] || key;
+  return PLATFORM_PROFILES[resolved] ? resolved : null;
+}
+
+/**
+ * Count characters the way the platform does (links may count as a fixed length)
+ */
+function countPlatformChars(text, profile, links) {
+  if (!profile.links.countsAs) {
+    return Array.from(text).length;
+  }
+  const linkChars = links.reduce((sum, link) => sum + Array.from(link.url).length, 0);
+  return Array.from(text).length - linkChars + links.length * profile.links.countsAs;
+}
+
+/**
+ * Check text against a platform's rules
+ * @param {string} text - The text to check
+ * @param {string} platform - Profile key returned by resolvePlatform
+ * @param {Object} [entities] - Result of extractEntities (extracted from the text if omitted)
+ * @returns {Object} - Measured values, warnings and a score adjustment
+ */
+function checkPlatformRules(text, platform, entities = extractEntities(text)) {
+  const profile = PLATFORM_PROFILES[platform];
+  const warnings = [];
+  let scoreAdjustment = 0;
+
+  const charCount = countPlatformChars(text, profile, entities.links);
+  const { hashtags: hashtagCount, emojis: emojiCount, links: linkCount } = entities.counts;
+
+  // Character limit
+  if (charCount > profile.charLimit) {
+    warnings.push(`Exceeds ${profile.name} limit by ${charCount - profile.charLimit} chars`);
+    scoreAdjustment -= 20;
+  }
+
+  // "See more" fold
+  if (profile.foldAt && charCount > profile.foldAt) {
+    const firstLine = text.trim().split('\n')[0];
+    if (Array.from(firstLine).length > profile.foldAt) {
+      warnings.push(`Opening line is cut off behind "see more" after ${profile.foldAt} chars - put the hook first`);
+      scoreAdjustment -= 5;
+    }
+  }
+
+  // Hashtag norms
+  if (hashtagCount > profile.hashtags.max) {
+    warnings.push(`${hashtagCount} hashtags is above the ${profile.name} norm of ${profile.hashtags.max}`);
+    scoreAdjustment -= 5;
+  } else if (hashtagCount < profile.hashtags.min) {
+    warnings.push(`Add at least ${profile.hashtags.min} hashtag${profile.hashtags.min > 1 ? 's' : ''} for ${profile.name} discovery`);
+  }
+
+  // Emoji tolerance
+  if (emojiCount > profile.maxEmojis) {
+    warnings.push(`${emojiCount} emojis is more than ${profile.name} audiences usually tolerate (${profile.maxEmojis})`);
+    scoreAdjustment -= 5;
+  }
+
+  // Link handling (reach penalties are scored with the other link feedback)
+  if (linkCount > 0 && !profile.links.clickable) {
+    warnings.push(`Links are not clickable in ${profile.name} captions - use "link in bio"`);
+    scoreAdjustment -= 5;
+  }
+
+  return {
+    charCount,
+    charLimit: profile.charLimit,
+    hashtagCount,
+    emojiCount,
+    linkCount,
+    warnings,
+    scoreAdjustment,
+  };
+}
+
+module.exports = {
+  PLATFORM_PROFILES,
+  resolvePlatform,
+  checkPlatformRules,
+};
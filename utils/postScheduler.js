@@ -0,0 +1,123 @@
+const ScheduledPost = require('../models/ScheduledPost');
+const { getPublisher } = require('./publishers');
+
+// How often due posts are looked for
+const POLL_INTERVAL_MS = 60 * 1000;
+
+// Posts that fail for reasons other than being rejected are retried this many times
+const MAX_ATTEMPTS = 3;
+
+// A post locked for longer than this was interrupted (e.g. by a restart)
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+let started = false;
+let running = false;
+
+/**
+ * Publish a locked post to every target platform it has not gone out on yet,
+ * and record the outcome. Platforms that succeeded are not published again on retry.
+ * @param {Object} post - ScheduledPost document (locked by the caller)
+ * @returns {Promise<Object>} - The updated post
+ */
+async function publishPost(post) {
+  const publisher = getPublisher();
+  const done = new Set(post.publications.map(publication => publication.platform));
+
+  for (const platform of post.platforms.filter(target => !done.has(target))) {
+    try {
+      const result = await publisher.publish({ post, platform, text: post.text, parts: post.parts });
+      post.publications.push({
+        platform,
+        publisher: publisher.name,
+        externalId: result.externalId,
+        url: result.url,
+        publishedAt: new Date(),
+      });
+    } catch (error) {
+      post.attempts += 1;
+      post.error = { message: error.message, platform, at: new Date() };
+      // Rejected posts need changes; other errors are retried on the next poll
+      if (error.status === 400 || post.attempts >= MAX_ATTEMPTS) {
+        post.status = 'failed';
+      }
+      post.lockedAt = null;
+      post.updatedAt = new Date();
+      await post.save();
+      return post;
+    }
+  }
+
+  post.status = 'published';
+  post.publishedAt = new Date();
+  post.error = undefined;
+  post.lockedAt = null;
+  post.updatedAt = new Date();
+  await post.save();
+  return post;
+}
+
+/**
+ * Atomically lock a post for publishing
+ * @param {Object} filter - Conditions the post must meet
+ * @returns {Promise<Object|null>} - Locked post, or null if none matched
+ */
+function lockPost(filter) {
+  return ScheduledPost.findOneAndUpdate(
+    { ...filter, lockedAt: null },
+    { $set: { lockedAt: new Date() } },
+    { sort: { publishAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Unlock posts whose publishing was interrupted so they are picked up again
+ */
+function releaseStaleLocks() {
+  return ScheduledPost.updateMany(
+    { lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } },
+    { $set: { lockedAt: null } }
+  );
+}
+
+/**
+ * Publish every scheduled post whose time has come, oldest first
+ */
+async function publishDuePosts() {
+  if (running) return;
+  running = true;
+
+  try {
+    await releaseStaleLocks();
+    // Posts that fail are retried on the next poll, not straight away
+    const attempted = [];
+    const nextDue = () => lockPost({ _id: { $nin: attempted }, status: 'scheduled', publishAt: { $lte: new Date() } });
+
+    let post = await nextDue();
+    while (post) {
+      attempted.push(post._id);
+      await publishPost(post);
+      post = await nextDue();
+    }
+  } catch (error) {
+    console.error('Post scheduler error:', error.message);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start publishing due posts in the background
+ */
+function startPostScheduler() {
+  if (started) return;
+
+  started = true;
+  setInterval(publishDuePosts, POLL_INTERVAL_MS).unref();
+  publishDuePosts();
+}
+
+module.exports = {
+  publishPost,
+  lockPost,
+  startPostScheduler,
+};
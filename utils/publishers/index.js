@@ -0,0 +1,35 @@
+const mockPublisher = require('./mockPublisher');
+
+// Publisher adapters by name. An adapter is { name, publish({ post, platform, text, parts }) }
+// where publish resolves to { externalId, url } and throws with status 400 when
+// the platform rejects the post (other errors are retried).
+const publishers = new Map([[mockPublisher.name, mockPublisher]]);
+
+/**
+ * Add a publisher adapter (e.g. one that calls a platform's API)
+ * @param {Object} adapter - { name, publish }
+ */
+function registerPublisher(adapter) {
+  if (!adapter || typeof adapter.name !== 'string' || typeof adapter.publish !== 'function') {
+    throw new Error('A publisher needs a name and a publish function');
+  }
+  publishers.set(adapter.name, adapter);
+}
+
+/**
+ * Get the publisher to use, set with the POST_PUBLISHER environment variable
+ * @param {string} [name] - Publisher name (default POST_PUBLISHER, or "mock")
+ * @returns {Object} - Publisher adapter
+ */
+function getPublisher(name = process.env.POST_PUBLISHER || mockPublisher.name) {
+  const publisher = publishers.get(name);
+  if (!publisher) {
+    throw new Error(`Unknown publisher: ${name}. Available: ${[...publishers.keys()].join(', ')}`);
+  }
+  return publisher;
+}
+
+module.exports = {
+  registerPublisher,
+  getPublisher,
+};
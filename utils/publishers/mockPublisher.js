@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const { PLATFORM_PROFILES, checkPlatformRules } = require('../platforms');
+
+// Posts "published" by this process, newest last (kept for local testing)
+const MAX_KEPT = 500;
+const published = [];
+
+/**
+ * Pretend to publish a post: checks the platform's character limit the way a
+ * real API would reject an over-long post, then records it in memory
+ * @param {Object} params - { platform, text, parts }
+ * @returns {Promise<Object>} - { externalId, url }
+ */
+async function publish({ platform, text, parts }) {
+  const items = parts && parts.length > 0 ? parts : [text];
+  items.forEach((item, index) => {
+    const check = checkPlatformRules(item, platform);
+    if (check.charCount > check.charLimit) {
+      const error = new Error(`${items.length > 1 ? `Part ${index + 1} is` : 'The post is'} too long for ${PLATFORM_PROFILES[platform].name} (${check.charCount}/${check.charLimit} chars)`);
+      error.status = 400;
+      throw error;
+    }
+  });
+
+  const externalId = crypto.randomBytes(8).toString('hex');
+  published.push({ externalId, platform, text, parts: items, publishedAt: new Date() });
+  if (published.length > MAX_KEPT) published.shift();
+
+  console.log(`[mock publisher] Published ${externalId} to ${PLATFORM_PROFILES[platform].name}`);
+  return { externalId, url: `mock://${platform}/posts/${externalId}` };
+}
+
+module.exports = {
+  name: 'mock',
+  publish,
+  published,
+};
@@ -0,0 +1,158 @@
+const URL_PATTERN = /\bhttps?:\/\/\S+|\bwww\.\S+/gi;
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}][\p{L}\p{M}\p{N}'’-]*/gu;
+const VOWEL_GROUP_PATTERN = /[aeiouyàáâäãåèéêëìíîïòóôöõùúûüœæ]+/g;
+
+// Number of sentences reported in the longest/hardest lists
+const FLAGGED_SENTENCE_COUNT = 3;
+
+/**
+ * Estimate the number of syllables in a word
+ * Uses vowel groups with the usual English silent-e adjustments; for
+ * non-Latin scripts it falls back to roughly one syllable per two letters.
+ * @param {string} word - A single word
+ * @returns {number} - Estimated syllable count (at least 1 for non-empty words)
+ */
+function countSyllables(word) {
+  const lower = word.toLowerCase();
+  const latin = lower.replace(/[^a-zàáâäãåèéêëìíîïòóôöõùúûüœæçñß]/g, '');
+
+  if (latin.length === 0) {
+    const letters = (lower.match(/\p{L}/gu) || []).length;
+    return letters === 0 ? 0 : Math.max(1, Math.round(letters / 2));
+  }
+  if (latin.length <= 3) return 1;
+
+  const trimmed = latin
+    .replace(/(?:[^laeiouy]es|[^laeiouytd]ed|[^laeiouy]e)$/, match => match.charAt(0))
+    .replace(/^y/, '');
+  const groups = trimmed.match(VOWEL_GROUP_PATTERN);
+  return Math.max(1, groups ? groups.length : 0);
+}
+
+/**
+ * Split text into sentences, keeping character offsets into the original text.
+ * Line breaks also end a sentence, since posts often omit final punctuation.
+ * @param {string} text - Text to split
+ * @returns {Array<{text: string, start: number, end: number}>} - Sentences with offsets
+ */
+function splitSentences(text) {
+  const sentences = [];
+  const pattern = /[^.!?\n]+(?:[.!?]+|$)/gm;
+  // Mask URLs (same length, so offsets still line up) so their dots don't end sentences
+  const masked = text.replace(URL_PATTERN, url => 'x'.repeat(url.length));
+  let match;
+
+  while ((match = pattern.exec(masked)) !== null) {
+    const raw = text.slice(match.index, match.index + match[0].length);
+    const leading = raw.length - raw.trimStart().length;
+    const sentence = raw.trim();
+    if (sentence.length > 0 && WORD_PATTERN.test(sentence)) {
+      const start = match.index + leading;
+      sentences.push({ text: sentence, start, end: start + sentence.length });
+    }
+    WORD_PATTERN.lastIndex = 0;
+  }
+
+  return sentences;
+}
+
+/**
+ * Count words, syllables, letters and complex (3+ syllable) words
+ */
+function countText(text) {
+  const words = text.replace(URL_PATTERN, ' ').match(WORD_PATTERN) || [];
+  let syllables = 0;
+  let complexWords = 0;
+  let letters = 0;
+
+  words.forEach((word) => {
+    const wordSyllables = countSyllables(word);
+    syllables += wordSyllables;
+    if (wordSyllables >= 3) complexWords += 1;
+    letters += (word.match(/[\p{L}\p{N}]/gu) || []).length;
+  });
+
+  return { words: words.length, syllables, complexWords, letters };
+}
+
+/**
+ * Round to one decimal place
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Flesch-Kincaid grade for a single sentence
+ */
+function sentenceGrade(counts) {
+  if (counts.words === 0) return 0;
+  return 0.39 * counts.words + 11.8 * (counts.syllables / counts.words) - 15.59;
+}
+
+/**
+ * Compute standard readability formulas and flag the longest and hardest sentences
+ * @param {string} text - Text to assess
+ * @returns {Object} - Flesch Reading Ease, Flesch-Kincaid Grade, Gunning Fog,
+ *   SMOG, Coleman-Liau, counts, and flagged sentences with character offsets
+ */
+function analyzeReadability(text) {
+  const sentences = splitSentences(text);
+  const counts = countText(text);
+  const sentenceCount = Math.max(sentences.length, 1);
+  const wordCount = Math.max(counts.words, 1);
+
+  const wordsPerSentence = counts.words / sentenceCount;
+  const syllablesPerWord = counts.syllables / wordCount;
+
+  const fleschReadingEase = 206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord;
+  const fleschKincaidGrade = 0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59;
+  const gunningFog = 0.4 * (wordsPerSentence + 100 * (counts.complexWords / wordCount));
+  const smog = 1.043 * Math.sqrt(counts.complexWords * (30 / sentenceCount)) + 3.1291;
+  const colemanLiau = 0.0588 * (counts.letters / wordCount * 100) - 0.296 * (sentenceCount / wordCount * 100) - 15.8;
+
+  const grades = [fleschKincaidGrade, gunningFog, smog, colemanLiau];
+  const averageGrade = grades.reduce((sum, grade) => sum + grade, 0) / grades.length;
+
+  const scoredSentences = sentences.map((sentence) => {
+    const sentenceCounts = countText(sentence.text);
+    return {
+      ...sentence,
+      wordCount: sentenceCounts.words,
+      grade: round(Math.max(0, sentenceGrade(sentenceCounts))),
+    };
+  });
+
+  const longestSentences = [...scoredSentences]
+    .sort((a, b) => b.wordCount - a.wordCount)
+    .slice(0, FLAGGED_SENTENCE_COUNT);
+
+  const hardestSentences = [...scoredSentences]
+    .filter(sentence => sentence.wordCount >= 3)
+    .sort((a, b) => b.grade - a.grade)
+    .slice(0, FLAGGED_SENTENCE_COUNT);
+
+  return {
+    fleschReadingEase: round(Math.max(0, Math.min(121.2, fleschReadingEase))),
+    fleschKincaidGrade: round(Math.max(0, fleschKincaidGrade)),
+    gunningFog: round(gunningFog),
+    smog: round(smog),
+    colemanLiau: round(Math.max(0, colemanLiau)),
+    averageGrade: round(Math.max(0, averageGrade)),
+    counts: {
+      sentences: sentences.length,
+      words: counts.words,
+      syllables: counts.syllables,
+      complexWords: counts.complexWords,
+      letters: counts.letters,
+    },
+    longestSentences,
+    hardestSentences,
+  };
+}
+
+module.exports = {
+  countSyllables,
+  splitSentences,
+  analyzeReadability,
+};
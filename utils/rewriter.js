@@ -0,0 +1,254 @@
+const rewriteLexicon = require('../data/lexicons/rewrite.en.json');
+const { splitSentences } = require('./readability');
+const { analyzeSentiment } = require('./sentiment');
+
+const THREAD_CHAR_LIMIT = 280;
+const MIN_BULLET_SENTENCES = 3;
+
+const STRATEGIES = {
+  tighten: 'Tightened',
+  hookFirst: 'Hook first',
+  thread: 'Thread for X',
+  bullets: 'Scannable bullets',
+};
+
+const HASHTAG_LINE_PATTERN = /^(?:#[\p{L}\p{N}_]+[\s,]*)+$/u;
+
+/**
+ * Escape a string for use inside a regular expression
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Match a word or phrase on word boundaries (Unicode-aware)
+ */
+function phrasePattern(phrase) {
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(phrase).replace(/ /g, '\\s+')}(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+// Longest phrases first so "due to the fact that" wins over "the fact that"
+const PHRASE_REPLACEMENTS = Object.entries(rewriteLexicon.phrases)
+  .sort((a, b) => b[0].length - a[0].length)
+  .map(([phrase, replacement]) => ({ pattern: phrasePattern(phrase), replacement }));
+
+const FILLER_PATTERNS = rewriteLexicon.fillers.map(phrasePattern);
+
+// Words that are only filler at the start of a sentence ("Just wanted to say",
+// "I mean, ...") or as an aside between commas; elsewhere they carry meaning
+// ("it's just right", "what I mean is")
+const OPENING_FILLER_PATTERNS = rewriteLexicon.openingFillers.flatMap((phrase) => {
+  const escaped = escapeRegExp(phrase).replace(/ /g, '\\s+');
+  return [
+    { pattern: new RegExp(`(^|[.!?]\\s+)${escaped}(?:\\s*,)?\\s+`, 'gimu'), replacement: '$1' },
+    { pattern: new RegExp(`,\\s*${escaped}\\s*,`, 'giu'), replacement: '' },
+  ];
+});
+
+/**
+ * Tidy spacing and punctuation left behind by removals, and capitalize sentence starts
+ */
+function tidy(text) {
+  return text
+    .split('\n')
+    .map(line => line
+      .replace(/[ \t]{2,}/g, ' ')
+      .replace(/\s+([,.!?;:])/g, '$1')
+      .replace(/([,;:])(?=[.!?])/g, '')
+      .replace(/^([,;:]\s*)+/, '')
+      .replace(/(^|[.!?]\s+)(\p{Ll})/gu, (match, before, letter) => before + letter.toUpperCase())
+      .trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Separate trailing hashtag-only lines/sentences from the body of a post
+ */
+function splitHashtags(text) {
+  const sentences = splitSentences(text);
+  const bodySentences = sentences.filter(sentence => !HASHTAG_LINE_PATTERN.test(sentence.text));
+  const hashtags = sentences.filter(sentence => HASHTAG_LINE_PATTERN.test(sentence.text)).map(s => s.text);
+  return { sentences: bodySentences.map(sentence => sentence.text), hashtags: hashtags.join(' ') };
+}
+
+/**
+ * Remove filler words and replace redundant phrases (English only)
+ */
+function tighten(text, language) {
+  if (language !== 'en') {
+    return tidy(text);
+  }
+
+  let tightened = text;
+  PHRASE_REPLACEMENTS.forEach(({ pattern, replacement }) => {
+    tightened = tightened.replace(pattern, replacement);
+  });
+  FILLER_PATTERNS.forEach((pattern) => {
+    tightened = tightened.replace(pattern, '');
+  });
+  OPENING_FILLER_PATTERNS.forEach(({ pattern, replacement }) => {
+    tightened = tightened.replace(pattern, replacement);
+  });
+  return tidy(tightened);
+}
+
+/**
+ * Rate how well a sentence works as an opening line: questions, numbers,
+ * hook words and strong sentiment make a sentence stand out
+ */
+function hookStrength(sentence, language, lexicon) {
+  let strength = 0;
+  if (sentence.includes('?')) strength += 2;
+  if (/\p{N}/u.test(sentence)) strength += 2;
+  if (sentence.includes('!')) strength += 1;
+
+  const lower = sentence.toLowerCase();
+  const hookWords = language === 'en' ? rewriteLexicon.hookWords : [];
+  [...hookWords, ...lexicon.positiveWords].forEach((word) => {
+    if (phrasePattern(word).test(lower)) strength += 1;
+  });
+
+  strength += Math.abs(analyzeSentiment(sentence, language).compound) * 2;
+
+  // Very long sentences make weak hooks
+  const words = sentence.split(/\s+/).length;
+  if (words > 25) strength -= 2;
+  return strength;
+}
+
+/**
+ * Move the strongest sentence to the top
+ */
+function hookFirst(text, language, lexicon) {
+  const { sentences, hashtags } = splitHashtags(text);
+  if (sentences.length < 2) return null;
+
+  const strengths = sentences.map(sentence => hookStrength(sentence, language, lexicon));
+  const strongest = strengths.indexOf(Math.max(...strengths));
+  if (strongest === 0) return null;
+
+  const [hook] = sentences.splice(strongest, 1);
+  return tidy([hook, '', sentences.join(' '), hashtags ? `\n${hashtags}` : ''].join('\n'));
+}
+
+/**
+ * Split text into chunks no longer than `limit` characters, breaking on words
+ */
+function chunkByWords(text, limit) {
+  const chunks = [];
+  let current = '';
+  text.split(/\s+/).filter(Boolean).forEach((word) => {
+    const piece = word.length > limit ? word.slice(0, limit) : word;
+    if (current && current.length + 1 + piece.length > limit) {
+      chunks.push(current);
+      current = piece;
+    } else {
+      current = current ? `${current} ${piece}` : piece;
+    }
+  });
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Split a post into numbered parts of at most 280 characters ("1/4" suffixes
+ * included), packing whole sentences where they fit
+ * @param {string} text - Post text
+ * @returns {string[]} - Thread parts, or a single part if the text already fits
+ */
+function splitThread(text) {
+  const trimmed = text.trim();
+  if (trimmed.length <= THREAD_CHAR_LIMIT) {
+    return [trimmed];
+  }
+
+  const { sentences, hashtags } = splitHashtags(trimmed);
+  // Room for " 99/99" after each part
+  const budget = THREAD_CHAR_LIMIT - 6;
+  const parts = [];
+  let current = '';
+
+  sentences.forEach((sentence) => {
+    const pieces = sentence.length > budget ? chunkByWords(sentence, budget) : [sentence];
+    pieces.forEach((piece) => {
+      if (current && current.length + 1 + piece.length > budget) {
+        parts.push(current);
+        current = piece;
+      } else {
+        current = current ? `${current} ${piece}` : piece;
+      }
+    });
+  });
+  if (current) parts.push(current);
+
+  // Hashtags go on the last part if they fit, otherwise on their own
+  if (hashtags) {
+    const last = parts[parts.length - 1];
+    if (last.length + 1 + hashtags.length <= budget) {
+      parts[parts.length - 1] = `${last} ${hashtags}`;
+    } else {
+      parts.push(...chunkByWords(hashtags, budget));
+    }
+  }
+
+  return parts.map((part, index) => `${part} ${index + 1}/${parts.length}`);
+}
+
+/**
+ * Turn a post into an intro line followed by bullet points
+ */
+function bullets(text) {
+  const { sentences, hashtags } = splitHashtags(text);
+  if (sentences.length < MIN_BULLET_SENTENCES) return null;
+
+  const [intro, ...points] = sentences;
+  const lines = points.map(point => `• ${point.replace(/[.;]+$/, '')}`);
+  return tidy([intro, '', ...lines, hashtags ? `\n${hashtags}` : ''].join('\n'));
+}
+
+/**
+ * Produce labelled rewrites of a post. Strategies that would not change the
+ * text (e.g. the first sentence is already the strongest) are left out.
+ * @param {string} text - Post text
+ * @param {Object} options - Rewrite options
+ * @param {string} options.language - ISO 639-1 code (tightening only applies to English)
+ * @param {Object} options.lexicon - Language lexicon from utils/languages.js
+ * @param {string[]} [options.strategies] - Subset of tighten, hookFirst, thread, bullets
+ * @returns {Array<{strategy: string, label: string, text: string, parts?: string[]}>} - Rewrites
+ */
+function generateRewrites(text, { language, lexicon, strategies = Object.keys(STRATEGIES) }) {
+  const original = text.trim();
+  const rewrites = [];
+
+  strategies.forEach((strategy) => {
+    let rewritten = null;
+    let parts;
+
+    if (strategy === 'tighten') {
+      rewritten = tighten(original, language);
+    } else if (strategy === 'hookFirst') {
+      rewritten = hookFirst(original, language, lexicon);
+    } else if (strategy === 'thread') {
+      parts = splitThread(original);
+      rewritten = parts.length > 1 ? parts.join('\n\n') : null;
+    } else if (strategy === 'bullets') {
+      rewritten = bullets(original);
+    }
+
+    if (rewritten && rewritten !== original) {
+      rewrites.push({ strategy, label: STRATEGIES[strategy], text: rewritten, ...(parts ? { parts } : {}) });
+    }
+  });
+
+  return rewrites;
+}
+
+module.exports = {
+  REWRITE_STRATEGIES: Object.keys(STRATEGIES),
+  THREAD_CHAR_LIMIT,
+  generateRewrites,
+  splitThread,
+};
@@ -0,0 +1,286 @@
+const { extractEntities } = require('./entities');
+
+const RISK_CATEGORIES = ['disclosure', 'claim', 'pii'];
+const SEVERITIES = ['high', 'medium', 'low'];
+
+// Signs that a post is paid, gifted or earns a commission
+const SPONSORSHIP_SIGNALS = [
+  /\b(?:partnered|partnering|teamed up) with\b/giu,
+  /\bin (?:paid )?(?:partnership|collaboration|collab) with\b/giu,
+  /\bthanks? (?:you )?to @?[\p{L}\p{N}_.]+ for (?:sponsoring|sending|gifting|the free)\b/giu,
+  /\b(?:use|with) (?:my|our) (?:code|link)\b/giu,
+  /\b(?:discount|promo|coupon|referral) (?:code|link)\b/giu,
+  /\b(?:gifted|pr package|sent (?:me|us) (?:this|these) for free)\b/giu,
+];
+// Affiliate networks and tracking parameters in links
+const AFFILIATE_DOMAINS = ['amzn.to', 'rstyle.me', 'shareasale.com', 'go.skimresources.com', 'click.linksynergy.com', 'awin1.com', 'shopstyle.it', 'howl.me', 'liketk.it'];
+const AFFILIATE_PARAMS = /[?&](?:tag|ref|aff|affid|affiliate|aff_id|irclickid)=/i;
+
+// Disclosures that regulators accept when they are easy to see
+const DISCLOSURE_HASHTAGS = ['#ad', '#advert', '#advertisement', '#sponsored', '#paidpartnership', '#paidpartner', '#affiliate', '#gifted', '#brandpartner', '#partner'];
+const DISCLOSURE_PHRASES = /^\s*(?:ad|advert|sponsored)\b\s*[:|-]|\b(?:paid partnership|sponsored by|this (?:post|video) is sponsored|advertisement|affiliate links?|(?:i|we) (?:may )?(?:earn|receive|get) (?:a )?(?:small )?commission)\b/iu;
+// Platforms cut captions around here behind "see more"
+const VISIBLE_CHARS = 125;
+const BURIED_AMONG_HASHTAGS = 3;
+
+// Absolute claims that need evidence or are not allowed at all
+const CLAIM_RULES = [
+  { type: 'healthClaim', severity: 'high', pattern: /\b(?:cures?|cured|curing) (?:your |my |the )?(?:cancer|diabetes|anxiety|depression|acne|arthritis|covid|disease|illness|pain|insomnia)\b/giu },
+  { type: 'healthClaim', severity: 'high', pattern: /\b(?:miracle (?:cure|pill|drug|supplement)|no side[- ]effects|100% (?:effective|safe|natural))\b/giu },
+  { type: 'healthClaim', severity: 'high', pattern: /\b(?:prevents?|treats?|reverses?|heals?) (?:cancer|diabetes|heart disease|alzheimer'?s|covid|depression|anxiety|dementia)\b/giu },
+  { type: 'healthClaim', severity: 'high', pattern: /\blose \d+\s*(?:lbs?|pounds|kg|kilos?) in \d+\s*(?:days?|weeks?)\b/giu },
+  { type: 'healthClaim', severity: 'medium', pattern: /\b(?:clinically proven|doctor[- ]recommended|fda[- ]approved|boosts? (?:your )?immun(?:e system|ity)|detox(?:es|ify)? your body)\b/giu },
+  { type: 'financeClaim', severity: 'high', pattern: /\bguaranteed (?:returns?|profits?|income|gains|winnings)\b/giu },
+  { type: 'financeClaim', severity: 'high', pattern: /\b(?:risk[- ]free (?:investment|returns?|profits?|trading)|get rich quick|double your money|(?:you )?can(?:'|no)t lose|zero risk)\b/giu },
+  { type: 'financeClaim', severity: 'medium', pattern: /\b\d+(?:\.\d+)?% (?:monthly |weekly |daily |annual )?(?:returns?|roi|profit)\b/giu },
+  { type: 'financeClaim', severity: 'low', pattern: /\b(?:passive income|financial freedom|quit your (?:job|9-5))\b/giu },
+  { type: 'absoluteClaim', severity: 'medium', pattern: /\b(?:guaranteed results|results guaranteed|100% guaranteed|works every time|never fails)\b/giu },
+];
+const CLAIM_MESSAGES = {
+  healthClaim: 'Absolute health claim',
+  financeClaim: 'Financial promise',
+  absoluteClaim: 'Absolute claim',
+};
+const CLAIM_SUGGESTIONS = {
+  healthClaim: 'Remove it, or soften it ("may help") and link to the evidence',
+  financeClaim: 'Remove it or add a risk warning; returns are never guaranteed',
+  absoluteClaim: 'Soften it, or say what the guarantee covers',
+};
+
+// Personal data
+const EMAIL_PATTERN = /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu;
+const CARD_PATTERN = /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g;
+const NATIONAL_ID_PATTERN = /(?<![\d-])(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}(?![\d-])/g;
+const PHONE_PATTERN = /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]\d{2,5}){1,4}(?![\w])/g;
+const DATE_PATTERN = /^\d{1,4}[./-]\d{1,2}[./-]\d{1,4}$/;
+// Runs of years such as "2023 2024 2025" or "1999-2000"
+const YEAR_RUN_PATTERN = /^(?:19|20)\d{2}(?:[\s.-]+(?:19|20)\d{2})+$/;
+const MIN_PHONE_DIGITS = 9;
+const MAX_PHONE_DIGITS = 15;
+
+const PII_TYPES = {
+  email: { severity: 'medium', label: 'Email address', placeholder: '[redacted email]' },
+  phone: { severity: 'medium', label: 'Phone number', placeholder: '[redacted phone]' },
+  cardNumber: { severity: 'high', label: 'Card number', placeholder: '[redacted card number]' },
+  nationalId: { severity: 'high', label: 'ID number', placeholder: '[redacted ID number]' },
+};
+
+/**
+ * Find every match of a global pattern with its character offsets
+ */
+function findAll(text, pattern) {
+  return [...text.matchAll(pattern)].map(match => ({
+    text: match[0],
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+}
+
+/**
+ * True if a match overlaps one of the given ranges
+ */
+function overlaps(match, ranges) {
+  return ranges.some(range => match.start < range.end && match.end > range.start);
+}
+
+/**
+ * Luhn checksum used by payment card numbers
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let index = 0; index < digits.length; index += 1) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Hide most of a detected value so findings can be stored and shown safely
+ */
+function maskValue(type, value) {
+  if (type === 'email') {
+    const [local, domain] = value.split('@');
+    return `${local[0]}***@${domain}`;
+  }
+  const digits = value.replace(/\D/g, '');
+  return `${'*'.repeat(Math.max(digits.length - 4, 0))}${digits.slice(-4)}`;
+}
+
+/**
+ * Emails, phone numbers, card numbers and ID numbers in the text, with offsets.
+ * Card numbers must pass the Luhn check; dates, runs of years and numbers inside links are ignored.
+ * @param {string} text - Text to scan
+ * @param {Object[]} [skipRanges] - Ranges to ignore (e.g. links)
+ * @returns {Array<{type: string, text: string, start: number, end: number}>} - Matches, in text order
+ */
+function findPII(text, skipRanges = []) {
+  const found = [];
+  const keep = (type, matches) => {
+    matches
+      .filter(match => !overlaps(match, skipRanges) && !overlaps(match, found))
+      .forEach(match => found.push({ type, ...match }));
+  };
+
+  keep('email', findAll(text, EMAIL_PATTERN));
+  keep('nationalId', findAll(text, NATIONAL_ID_PATTERN));
+  keep('cardNumber', findAll(text, CARD_PATTERN).filter((match) => {
+    const digits = match.text.replace(/\D/g, '');
+    return digits.length >= 13 && digits.length <= 19 && !/^(\d)\1+$/.test(digits) && passesLuhn(digits);
+  }));
+  keep('phone', findAll(text, PHONE_PATTERN).filter((match) => {
+    const digits = match.text.replace(/\D/g, '');
+    return digits.length >= MIN_PHONE_DIGITS && digits.length <= MAX_PHONE_DIGITS &&
+      !DATE_PATTERN.test(match.text) && !YEAR_RUN_PATTERN.test(match.text);
+  }));
+
+  return found.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Sponsorship signals without a clear #ad / #sponsored style disclosure
+ */
+function checkDisclosure(text, entities) {
+  const signals = SPONSORSHIP_SIGNALS.flatMap(pattern => findAll(text, pattern));
+  entities.links
+    .filter(link => AFFILIATE_DOMAINS.includes(link.domain) || AFFILIATE_PARAMS.test(link.url))
+    .forEach(link => signals.push({ text: link.url, start: link.start, end: link.end }));
+  if (signals.length === 0) return [];
+  signals.sort((a, b) => a.start - b.start);
+
+  const disclosureTags = entities.hashtags.filter(hashtag => DISCLOSURE_HASHTAGS.includes(hashtag.tag));
+  const phrase = text.match(DISCLOSURE_PHRASES);
+  const first = signals[0];
+
+  if (disclosureTags.length === 0 && !phrase) {
+    return [{
+      category: 'disclosure',
+      type: 'missingDisclosure',
+      severity: 'high',
+      message: `"${first.text}" suggests a paid, gifted or affiliate post, but there is no disclosure`,
+      suggestion: 'Start the post with #ad, #sponsored or "Paid partnership"',
+      text: first.text,
+      start: first.start,
+      end: first.end,
+    }];
+  }
+
+  // A disclosure only counts if people see it: before "see more" and not lost in a hashtag block
+  const trailing = entities.hashtags.filter(hashtag => hashtag.position === 'trailing').length;
+  const visible = (phrase && phrase.index < VISIBLE_CHARS) ||
+    disclosureTags.some(tag => tag.start < VISIBLE_CHARS && (tag.position === 'inline' || trailing < BURIED_AMONG_HASHTAGS));
+  if (visible) return [];
+
+  const disclosure = disclosureTags[0] || { text: phrase[0], start: phrase.index, end: phrase.index + phrase[0].length };
+  return [{
+    category: 'disclosure',
+    type: 'buriedDisclosure',
+    severity: 'medium',
+    message: `The disclosure "${disclosure.text.trim()}" is easy to miss`,
+    suggestion: `Move it into the first ${VISIBLE_CHARS} characters, outside the hashtag block`,
+    text: disclosure.text,
+    start: disclosure.start,
+    end: disclosure.end,
+  }];
+}
+
+/**
+ * Absolute health, finance and results claims
+ */
+function checkClaims(text) {
+  const findings = [];
+  CLAIM_RULES.forEach((rule) => {
+    findAll(text, rule.pattern)
+      .filter(match => !overlaps(match, findings))
+      .forEach((match) => {
+        findings.push({
+          category: 'claim',
+          type: rule.type,
+          severity: rule.severity,
+          message: `${CLAIM_MESSAGES[rule.type]}: "${match.text}"`,
+          suggestion: CLAIM_SUGGESTIONS[rule.type],
+          ...match,
+        });
+      });
+  });
+  return findings;
+}
+
+/**
+ * Scan text for compliance risks: missing or buried sponsorship disclosures,
+ * absolute health/finance claims and personal data (emails, phone numbers,
+ * card and ID numbers). Personal data is masked in the findings.
+ * @param {string} text - Text to scan
+ * @param {Object} [entities] - Entities of the text, if already extracted
+ * @returns {Object} - { level: 'high'|'medium'|'low'|'none', findings: [{ category, type, severity,
+ *   message, suggestion, text, start, end }], counts: { high, medium, low } }
+ */
+function scanRisks(text, entities = extractEntities(text)) {
+  const pii = findPII(text, entities.links).map(match => ({
+    category: 'pii',
+    type: match.type,
+    severity: PII_TYPES[match.type].severity,
+    message: `${PII_TYPES[match.type].label} found: ${maskValue(match.type, match.text)}`,
+    suggestion: 'Remove it, or save the analysis with redactPII: true',
+    text: maskValue(match.type, match.text),
+    start: match.start,
+    end: match.end,
+  }));
+
+  const findings = [...checkDisclosure(text, entities), ...checkClaims(text), ...pii]
+    .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || a.start - b.start);
+
+  const counts = SEVERITIES.reduce((result, severity) => {
+    result[severity] = findings.filter(finding => finding.severity === severity).length;
+    return result;
+  }, {});
+
+  return {
+    level: SEVERITIES.find(severity => counts[severity] > 0) || 'none',
+    findings,
+    counts,
+  };
+}
+
+/**
+ * Replace personal data in the text with placeholders such as "[redacted email]"
+ * @param {string} text - Text to redact
+ * @returns {Object} - { text, redactions: [{ type, count }] }
+ */
+function redactPII(text) {
+  const matches = findPII(text, extractEntities(text).links);
+
+  let redacted = text;
+  [...matches].reverse().forEach((match) => {
+    redacted = redacted.slice(0, match.start) + PII_TYPES[match.type].placeholder + redacted.slice(match.end);
+  });
+
+  const counts = matches.reduce((result, match) => result.set(match.type, (result.get(match.type) || 0) + 1), new Map());
+  return {
+    text: redacted,
+    redactions: [...counts].map(([type, count]) => ({ type, count })),
+  };
+}
+
+/**
+ * Read the `redactPII` request option: true in JSON bodies, or the string
+ * "true" in form fields (multipart uploads have no booleans)
+ * @param {*} value - req.body.redactPII
+ * @returns {boolean}
+ */
+function parseRedactOption(value) {
+  return value === true || value === 'true';
+}
+
+module.exports = {
+  RISK_CATEGORIES,
+  PII_TYPES,
+  scanRisks,
+  redactPII,
+  parseRedactOption,
+  findPII,
+};
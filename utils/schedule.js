@@ -0,0 +1,323 @@
+const { resolvePlatform, PLATFORM_PROFILES } = require('./platforms');
+
+const POST_STATUSES = ['draft', 'approved', 'scheduled', 'published', 'failed'];
+const CALENDAR_VIEWS = ['week', 'month'];
+
+// Status changes a user can make, and the role each one needs. Publishing
+// normally happens when a scheduled post is due (utils/postScheduler.js);
+// setting "published" by hand records a post that went out another way.
+const STATUS_TRANSITIONS = {
+  draft: { approved: 'owner' },
+  approved: { draft: 'editor', scheduled: 'editor', published: 'editor' },
+  scheduled: { draft: 'editor', approved: 'editor', published: 'editor' },
+  failed: { draft: 'editor', scheduled: 'editor' },
+  published: {},
+};
+
+// Two posts to the same platform closer than this are reported as a clash
+const CLASH_WINDOW_MINUTES = 60;
+
+const LOCAL_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a schedule error that routes can return as a 400 response
+ */
+function scheduleError(message, suggestion) {
+  const error = new Error(message);
+  error.status = 400;
+  error.suggestion = suggestion;
+  return error;
+}
+
+/**
+ * True if the value is an IANA time zone name such as "Europe/Berlin"
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Calendar fields of an instant as seen in a time zone
+ */
+function zonedParts(date, timeZone) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date).reduce((result, part) => {
+    if (part.type !== 'literal') result[part.type] = Number(part.value);
+    return result;
+  }, {});
+}
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds
+ */
+function timeZoneOffset(date, timeZone) {
+  const parts = zonedParts(date, timeZone);
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant at which a wall-clock time occurs in a time zone. Times skipped
+ * by a daylight saving change move forward by the size of the change.
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  // The offset at the wall-clock time read as UTC can be on the wrong side of a change; correct once
+  const estimate = wallClock - timeZoneOffset(new Date(wallClock), timeZone);
+  return new Date(wallClock - timeZoneOffset(new Date(estimate), timeZone));
+}
+
+/**
+ * True if the fields name a real calendar date and time; Date.UTC would
+ * otherwise roll "2025-02-30" over to March 2
+ */
+function isValidWallClock({ year, month, day, hour = 0, minute = 0, second = 0 }) {
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  return date.getUTCFullYear() === year &&
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === day &&
+    date.getUTCHours() === hour &&
+    date.getUTCMinutes() === minute &&
+    date.getUTCSeconds() === second;
+}
+
+/**
+ * Format an instant as local "YYYY-MM-DDTHH:mm" in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} - Local date and time
+ */
+function formatLocalTime(date, timeZone) {
+  const parts = zonedParts(date, timeZone);
+  const pad = value => String(value).padStart(2, '0');
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}`;
+}
+
+/**
+ * Parse a publish time: an ISO timestamp with an offset ("2025-03-01T09:00:00Z"),
+ * or a local time ("2025-03-01T09:00") read in the post's time zone
+ * @param {string} value - Publish time
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} - Publish instant
+ */
+function parsePublishTime(value, timeZone) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw scheduleError('publishAt is required', 'Send a time such as "2025-03-01T09:00" (in the post\'s timezone) or an ISO timestamp');
+  }
+
+  const local = value.trim().match(LOCAL_TIME_PATTERN);
+  let date;
+  if (local) {
+    const fields = {
+      year: Number(local[1]),
+      month: Number(local[2]),
+      day: Number(local[3]),
+      hour: Number(local[4]),
+      minute: Number(local[5]),
+      second: Number(local[6] || 0),
+    };
+    if (!isValidWallClock(fields)) {
+      throw scheduleError(`Invalid publishAt: ${value}`, 'Use "YYYY-MM-DDTHH:mm" with a real date and a time from 00:00 to 23:59');
+    }
+    date = zonedTimeToUtc(fields, timeZone);
+  } else {
+    date = new Date(value);
+  }
+
+  if (Number.isNaN(date.getTime())) {
+    throw scheduleError(`Invalid publishAt: ${value}`, 'Use "YYYY-MM-DDTHH:mm" or an ISO timestamp');
+  }
+  return date;
+}
+
+/**
+ * Validate a list of target platforms
+ * @param {string|string[]} value - Platform names or aliases
+ * @returns {string[]} - Unique platform keys
+ */
+function normalizePlatforms(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const platforms = [...new Set(list.map(platform => String(platform).trim()).filter(Boolean))];
+  if (platforms.length === 0) {
+    throw scheduleError('At least one platform is required', `Use any of: ${Object.keys(PLATFORM_PROFILES).join(', ')}`);
+  }
+
+  return [...new Set(platforms.map((platform) => {
+    const resolved = resolvePlatform(platform);
+    if (!resolved) {
+      throw scheduleError(`Unsupported platform: ${platform}`, `Use any of: ${Object.keys(PLATFORM_PROFILES).join(', ')}`);
+    }
+    return resolved;
+  }))];
+}
+
+/**
+ * Text of the chosen version of a saved analysis: "original" (the extracted
+ * text), "improved" or the strategy of one of its alternatives (e.g. "thread")
+ * @param {Object} analysis - Analysis document
+ * @param {string} [version] - Version to publish (default "original")
+ * @returns {Object} - { version, text, parts }
+ */
+function pickVersion(analysis, version = 'original') {
+  if (version === 'original') {
+    return { version, text: analysis.extractedText, parts: [] };
+  }
+  if (version === 'improved') {
+    return { version, text: analysis.analysis.improvedVersion, parts: [] };
+  }
+
+  const alternative = (analysis.analysis.alternatives || []).find(item => item.strategy === version);
+  if (!alternative) {
+    const available = ['original', 'improved', ...(analysis.analysis.alternatives || []).map(item => item.strategy)];
+    throw scheduleError(`This analysis has no "${version}" version`, `Use one of: ${available.join(', ')}`);
+  }
+  return {
+    version,
+    text: alternative.text,
+    parts: (alternative.parts || []).map(part => part.text),
+  };
+}
+
+/**
+ * Check that a status change is allowed and return the role it needs
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {string} - Minimum workspace role (editor or owner)
+ */
+function checkTransition(from, to) {
+  if (!POST_STATUSES.includes(to)) {
+    throw scheduleError(`Invalid status: ${to}`, `Use one of: ${POST_STATUSES.join(', ')}`);
+  }
+  const role = (STATUS_TRANSITIONS[from] || {})[to];
+  if (!role) {
+    const allowed = Object.keys(STATUS_TRANSITIONS[from] || {});
+    throw scheduleError(
+      `A ${from} post cannot be set to ${to}`,
+      allowed.length > 0 ? `From ${from} it can go to: ${allowed.join(', ')}` : 'Published posts cannot change status'
+    );
+  }
+  return role;
+}
+
+/**
+ * Pairs of posts to the same platform within the clash window
+ * @param {Object[]} posts - Scheduled posts (any order)
+ * @param {number} [windowMinutes] - Minimum gap between posts to one platform
+ * @returns {Array<Object>} - [{ platform, posts: [id, id], publishAt (of the later post), minutesApart, message }]
+ */
+function findClashes(posts, windowMinutes = CLASH_WINDOW_MINUTES) {
+  const clashes = [];
+  const byPlatform = new Map();
+  posts.forEach((post) => {
+    post.platforms.forEach((platform) => {
+      if (!byPlatform.has(platform)) byPlatform.set(platform, []);
+      byPlatform.get(platform).push(post);
+    });
+  });
+
+  byPlatform.forEach((platformPosts, platform) => {
+    const sorted = [...platformPosts].sort((a, b) => a.publishAt - b.publishAt);
+    for (let index = 1; index < sorted.length; index += 1) {
+      const previous = sorted[index - 1];
+      const current = sorted[index];
+      const minutesApart = Math.round((current.publishAt - previous.publishAt) / 60000);
+      if (minutesApart < windowMinutes) {
+        clashes.push({
+          platform,
+          posts: [previous._id, current._id],
+          publishAt: current.publishAt,
+          minutesApart,
+          message: `Two ${PLATFORM_PROFILES[platform].name} posts ${minutesApart === 0 ? 'at the same time' : `${minutesApart} minutes apart`} - space them at least ${windowMinutes} minutes apart`,
+        });
+      }
+    }
+  });
+
+  return clashes.sort((a, b) => a.publishAt - b.publishAt);
+}
+
+/**
+ * Start and end of the week (Monday to Sunday) or month containing a date,
+ * with the local days in between
+ * @param {string} view - "week" or "month"
+ * @param {string} [date] - Any day in the period ("YYYY-MM-DD", default today)
+ * @param {string} timeZone - IANA time zone the calendar is shown in
+ * @returns {Object} - { start, end, days: ["YYYY-MM-DD", ...] }
+ */
+function calendarPeriod(view, date, timeZone) {
+  if (!CALENDAR_VIEWS.includes(view)) {
+    throw scheduleError(`Invalid view: ${view}`, `Use one of: ${CALENDAR_VIEWS.join(', ')}`);
+  }
+
+  let year;
+  let month;
+  let day;
+  if (date) {
+    const match = String(date).match(DATE_PATTERN);
+    if (!match) {
+      throw scheduleError(`Invalid date: ${date}`, 'Use YYYY-MM-DD');
+    }
+    [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+    if (!isValidWallClock({ year, month, day })) {
+      throw scheduleError(`Invalid date: ${date}`, 'Use YYYY-MM-DD with a real date');
+    }
+  } else {
+    ({ year, month, day } = zonedParts(new Date(), timeZone));
+  }
+
+  // Calendar arithmetic on UTC dates; only the boundaries depend on the time zone
+  let first;
+  let length;
+  if (view === 'week') {
+    const anchor = Date.UTC(year, month - 1, day);
+    const weekday = (new Date(anchor).getUTCDay() + 6) % 7;
+    first = anchor - weekday * DAY_MS;
+    length = 7;
+  } else {
+    first = Date.UTC(year, month - 1, 1);
+    length = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  }
+
+  const days = Array.from({ length: length + 1 }, (value, index) => new Date(first + index * DAY_MS));
+  const toInstant = calendarDay => zonedTimeToUtc({
+    year: calendarDay.getUTCFullYear(),
+    month: calendarDay.getUTCMonth() + 1,
+    day: calendarDay.getUTCDate(),
+  }, timeZone);
+
+  return {
+    start: toInstant(days[0]),
+    end: toInstant(days[length]),
+    days: days.slice(0, length).map(calendarDay => calendarDay.toISOString().slice(0, 10)),
+  };
+}
+
+module.exports = {
+  POST_STATUSES,
+  CALENDAR_VIEWS,
+  CLASH_WINDOW_MINUTES,
+  isValidTimeZone,
+  formatLocalTime,
+  parsePublishTime,
+  normalizePlatforms,
+  pickVersion,
+  checkTransition,
+  findClashes,
+  calendarPeriod,
+};
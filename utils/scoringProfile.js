@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+
+// Directory of JSON scoring profiles; each file is <name>.json
+const PROFILES_DIR = process.env.SCORING_PROFILES_PATH || path.join(__dirname, '../config/scoring');
+const DEFAULT_PROFILE = process.env.SCORING_PROFILE || 'default';
+
+const profileCache = new Map();
+
+/**
+ * Deep-merge a partial profile over a base profile
+ */
+function mergeProfiles(base, override) {
+  const merged = { ...base };
+  Object.entries(override || {}).forEach(([key, value]) => {
+    if (value && typeof value === 'object' && !Array.isArray(value) && base[key] && typeof base[key] === 'object') {
+      merged[key] = mergeProfiles(base[key], value);
+    } else {
+      merged[key] = value;
+    }
+  });
+  return merged;
+}
+
+/**
+ * Check an inline profile against the shape of the default profile: known
+ * fields only, objects where the default has objects and finite numbers where
+ * it has numbers. Every factor may also have a `weight` (a multiplier of 0 or
+ * more, see utils/calibration.js). Throws an error naming the first offending field.
+ */
+function validateProfile(override, base, prefix = '') {
+  Object.entries(override).forEach(([key, value]) => {
+    const field = prefix + key;
+    const expected = base[key];
+
+    if (!prefix && (key === 'name' || key === 'description')) {
+      if (typeof value !== 'string') {
+        throw new Error(`Invalid scoring profile: ${field} must be a string`);
+      }
+    } else if (key === 'weight' && /^factors\.[^.]+\.$/.test(prefix)) {
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        throw new Error(`Invalid scoring profile: ${field} must be a number of 0 or more`);
+      }
+    } else if (expected === undefined) {
+      throw new Error(`Invalid scoring profile: unknown field ${field}`);
+    } else if (typeof expected === 'number') {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`Invalid scoring profile: ${field} must be a number`);
+      }
+    } else if (expected && typeof expected === 'object') {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(`Invalid scoring profile: ${field} must be an object`);
+      }
+      validateProfile(value, expected, `${field}.`);
+    }
+  });
+}
+
+/**
+ * Read a profile file, merged over the default profile so partial profiles work
+ */
+function readProfile(name) {
+  if (profileCache.has(name)) {
+    return profileCache.get(name);
+  }
+
+  if (!/^[a-z0-9_-]+$/i.test(name)) {
+    throw new Error(`Invalid scoring profile name: ${name}`);
+  }
+
+  const filePath = path.join(PROFILES_DIR, `${name}.json`);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Unknown scoring profile: ${name}`);
+  }
+
+  let profile = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (name !== 'default') {
+    profile = mergeProfiles(readProfile('default'), profile);
+  }
+  profile.name = profile.name || name;
+
+  profileCache.set(name, profile);
+  return profile;
+}
+
+/**
+ * Load a scoring profile by name, or merge an inline profile over the default
+ * @param {string|Object} [profile] - Profile name (e.g. "default") or a partial profile object
+ * @returns {Object} - Complete scoring profile
+ */
+function loadScoringProfile(profile) {
+  if (!profile) {
+    return readProfile(DEFAULT_PROFILE);
+  }
+  if (typeof profile === 'object') {
+    if (Array.isArray(profile)) {
+      throw new Error('Invalid scoring profile: send a profile name or an object');
+    }
+    validateProfile(profile, readProfile('default'));
+    return mergeProfiles(readProfile('default'), { name: 'custom', ...profile });
+  }
+  return readProfile(profile);
+}
+
+/**
+ * List the names of available scoring profiles
+ * @returns {string[]} - Profile names
+ */
+function listScoringProfiles() {
+  return fs.readdirSync(PROFILES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'));
+}
+
+module.exports = {
+  loadScoringProfile,
+  listScoringProfiles,
+  mergeProfiles,
+};
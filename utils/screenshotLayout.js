@@ -0,0 +1,369 @@
+// Rows near the top of a screenshot that may belong to the author header
+const HEADER_MAX_ROWS = 5;
+// Header and footer rows are short; longer rows are treated as post text
+const HEADER_MAX_WORDS = 8;
+const HANDLE_MAX_WORDS = 4;
+
+const METRIC_KEYS = ['likes', 'comments', 'reposts', 'views'];
+// Order of the counts in an X/Threads-style icon bar with no labels
+const ICON_BAR_ORDER = ['comments', 'reposts', 'likes', 'views'];
+
+const NUMBER_SOURCE = '\\d[\\d.,]*(?:\\s?[KkMm]\\b)?';
+const METRIC_WORDS = {
+  likes: 'likes?|reactions?|hearts?',
+  comments: 'comments?|replies|reply',
+  reposts: 'reposts?|retweets?|shares?|quotes?',
+  views: 'views?|impressions?|plays?',
+};
+const METRIC_PATTERNS = Object.entries(METRIC_WORDS).map(([key, words]) => ({
+  key,
+  pattern: new RegExp(`(${NUMBER_SOURCE})\\s*(?:${words})\\b`, 'gi'),
+}));
+// "Jane Doe and 54 others" = 55 reactions
+const OTHERS_PATTERN = new RegExp(`\\band\\s+(${NUMBER_SOURCE})\\s+others?\\b`, 'i');
+const LEADING_COUNT_PATTERN = new RegExp(`^[^\\p{L}\\p{N}]*(${NUMBER_SOURCE})(?=\\s|$)`, 'u');
+
+const ACTION_WORDS = new Set([
+  'like', 'comment', 'repost', 'share', 'send', 'reply', 'save', 'retweet', 'quote', 'bookmark', 'follow', 'celebrate', 'support',
+]);
+
+const MONTHS = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|jun(?:e)?|jul(?:y)?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const TIMESTAMP_PATTERNS = [
+  /\b\d{1,2}:\d{2}\s?(?:[AaPp]\.?[Mm]\.?)?/,
+  new RegExp(`\\b(?:${MONTHS})\\.?\\s\\d{1,2}(?:,?\\s\\d{4})?\\b`, 'i'),
+  new RegExp(`\\b\\d{1,2}\\s(?:${MONTHS})\\.?(?:\\s\\d{4})?\\b`, 'i'),
+  /\b\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}\b/,
+  /\b\d{1,2}\s?(?:s|m|min|mins|h|hr|hrs|d|w|mo|y|yr|yrs)\b(?:\s?ago)?/i,
+  /\b(?:just now|yesterday|\d+\s(?:seconds?|minutes?|hours?|days?|weeks?|months?|years?)\sago)\b/i,
+];
+
+const HANDLE_PATTERN = /(?<![\p{L}\p{N}_.])@[\p{L}\p{N}_.]{2,30}/u;
+// LinkedIn connection degree, follow buttons and post labels in the header
+const HEADER_MARKER_PATTERN = /(?:^|[\s•·])(?:1st|2nd|3rd\+?|follow(?:ing)?|promoted|edited|verified)\b/i;
+const NAME_NOISE_PATTERN = /\s*(?:[•·|]\s*)?(?:1st|2nd|3rd\+?|\+?\s?follow(?:ing)?|verified|author|he\/him|she\/her|they\/them)\b.*$/i;
+const SEE_MORE_PATTERN = /\s*(?:…|\.\.\.)?\s*(?:see|show|read)\s+more\s*$|\s*(?:…|\.\.\.)\s*more\s*$|^see translation$/i;
+
+/**
+ * Parse a displayed count ("1,234", "1.2K", "3M")
+ */
+function parseCount(value) {
+  const compact = value.replace(/\s/g, '');
+  const suffix = compact.slice(-1).toLowerCase();
+  const multiplier = suffix === 'k' ? 1000 : suffix === 'm' ? 1000000 : 1;
+  let digits = multiplier === 1 ? compact : compact.slice(0, -1);
+
+  // "1.234" and "1,234" are thousands separators; "1.2K" is a decimal
+  if (multiplier === 1 || /[.,]\d{3}$/.test(digits)) {
+    digits = digits.replace(/[.,](?=\d{3}(?:\D|$))/g, '');
+  }
+  const number = parseFloat(digits.replace(',', '.'));
+  return Number.isFinite(number) ? Math.round(number * multiplier) : null;
+}
+
+/**
+ * Group OCR lines into visual rows: lines whose vertical centres are within
+ * half a line height of each other (e.g. "Jane Doe" and "· 2h" read as two
+ * lines in sparse mode) are merged left to right
+ */
+function groupRows(lines) {
+  const sorted = lines
+    .filter(line => line.text && line.text.trim())
+    .map(line => ({
+      text: line.text.trim(),
+      x0: line.bbox.x0,
+      x1: line.bbox.x1,
+      y0: line.bbox.y0,
+      y1: line.bbox.y1,
+    }))
+    .sort((a, b) => a.y0 - b.y0 || a.x0 - b.x0);
+
+  const rows = [];
+  sorted.forEach((line) => {
+    const centre = (line.y0 + line.y1) / 2;
+    const row = rows.find(candidate => Math.abs(centre - candidate.centre) <= (candidate.y1 - candidate.y0) / 2);
+    if (row) {
+      row.lines.push(line);
+      row.lines.sort((a, b) => a.x0 - b.x0);
+      row.x0 = Math.min(row.x0, line.x0);
+      row.x1 = Math.max(row.x1, line.x1);
+    } else {
+      rows.push({ lines: [line], x0: line.x0, x1: line.x1, y0: line.y0, y1: line.y1, centre });
+    }
+  });
+
+  return rows.map(row => ({ ...row, text: row.lines.map(line => line.text).join(' ') }));
+}
+
+/**
+ * Word count of a row
+ */
+function wordCount(text) {
+  return text.split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+}
+
+/**
+ * Timestamp text in a row, or null
+ */
+function findTimestamp(text) {
+  const parts = TIMESTAMP_PATTERNS
+    .map(pattern => text.match(pattern))
+    .filter(Boolean)
+    .sort((a, b) => a.index - b.index)
+    .map(match => match[0].trim());
+  return parts.length > 0 ? [...new Set(parts)].join(' · ') : null;
+}
+
+/**
+ * Engagement counts in a row: labelled counts ("56 comments"), "and 54 others",
+ * an unlabelled leading count (LinkedIn reactions), or an unlabelled icon bar
+ * @returns {Object|null} - Counts keyed by metric, or null if the row has none
+ */
+function parseMetrics(text) {
+  const metrics = {};
+  const labelledAt = new Set();
+  METRIC_PATTERNS.forEach(({ key, pattern }) => {
+    [...text.matchAll(pattern)].forEach((match) => {
+      labelledAt.add(match.index);
+      if (metrics[key] === undefined) metrics[key] = parseCount(match[1]);
+    });
+  });
+
+  const others = text.match(OTHERS_PATTERN);
+  if (others && metrics.likes === undefined) {
+    metrics.likes = parseCount(others[1]) + 1;
+  }
+
+  if (Object.keys(metrics).length > 0) {
+    const leading = text.match(LEADING_COUNT_PATTERN);
+    const countAt = leading ? leading.index + leading[0].length - leading[1].length : -1;
+    if (leading && metrics.likes === undefined && !labelledAt.has(countAt)) {
+      metrics.likes = parseCount(leading[1]);
+    }
+    return metrics;
+  }
+
+  // Icon bar: only counts and icons (which OCR reads as short junk like "tl" or "ili")
+  const tokens = text.split(/\s+/).filter(Boolean);
+  const counts = tokens.filter(token => new RegExp(`^${NUMBER_SOURCE}$`).test(token));
+  const words = tokens.filter(token => /\p{L}{4,}/u.test(token));
+  if (counts.length >= 2 && words.length === 0) {
+    counts.slice(0, ICON_BAR_ORDER.length).forEach((count, index) => {
+      metrics[ICON_BAR_ORDER[index]] = parseCount(count);
+    });
+    return metrics;
+  }
+
+  return null;
+}
+
+/**
+ * True if a row only holds action buttons ("Like Comment Repost Send")
+ */
+function isActionRow(text) {
+  const words = (text.toLowerCase().match(/\p{L}+/gu) || []).filter(word => word.length > 1);
+  return words.length > 0 && words.every(word => ACTION_WORDS.has(word) || ACTION_WORDS.has(word.replace(/s$/, '')));
+}
+
+/**
+ * Classify a row as metrics, actions, timestamp or text
+ */
+function classifyRow(row) {
+  const metrics = parseMetrics(row.text);
+  if (metrics) {
+    // X puts the time and date on the same row as the view count
+    const withoutCounts = METRIC_PATTERNS.reduce((text, { pattern }) => text.replace(pattern, ' '), row.text);
+    return { kind: 'metrics', metrics, timestamp: findTimestamp(withoutCounts) };
+  }
+  if (isActionRow(row.text)) return { kind: 'actions' };
+
+  const words = wordCount(row.text);
+  const timestamp = words <= HEADER_MAX_WORDS ? findTimestamp(row.text) : null;
+  if (timestamp) return { kind: 'timestamp', timestamp };
+  return { kind: 'text' };
+}
+
+/**
+ * True if a row near the top looks like part of the author header: it holds a
+ * handle, a timestamp or a header label, or it sits right of the avatar
+ * (indented well past the left edge of the post text)
+ */
+function isHeaderRow(row, bodyLeft, lineHeight) {
+  const words = wordCount(row.text);
+  if (words > HEADER_MAX_WORDS) return false;
+  if (row.kind === 'timestamp') return true;
+  if (HANDLE_PATTERN.test(row.text) && words <= HANDLE_MAX_WORDS) return true;
+  if (HEADER_MARKER_PATTERN.test(row.text)) return true;
+  return row.x0 - bodyLeft >= lineHeight * 1.5;
+}
+
+/**
+ * Author name, handle and headline from the header rows
+ */
+function parseAuthor(headerRows) {
+  const handleRow = headerRows.find(row => HANDLE_PATTERN.test(row.text));
+  const handle = handleRow ? handleRow.text.match(HANDLE_PATTERN)[0].replace(/\.+$/, '') : null;
+
+  // The name is the first row, without the handle, timestamp, degree or follow button
+  const stripRow = (text) => {
+    let stripped = text.replace(HANDLE_PATTERN, ' ');
+    TIMESTAMP_PATTERNS.forEach((pattern) => {
+      stripped = stripped.replace(pattern, ' ');
+    });
+    return stripped
+      .replace(NAME_NOISE_PATTERN, '')
+      .replace(/[^\p{L}\p{M}\p{N}\s.'’-]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  };
+
+  const name = headerRows.length > 0 ? stripRow(headerRows[0].text) || null : null;
+  // LinkedIn shows the author's headline between the name and the timestamp
+  const headline = headerRows.slice(1)
+    .filter(row => row.kind === 'text' && !HANDLE_PATTERN.test(row.text))
+    .map(row => stripRow(row.text))
+    .filter(Boolean)
+    .join(' ') || null;
+
+  return { name, handle, headline };
+}
+
+/**
+ * Median height of the rows, used as the unit for indentation
+ */
+function medianLineHeight(rows) {
+  const heights = rows.map(row => row.y1 - row.y0).sort((a, b) => a - b);
+  return heights[Math.floor(heights.length / 2)] || 0;
+}
+
+/**
+ * Split the OCR lines of a social media screenshot into the author header,
+ * the post body and the engagement footer, using the line bounding boxes.
+ * Rows after the engagement counts (comments under the post) are dropped.
+ * @param {Array<{text: string, bbox: {x0: number, y0: number, x1: number, y1: number}}>} lines - Tesseract lines
+ * @returns {Object|null} - { body, author: { name, handle, headline }, timestamp,
+ *   metrics: { likes, comments, reposts, views } }, or null if the image does not
+ *   look like a post screenshot (no author header and no engagement counts)
+ */
+function parseScreenshotLayout(lines) {
+  const rows = groupRows(lines).map(row => ({ ...row, ...classifyRow(row) }));
+  if (rows.length === 0) return null;
+
+  const bodyLeft = Math.min(...rows.map(row => row.x0));
+  const lineHeight = medianLineHeight(rows);
+
+  // Header: top rows up to the last one that looks like author details
+  let headerEnd = -1;
+  for (let index = 0; index < Math.min(HEADER_MAX_ROWS, rows.length); index += 1) {
+    const row = rows[index];
+    if (row.kind === 'metrics' || row.kind === 'actions') break;
+    if (isHeaderRow(row, bodyLeft, lineHeight)) {
+      headerEnd = index;
+    } else if (index > 0 || wordCount(row.text) > HEADER_MAX_WORDS) {
+      // Only the name may come before the handle or timestamp without a marker
+      break;
+    }
+  }
+  // A lone indented first row is not enough to call it a header
+  const headerRows = rows.slice(0, headerEnd + 1);
+  const hasHeader = headerRows.some(row => row.kind === 'timestamp' || HANDLE_PATTERN.test(row.text) ||
+    HEADER_MARKER_PATTERN.test(row.text)) || headerRows.length >= 2;
+
+  // Footer: the first metrics or actions row after the body, and the
+  // timestamp row just above it (X shows the time under the post)
+  const bodyStart = hasHeader ? headerEnd + 1 : 0;
+  let footerStart = rows.length;
+  for (let index = bodyStart; index < rows.length; index += 1) {
+    if (rows[index].kind === 'metrics' || rows[index].kind === 'actions') {
+      footerStart = index > bodyStart && rows[index - 1].kind === 'timestamp' ? index - 1 : index;
+      break;
+    }
+  }
+
+  // Engagement counts are read from the footer rows until the comments begin
+  const metrics = {};
+  let timestamp = null;
+  rows.slice(footerStart).some((row) => {
+    timestamp = timestamp || row.timestamp || null;
+    if (row.kind === 'metrics') {
+      Object.entries(row.metrics).forEach(([key, value]) => {
+        if (metrics[key] === undefined && value !== null) metrics[key] = value;
+      });
+    } else if (row.kind === 'text') {
+      // Text after the counts and buttons belongs to the comments
+      return Object.keys(metrics).length > 0;
+    }
+    return false;
+  });
+
+  if (!hasHeader && Object.keys(metrics).length === 0) {
+    return null;
+  }
+
+  if (hasHeader) {
+    const headerTimestamp = headerRows.find(row => row.kind === 'timestamp' || findTimestamp(row.text));
+    timestamp = (headerTimestamp && (headerTimestamp.timestamp || findTimestamp(headerTimestamp.text))) || timestamp;
+  }
+
+  const bodyRows = rows.slice(bodyStart, footerStart).map(row => row.text);
+  if (bodyRows.length > 0) {
+    bodyRows[bodyRows.length - 1] = bodyRows[bodyRows.length - 1].replace(SEE_MORE_PATTERN, '');
+  }
+
+  return {
+    body: bodyRows.filter(Boolean).join('\n'),
+    author: hasHeader ? parseAuthor(headerRows) : { name: null, handle: null, headline: null },
+    timestamp,
+    metrics: METRIC_KEYS.reduce((result, key) => {
+      result[key] = metrics[key] !== undefined ? metrics[key] : null;
+      return result;
+    }, {}),
+  };
+}
+
+/**
+ * Flatten Tesseract's block > paragraph > line tree into lines
+ * @param {Array<Object>} blocks - `data.blocks` from a Tesseract recognize() call
+ * @returns {Array<Object>} - Lines with text and bbox
+ */
+function flattenBlocks(blocks) {
+  return (blocks || []).flatMap(block => (block.paragraphs || []).flatMap(paragraph => paragraph.lines || []));
+}
+
+/**
+ * Validate screenshot details sent back by a client (e.g. from POST /api/upload)
+ * before they are stored with an analysis
+ * @param {Object} screenshot - { author, timestamp, metrics }
+ * @returns {Object|null} - Sanitised details, or null if none were given
+ */
+function normalizeScreenshot(screenshot) {
+  if (screenshot === undefined || screenshot === null) return null;
+  if (typeof screenshot !== 'object' || Array.isArray(screenshot)) {
+    const error = new Error('screenshot must be an object');
+    error.status = 400;
+    error.suggestion = 'Send the screenshot object returned by /api/upload';
+    throw error;
+  }
+
+  const text = value => (typeof value === 'string' && value.trim() ? value.trim().slice(0, 200) : null);
+  const author = screenshot.author || {};
+  const metrics = screenshot.metrics || {};
+
+  return {
+    author: { name: text(author.name), handle: text(author.handle), headline: text(author.headline) },
+    timestamp: text(screenshot.timestamp),
+    metrics: METRIC_KEYS.reduce((result, key) => {
+      const value = Number(metrics[key]);
+      result[key] = metrics[key] !== null && metrics[key] !== undefined && Number.isFinite(value) && value >= 0
+        ? Math.round(value) : null;
+      return result;
+    }, {}),
+  };
+}
+
+module.exports = {
+  SCREENSHOT_METRICS: METRIC_KEYS,
+  parseScreenshotLayout,
+  flattenBlocks,
+  normalizeScreenshot,
+  parseCount,
+};
@@ -0,0 +1,225 @@
+const sentimentLexicon = require('../data/lexicons/sentiment.en.json');
+const emotionLexicon = require('../data/lexicons/emotions.en.json');
+const { splitSentences } = require('./readability');
+const { getLanguage } = require('./languages');
+
+// Scaling constants follow VADER (Hutto & Gilbert, 2014)
+const BOOSTER_INCREMENT = 0.293;
+const CAPS_INCREMENT = 0.733;
+const NEGATION_SCALAR = -0.74;
+const EXCLAMATION_INCREMENT = 0.292;
+const MAX_EXCLAMATIONS = 4;
+const NORMALIZATION_ALPHA = 15;
+
+const BOOSTERS = new Set([
+  'absolutely', 'amazingly', 'completely', 'deeply', 'especially', 'extremely',
+  'highly', 'hugely', 'incredibly', 'insanely', 'most', 'particularly', 'really',
+  'so', 'super', 'totally', 'truly', 'very', 'seriously', 'remarkably',
+]);
+
+const DAMPENERS = new Set([
+  'barely', 'hardly', 'kinda', 'kindof', 'marginally', 'partly', 'slightly',
+  'somewhat', 'sorta', 'little', 'occasionally',
+]);
+
+const NEGATIONS = new Set([
+  'not', 'no', 'never', 'none', 'nobody', 'nothing', 'neither', 'nor', 'nowhere',
+  'without', 'cannot', "can't", "don't", "doesn't", "didn't", "isn't", "aren't",
+  "wasn't", "weren't", "won't", "wouldn't", "shouldn't", "couldn't", "haven't",
+  "hasn't", "hadn't", 'cant', 'dont', 'doesnt', 'didnt', 'isnt', 'arent', 'wasnt',
+  'werent', 'wont', 'wouldnt', 'shouldnt', 'couldnt',
+]);
+
+// Number of preceding tokens checked for negations and boosters
+const LOOKBACK = 3;
+
+// Emotion lookup: token -> [emotions]
+const EMOTIONS_BY_TOKEN = Object.entries(emotionLexicon).reduce((index, [emotion, tokens]) => {
+  tokens.forEach((token) => {
+    index[token] = index[token] || [];
+    index[token].push(emotion);
+  });
+  return index;
+}, {});
+
+const TOKEN_PATTERN = /\p{Extended_Pictographic}️?|[\p{L}\p{M}][\p{L}\p{M}'’]*/gu;
+
+/**
+ * Split a sentence into word and emoji tokens, keeping the original casing
+ */
+function tokenize(sentence) {
+  return (sentence.match(TOKEN_PATTERN) || []).map(token => token.replace(/’/g, "'"));
+}
+
+/**
+ * Look up the valence of a token; non-English texts also use the
+ * language's positive words from utils/languages.js
+ */
+function getValence(token, extraPositive) {
+  const lower = token.toLowerCase();
+  if (sentimentLexicon.emoji[token] !== undefined) return sentimentLexicon.emoji[token];
+  if (sentimentLexicon.emoji[token.replace(/️/g, '')] !== undefined) {
+    return sentimentLexicon.emoji[token.replace(/️/g, '')];
+  }
+  if (sentimentLexicon.words[lower] !== undefined) return sentimentLexicon.words[lower];
+  if (extraPositive.has(lower)) return 2;
+  return 0;
+}
+
+/**
+ * True if a word is written in capitals for emphasis
+ */
+function isShouted(token) {
+  return token.length > 1 && /\p{Lu}/u.test(token) && token === token.toUpperCase();
+}
+
+/**
+ * Map a raw valence sum into the range -1..1
+ */
+function normalize(score) {
+  return score / Math.sqrt(score * score + NORMALIZATION_ALPHA);
+}
+
+/**
+ * Round to three decimal places
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Score one sentence: valence per token with negation, boosters, ALL CAPS
+ * emphasis, "but" contrast and exclamation emphasis
+ */
+function scoreSentence(sentence, context) {
+  const tokens = tokenize(sentence.text);
+  const valences = [];
+  const emotions = {};
+
+  tokens.forEach((token, index) => {
+    const lower = token.toLowerCase();
+    let valence = getValence(token, context.extraPositive);
+
+    const preceding = tokens.slice(Math.max(0, index - LOOKBACK), index).map(t => t.toLowerCase());
+    const negated = preceding.some(t => NEGATIONS.has(t));
+
+    if (valence !== 0) {
+      // ALL CAPS emphasis, unless the whole text is shouted
+      if (isShouted(token) && !context.allCaps) {
+        valence += Math.sign(valence) * CAPS_INCREMENT;
+      }
+
+      // Intensifiers and dampeners, weaker the further away they are
+      preceding.forEach((previous, offset) => {
+        const distanceFactor = 1 - 0.1 * (preceding.length - 1 - offset);
+        if (BOOSTERS.has(previous)) {
+          valence += Math.sign(valence) * BOOSTER_INCREMENT * distanceFactor;
+        } else if (DAMPENERS.has(previous)) {
+          valence -= Math.sign(valence) * BOOSTER_INCREMENT * distanceFactor;
+        }
+      });
+
+      if (negated) {
+        valence *= NEGATION_SCALAR;
+      }
+    }
+
+    valences.push({ token: lower, valence });
+
+    // Emotions (a negated emotion word does not express that emotion)
+    const tokenEmotions = EMOTIONS_BY_TOKEN[lower] || EMOTIONS_BY_TOKEN[token.replace(/️/g, '')];
+    if (tokenEmotions && !negated) {
+      tokenEmotions.forEach((emotion) => {
+        emotions[emotion] = (emotions[emotion] || 0) + 1;
+      });
+    }
+  });
+
+  // "but" shifts weight to the clause after it
+  const butIndex = valences.findIndex(entry => entry.token === 'but');
+  if (butIndex >= 0) {
+    valences.forEach((entry, index) => {
+      if (index < butIndex) entry.valence *= 0.5;
+      else if (index > butIndex) entry.valence *= 1.5;
+    });
+  }
+
+  let sum = valences.reduce((total, entry) => total + entry.valence, 0);
+
+  // Exclamation marks amplify whatever direction the sentence already has
+  if (sum !== 0) {
+    const exclamations = Math.min((sentence.text.match(/!/g) || []).length, MAX_EXCLAMATIONS);
+    sum += Math.sign(sum) * exclamations * EXCLAMATION_INCREMENT;
+  }
+
+  return {
+    sum,
+    positive: valences.filter(entry => entry.valence > 0).reduce((total, entry) => total + entry.valence + 1, 0),
+    negative: valences.filter(entry => entry.valence < 0).reduce((total, entry) => total + Math.abs(entry.valence) + 1, 0),
+    neutral: valences.filter(entry => entry.valence === 0).length,
+    emotions,
+  };
+}
+
+/**
+ * Analyze sentiment and emotions of a text using the bundled lexicons
+ * @param {string} text - Text to analyze
+ * @param {string} [language] - ISO 639-1 code; non-English texts add the language's positive words
+ * @returns {Object} - { compound, label, positive, negative, neutral, emotions, dominantEmotion, drivers }
+ */
+function analyzeSentiment(text, language = 'en') {
+  const sentences = splitSentences(text);
+  const letters = text.match(/\p{L}/gu) || [];
+  const context = {
+    allCaps: letters.length > 0 && letters.join('') === letters.join('').toUpperCase(),
+    extraPositive: new Set(language === 'en' ? [] : getLanguage(language).positiveWords),
+  };
+
+  let total = 0;
+  let positive = 0;
+  let negative = 0;
+  let neutral = 0;
+  const emotionScores = {};
+  const scoredSentences = sentences.map((sentence) => {
+    const scored = scoreSentence(sentence, context);
+    total += scored.sum;
+    positive += scored.positive;
+    negative += scored.negative;
+    neutral += scored.neutral;
+
+    Object.entries(scored.emotions).forEach(([emotion, count]) => {
+      emotionScores[emotion] = emotionScores[emotion] || { score: 0, sentences: [] };
+      emotionScores[emotion].score += count;
+      emotionScores[emotion].sentences.push({ text: sentence.text, start: sentence.start, end: sentence.end });
+    });
+
+    return { text: sentence.text, start: sentence.start, end: sentence.end, compound: round(normalize(scored.sum)) };
+  });
+
+  const compound = round(normalize(total));
+  const proportionTotal = positive + negative + neutral || 1;
+
+  let label = 'neutral';
+  if (compound >= 0.05) label = 'positive';
+  else if (compound <= -0.05) label = 'negative';
+
+  const emotions = Object.entries(emotionScores)
+    .map(([emotion, data]) => ({ emotion, score: data.score, sentences: data.sentences.slice(0, 3) }))
+    .sort((a, b) => b.score - a.score);
+
+  return {
+    compound,
+    label,
+    positive: round(positive / proportionTotal),
+    negative: round(negative / proportionTotal),
+    neutral: round(neutral / proportionTotal),
+    emotions,
+    dominantEmotion: emotions.length > 0 ? emotions[0].emotion : null,
+    drivers: {
+      positive: scoredSentences.filter(s => s.compound > 0).sort((a, b) => b.compound - a.compound).slice(0, 3),
+      negative: scoredSentences.filter(s => s.compound < 0).sort((a, b) => a.compound - b.compound).slice(0, 3),
+    },
+  };
+}
+
+module.exports = { analyzeSentiment };
@@ -0,0 +1,56 @@
+const { findExtractor, supportedExtensions } = require('./extractors');
+const { detectLanguage } = require('./languages');
+const { scanRisks } = require('./riskScanner');
+
+/**
+ * Create an extraction error that routes can return as a 400 response
+ */
+function extractionError(message, suggestion) {
+  const error = new Error(message);
+  error.status = 400;
+  error.suggestion = suggestion;
+  return error;
+}
+
+/**
+ * Extract text from an uploaded or downloaded file with the extractor
+ * registered for its type (see utils/extractors)
+ * @param {string} filePath - Path to the file on disk
+ * @param {string} originalName - Original file name or URL (its extension picks the
+ *   extractor if filePath has no supported extension)
+ * @param {Object} [options] - Extraction options
+ * @param {string[]|'auto'} [options.languages] - OCR languages
+ * @param {Object} [options.workerPool] - Tesseract worker pool to reuse workers from
+ * @param {Function} [options.onProgress] - OCR progress callback
+ * @returns {Promise<Object>} - { text, fileType, extractionMethod, pages, screenshot, language, languageConfidence, risks };
+ *   screenshot holds the author, timestamp and engagement counts read from a post screenshot (images only);
+ *   risks holds compliance findings such as personal data in the text (utils/riskScanner.js)
+ */
+async function extractTextFromFile(filePath, originalName, options = {}) {
+  const extractor = findExtractor(filePath) || findExtractor(originalName);
+  if (!extractor) {
+    throw extractionError('Unsupported file type', `Supported files: ${supportedExtensions().join(', ')}`);
+  }
+
+  const result = await extractor.extract(filePath, options);
+  const text = result.text;
+
+  if (!text || text.trim().length === 0) {
+    throw extractionError('No text could be extracted from the file', extractor.emptyTextSuggestion);
+  }
+
+  const detected = detectLanguage(text);
+
+  return {
+    text,
+    fileType: extractor.fileType,
+    extractionMethod: result.extractionMethod,
+    pages: result.pages || null,
+    screenshot: result.screenshot || null,
+    language: detected.language,
+    languageConfidence: detected.confidence,
+    risks: scanRisks(text),
+  };
+}
+
+module.exports = { extractTextFromFile };
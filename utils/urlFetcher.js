@@ -0,0 +1,205 @@
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const path = require('path');
+const fs = require('fs').promises;
+const { findExtractor, supportedExtensions } = require('./extractors');
+const { assertPublicHost, publicLookup } = require('./networkGuard');
+
+// Same limit as file uploads
+const MAX_DOWNLOAD_BYTES = 10 * 1024 * 1024;
+
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+const MAX_REDIRECTS = 5;
+
+/**
+ * Create a download error that routes can return as a 400 response
+ */
+function downloadError(message, suggestion) {
+  const error = new Error(message);
+  error.status = 400;
+  error.suggestion = suggestion;
+  return error;
+}
+
+/**
+ * Validate a URL sent for ingestion
+ * @param {string} value - URL
+ * @returns {URL}
+ */
+function parseUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value || '').trim());
+  } catch (error) {
+    throw downloadError(`Invalid URL: ${value || '(missing)'}`, 'Send an absolute URL such as "https://example.com/blog/post"');
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw downloadError(`Unsupported URL protocol: ${url.protocol}`, 'Use an http or https URL');
+  }
+  return url;
+}
+
+/**
+ * True if private, loopback and link-local hosts may be fetched
+ * (URL_FETCH_ALLOW_PRIVATE=true, e.g. to ingest pages from an intranet)
+ */
+function allowsPrivateHosts() {
+  return process.env.URL_FETCH_ALLOW_PRIVATE === 'true';
+}
+
+/**
+ * Refuse hosts that resolve to a private, loopback or link-local address
+ */
+async function checkHost(url) {
+  if (allowsPrivateHosts()) return;
+  await assertPublicHost(url);
+}
+
+/**
+ * Send a GET request without following redirects. The connection is made to
+ * the address checked by publicLookup, so a host that re-resolves to a
+ * private address after checkHost (DNS rebinding) is still refused.
+ * @returns {Promise<http.IncomingMessage>}
+ */
+function send(url) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const outgoing = client.request(url, {
+      method: 'GET',
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; SocialMediaAnalyzer/1.0)',
+        Accept: 'text/html,application/xhtml+xml,image/*,application/pdf;q=0.9,*/*;q=0.8',
+        'Accept-Encoding': 'gzip, deflate, br',
+      },
+      lookup: allowsPrivateHosts() ? undefined : publicLookup,
+      // Also covers reading the body
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    }, resolve);
+    outgoing.on('error', reject);
+    outgoing.end();
+  });
+}
+
+/**
+ * The response body, decompressed according to its Content-Encoding
+ */
+function decodedBody(response) {
+  const decoders = {
+    gzip: zlib.createGunzip,
+    'x-gzip': zlib.createGunzip,
+    deflate: zlib.createInflate,
+    br: zlib.createBrotliDecompress,
+  };
+  const encoding = (response.headers['content-encoding'] || '').trim().toLowerCase();
+  if (!decoders[encoding]) return response;
+  return pipeline(response, decoders[encoding](), () => {
+    // Errors surface while the body is read
+  });
+}
+
+/**
+ * Read a response body, stopping at the size limit (counted after decompression)
+ */
+async function readBody(response) {
+  const declared = Number(response.headers['content-length']);
+  if (declared > MAX_DOWNLOAD_BYTES) {
+    throw downloadError(`The file is too large (${Math.round(declared / 1024 / 1024)}MB)`, `URLs can be at most ${MAX_DOWNLOAD_BYTES / 1024 / 1024}MB`);
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of decodedBody(response)) {
+    size += chunk.length;
+    if (size > MAX_DOWNLOAD_BYTES) {
+      throw downloadError('The file is too large', `URLs can be at most ${MAX_DOWNLOAD_BYTES / 1024 / 1024}MB`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * GET a URL, following redirects and checking every host on the way
+ */
+async function request(url) {
+  let current = url;
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    await checkHost(current);
+
+    let response;
+    try {
+      response = await send(current);
+    } catch (error) {
+      if (error.status === 400) {
+        throw downloadError(error.message, 'Only public URLs can be fetched');
+      }
+      throw downloadError(
+        error.name === 'AbortError'
+          ? `${current.hostname} did not respond within ${REQUEST_TIMEOUT_MS / 1000} seconds`
+          : `Could not fetch ${current.href}: ${error.message}`,
+        'Check that the page is public, or download it and upload the file instead'
+      );
+    }
+
+    const status = response.statusCode;
+    const location = response.headers.location;
+    if (status >= 300 && status < 400 && location) {
+      response.resume();
+      current = parseUrl(new URL(location, current).href);
+      continue;
+    }
+    if (status < 200 || status >= 300) {
+      response.resume();
+      throw downloadError(
+        `${current.href} responded with ${status}`,
+        status === 401 || status === 403
+          ? 'The page needs a login; download it and upload the file instead'
+          : 'Check that the URL is correct and the page is public'
+      );
+    }
+    return { response, finalUrl: current };
+  }
+
+  throw downloadError('Too many redirects', `Send the final URL (at most ${MAX_REDIRECTS} redirects are followed)`);
+}
+
+/**
+ * Download a page, image or document to disk so it can go through the
+ * extractor registered for its type (see utils/extractors)
+ * @param {string} value - Public http(s) URL
+ * @param {string} outputDir - Directory to write the download to
+ * @returns {Promise<Object>} - { path, originalname (the final URL), contentType };
+ *   the extension of path matches the downloaded content
+ */
+async function downloadUrl(value, outputDir) {
+  const { response, finalUrl } = await request(parseUrl(value));
+
+  const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const urlName = path.basename(finalUrl.pathname);
+  // The Content-Type decides; the URL extension only helps when the server sends a generic type
+  const extractor = findExtractor(null, contentType) || findExtractor(urlName);
+  if (!extractor) {
+    response.destroy();
+    throw downloadError(
+      `Unsupported content type: ${contentType || 'unknown'}`,
+      `URLs must point to a web page or one of: ${supportedExtensions().join(', ')}`
+    );
+  }
+
+  const data = await readBody(response);
+  const urlExtension = path.extname(urlName).toLowerCase();
+  const extension = extractor.extensions.includes(urlExtension) ? urlExtension : extractor.extensions[0];
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const filePath = path.join(outputDir, `url-${uniqueSuffix}${extension}`);
+  await fs.writeFile(filePath, data);
+
+  return {
+    path: filePath,
+    originalname: finalUrl.href,
+    contentType: contentType,
+  };
+}
+
+module.exports = { downloadUrl };
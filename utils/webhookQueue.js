@@ -0,0 +1,278 @@
+const http = require('http');
+const https = require('https');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { subscribesTo, signPayload, checkWebhookHost, allowsPrivateHosts } = require('./webhooks');
+const { publicLookup } = require('./networkGuard');
+
+// How often deliveries waiting for a retry are looked for
+const POLL_INTERVAL_MS = 15 * 1000;
+
+// A delivery is given up after this many attempts (about 2 hours with the backoff below)
+const MAX_ATTEMPTS = 8;
+
+// Wait before the second attempt; doubles after every failure
+const RETRY_BASE_MS = 60 * 1000;
+
+// Receivers that take longer than this to respond count as failed
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// A delivery locked for longer than this was interrupted (e.g. by a restart)
+const LOCK_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Only the start of a receiver's response is kept in the delivery log
+const MAX_RESPONSE_CHARS = 500;
+
+let started = false;
+let running = false;
+let rerun = false;
+
+/**
+ * Delay before the next attempt after `attempts` failed ones
+ */
+function retryDelay(attempts) {
+  return RETRY_BASE_MS * 2 ** (attempts - 1);
+}
+
+/**
+ * Store a delivery of an event to one webhook
+ * @param {Object} webhook - Webhook document
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ * @param {Object} [fields] - Extra delivery fields (e.g. lockedAt to send it straight away)
+ * @returns {Promise<Object>} - The created WebhookDelivery
+ */
+function createDelivery(webhook, event, data, fields = {}) {
+  const delivery = new WebhookDelivery({
+    webhook: webhook._id,
+    workspace: webhook.workspace,
+    event: event,
+    ...fields,
+  });
+  // The delivery ID doubles as the event ID receivers can deduplicate on
+  delivery.payload = {
+    id: String(delivery._id),
+    event: event,
+    createdAt: delivery.createdAt,
+    workspace: String(webhook.workspace),
+    data: data,
+  };
+  return delivery.save();
+}
+
+/**
+ * Queue an event for every active webhook in the workspace that subscribes to it.
+ * Never throws: failing to notify webhooks must not fail the request that
+ * caused the event.
+ * @param {string|Object} workspaceId - Workspace the event happened in
+ * @param {string} event - Event name (see WEBHOOK_EVENTS)
+ * @param {Object} data - Event data
+ * @returns {Promise<number>} - Number of deliveries queued
+ */
+async function emitEvent(workspaceId, event, data) {
+  if (!workspaceId) return 0;
+
+  try {
+    const webhooks = await Webhook.find({ workspace: workspaceId, active: true });
+    const subscribed = webhooks.filter(webhook => subscribesTo(webhook, event));
+    if (subscribed.length === 0) return 0;
+
+    // Round-trip through JSON so receivers and the delivery log see the same body
+    const serialized = JSON.parse(JSON.stringify(data));
+    for (const webhook of subscribed) {
+      await createDelivery(webhook, event, serialized);
+    }
+    processDeliveries();
+    return subscribed.length;
+  } catch (error) {
+    console.error(`Error queueing ${event} webhooks:`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * POST a body and read the start of the response. The connection is made to
+ * the address checked by publicLookup, so a host that re-resolves to a private
+ * address after it was checked is still refused. Redirects are not followed.
+ * @returns {Promise<Object>} - { statusCode, text }
+ */
+function postJson(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: allowsPrivateHosts() ? undefined : publicLookup,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    }, response => {
+      let text = '';
+      const done = () => resolve({ statusCode: response.statusCode, text: text.slice(0, MAX_RESPONSE_CHARS) });
+      response.setEncoding('utf8');
+      response.on('data', chunk => {
+        text += chunk;
+        // The rest of the response is not needed
+        if (text.length >= MAX_RESPONSE_CHARS) {
+          done();
+          response.destroy();
+        }
+      });
+      response.on('end', done);
+      response.on('error', reject);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Send a locked delivery once and record the outcome: succeeded on a 2xx
+ * response, failed straight away if the endpoint is on a private network,
+ * otherwise retried with exponential backoff until MAX_ATTEMPTS
+ * @param {Object} delivery - WebhookDelivery document (locked by the caller)
+ * @param {Object} [webhook] - Its webhook, if already loaded
+ * @returns {Promise<Object>} - The updated delivery
+ */
+async function attemptDelivery(delivery, webhook) {
+  const target = webhook || await Webhook.findById(delivery.webhook);
+  const attempt = { at: new Date() };
+  // Deliveries that cannot succeed are not retried
+  let permanent = false;
+
+  if (!target || !target.active) {
+    attempt.error = target ? 'The webhook is inactive' : 'The webhook was deleted';
+    permanent = true;
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+
+    try {
+      // Checked on every attempt: the host may resolve differently since the webhook was saved
+      await checkWebhookHost(target.url);
+      const response = await postJson(target.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SocialMediaAnalyzer-Webhooks/1.0',
+        'X-Webhook-Id': String(delivery._id),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(target.secret, timestamp, body),
+      }, body);
+      attempt.statusCode = response.statusCode;
+      attempt.response = response.text;
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        attempt.error = `Receiver responded with ${response.statusCode}`;
+      }
+    } catch (error) {
+      permanent = error.status === 400;
+      attempt.error = error.name === 'AbortError'
+        ? `No response within ${REQUEST_TIMEOUT_MS / 1000} seconds`
+        : error.message;
+    }
+    attempt.durationMs = Date.now() - startedAt;
+  }
+
+  delivery.attempts.push(attempt);
+  delivery.lockedAt = null;
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+    delivery.completedAt = new Date();
+  } else if (permanent || delivery.attempts.length >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.completedAt = new Date();
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts.length));
+  }
+
+  await delivery.save();
+  return delivery;
+}
+
+/**
+ * Atomically lock the delivery that has waited longest for an attempt
+ */
+function claimNextDelivery() {
+  return WebhookDelivery.findOneAndUpdate(
+    { status: 'pending', nextAttemptAt: { $lte: new Date() }, lockedAt: null },
+    { $set: { lockedAt: new Date() } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Unlock deliveries whose attempt was interrupted so they are picked up again
+ */
+function releaseStaleLocks() {
+  return WebhookDelivery.updateMany(
+    { status: 'pending', lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } },
+    { $set: { lockedAt: null } }
+  );
+}
+
+/**
+ * Send every delivery that is due, one at a time
+ */
+async function processDeliveries() {
+  if (!started) return;
+  if (running) {
+    // Events queued during a run are picked up before it ends
+    rerun = true;
+    return;
+  }
+  running = true;
+
+  try {
+    do {
+      rerun = false;
+      await releaseStaleLocks();
+      let delivery = await claimNextDelivery();
+      while (delivery) {
+        await attemptDelivery(delivery);
+        delivery = await claimNextDelivery();
+      }
+    } while (rerun);
+  } catch (error) {
+    console.error('Webhook delivery error:', error.message);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Send a finished delivery again as a new delivery with the same payload,
+ * so receivers can recognise it by its event ID
+ * @param {Object} delivery - WebhookDelivery document
+ * @returns {Promise<Object>} - The new WebhookDelivery
+ */
+async function redeliver(delivery) {
+  const copy = await WebhookDelivery.create({
+    webhook: delivery.webhook,
+    workspace: delivery.workspace,
+    event: delivery.event,
+    payload: delivery.payload,
+    redeliveryOf: delivery._id,
+  });
+
+  processDeliveries();
+  return copy;
+}
+
+/**
+ * Start sending webhook deliveries in the background
+ */
+function startWebhookQueue() {
+  if (started) return;
+
+  started = true;
+  setInterval(processDeliveries, POLL_INTERVAL_MS).unref();
+  processDeliveries();
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  createDelivery,
+  emitEvent,
+  attemptDelivery,
+  redeliver,
+  startWebhookQueue,
+};
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const { assertPublicHost } = require('./networkGuard');
+
+// Events a webhook can subscribe to; "*" subscribes to all of them
+const WEBHOOK_EVENTS = [
+  'analysis.created',
+  'analysis.updated',
+  'analysis.deleted',
+  'extraction.completed',
+  'extraction.failed',
+];
+
+// Sent by POST /api/webhooks/:id/test whatever the webhook subscribes to
+const PING_EVENT = 'ping';
+
+const SIGNATURE_VERSION = 'sha256';
+
+/**
+ * Create a webhook error that routes can return as a 400 response
+ */
+function webhookError(message, suggestion) {
+  const error = new Error(message);
+  error.status = 400;
+  error.suggestion = suggestion;
+  return error;
+}
+
+/**
+ * Random secret used to sign deliveries
+ * @returns {string}
+ */
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Validate a webhook endpoint URL. Plain http is allowed; the host is checked
+ * separately by checkWebhookHost.
+ */
+function normalizeUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value || '').trim());
+  } catch (error) {
+    throw webhookError(`Invalid webhook URL: ${value || '(missing)'}`, 'Send an absolute URL such as "https://example.com/hooks/analyzer"');
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw webhookError(`Unsupported webhook URL protocol: ${url.protocol}`, 'Use an http or https URL');
+  }
+  if (url.username || url.password) {
+    throw webhookError('Webhook URLs cannot contain credentials', 'Verify deliveries with the X-Webhook-Signature header instead');
+  }
+  return url.toString();
+}
+
+/**
+ * Validate a list of event names
+ */
+function normalizeEvents(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const events = [...new Set(list.map(event => String(event).trim()).filter(Boolean))];
+  if (events.length === 0) {
+    throw webhookError('At least one event is required', `Use "*" or any of: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+
+  const invalid = events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+  if (invalid.length > 0) {
+    throw webhookError(`Unknown event: ${invalid.join(', ')}`, `Use "*" or any of: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  return events.includes('*') ? ['*'] : events;
+}
+
+/**
+ * Validate a webhook body from the API
+ * @param {Object} input - { url, events, description, active }
+ * @param {Object} [existing] - Current webhook, for partial updates
+ * @returns {Object} - Fields to save
+ */
+function normalizeWebhook(input, existing) {
+  const merged = { ...(existing || {}), ...input };
+
+  if (merged.active !== undefined && typeof merged.active !== 'boolean') {
+    throw webhookError('active must be true or false');
+  }
+  if (merged.description !== undefined && typeof merged.description !== 'string') {
+    throw webhookError('description must be a string');
+  }
+
+  return {
+    url: normalizeUrl(merged.url),
+    events: normalizeEvents(merged.events),
+    description: (merged.description || '').trim(),
+    active: merged.active !== false,
+  };
+}
+
+/**
+ * Refuse endpoints that are, or resolve to, a private, loopback or link-local
+ * address, so webhooks cannot be used to reach the server's own network. Set
+ * WEBHOOK_ALLOW_PRIVATE=true to allow them (e.g. for a receiver on localhost
+ * while developing).
+ * @param {string} value - Webhook URL (as returned by normalizeWebhook)
+ * @returns {Promise<void>}
+ */
+async function checkWebhookHost(value) {
+  if (allowsPrivateHosts()) return;
+  try {
+    await assertPublicHost(new URL(value));
+  } catch (error) {
+    throw webhookError(error.message, 'Webhooks can only be sent to public URLs');
+  }
+}
+
+/**
+ * True if webhooks may be sent to private addresses (WEBHOOK_ALLOW_PRIVATE)
+ * @returns {boolean}
+ */
+function allowsPrivateHosts() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+}
+
+/**
+ * True if a webhook receives an event
+ * @param {Object} webhook - Webhook document
+ * @param {string} event - Event name
+ * @returns {boolean}
+ */
+function subscribesTo(webhook, event) {
+  return webhook.events.includes('*') || webhook.events.includes(event);
+}
+
+/**
+ * Signature for the X-Webhook-Signature header: an HMAC-SHA256 of
+ * "<timestamp>.<body>" keyed with the webhook secret
+ * @param {string} secret - Webhook secret
+ * @param {number|string} timestamp - Unix time in seconds (X-Webhook-Timestamp)
+ * @param {string} body - Raw request body
+ * @returns {string} - "sha256=<hex digest>"
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `${SIGNATURE_VERSION}=${digest}`;
+}
+
+/**
+ * Check a delivery on the receiving side. Receivers should compare against
+ * the raw body, before any JSON parsing.
+ * @param {string} secret - Webhook secret
+ * @param {Object} headers - Request headers (lower-case names)
+ * @param {string} body - Raw request body
+ * @param {number} [toleranceSeconds] - Maximum age of the delivery (default 5 minutes)
+ * @returns {boolean}
+ */
+function verifySignature(secret, headers, body, toleranceSeconds = 300) {
+  const timestamp = Number(headers['x-webhook-timestamp']);
+  const signature = String(headers['x-webhook-signature'] || '');
+  if (!Number.isFinite(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Event data for a saved analysis
+ * @param {Object} doc - Analysis document
+ * @returns {Object}
+ */
+function analysisEventData(doc) {
+  const analysis = doc.analysis || {};
+  return {
+    analysisId: doc._id,
+    fileName: doc.fileName,
+    fileType: doc.fileType,
+    platform: doc.platform,
+    language: doc.language,
+    revision: doc.revision || 1,
+    engagementScore: analysis.engagementScore,
+    riskLevel: analysis.risks ? analysis.risks.level : null,
+    brandViolations: analysis.brandLint ? analysis.brandLint.violations.length : null,
+    groupId: doc.group || null,
+    owner: doc.owner,
+    extractedText: doc.extractedText,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt || null,
+  };
+}
+
+/**
+ * Event data for a finished extraction
+ * @param {Object} params - { jobId (null for synchronous uploads), fileName, result, error }
+ * @returns {Object}
+ */
+function extractionEventData({ jobId = null, fileName, result, error }) {
+  if (error) {
+    return {
+      jobId,
+      fileName,
+      error: { message: error.message, suggestion: error.suggestion },
+    };
+  }
+
+  return {
+    jobId,
+    fileName,
+    fileType: result.fileType,
+    extractionMethod: result.extractionMethod,
+    language: result.language,
+    pageCount: (result.pages || []).length,
+    riskLevel: result.risks ? result.risks.level : null,
+    extractedText: result.extractedText !== undefined ? result.extractedText : result.text,
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  PING_EVENT,
+  generateSecret,
+  normalizeWebhook,
+  checkWebhookHost,
+  allowsPrivateHosts,
+  subscribesTo,
+  signPayload,
+  verifySignature,
+  analysisEventData,
+  extractionEventData,
+};
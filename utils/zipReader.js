@@ -0,0 +1,38 @@
+const zlib = require('zlib');
+
+/**
+ * Decompress a zip entry, failing once it grows past `limit` bytes. The size
+ * in the entry header comes from whoever made the archive, so the bytes are
+ * counted as they are inflated instead.
+ * @param {Object} entry - adm-zip entry
+ * @param {number} limit - Maximum uncompressed size in bytes
+ * @param {string} archiveName - Archive name for error messages
+ * @returns {Buffer} - Entry data; throws an error with code ZIP_TOO_LARGE past the limit
+ */
+function readZipEntry(entry, limit, archiveName) {
+  const tooLarge = new Error(`Zip archive ${archiveName} is too large when uncompressed`);
+  tooLarge.code = 'ZIP_TOO_LARGE';
+  if (entry.header.encrypted) {
+    throw new Error(`Zip archive ${archiveName} contains encrypted files`);
+  }
+
+  const compressed = entry.getCompressedData();
+  let data;
+  if (entry.header.method === 0) {
+    data = compressed; // Stored without compression
+  } else if (entry.header.method === 8) {
+    try {
+      data = zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(limit, 1) });
+    } catch (err) {
+      if (err.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge;
+      throw new Error(`Could not read ${entry.entryName} in zip archive ${archiveName}: ${err.message}`);
+    }
+  } else {
+    throw new Error(`Zip archive ${archiveName} uses an unsupported compression method`);
+  }
+
+  if (data.length > limit) throw tooLarge;
+  return data;
+}
+
+module.exports = { readZipEntry };